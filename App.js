@@ -3,10 +3,16 @@ import cors from "cors";
 import bcrypt from "bcrypt";
 import dotenv from "dotenv";
 import { pool } from "./config/db.js"; // only for login users table
-import { getPool } from "./config/dbManager.js";
+import { getPool, listTenants, startTenantRegistry } from "./config/dbManager.js";
+import { provisionWorkspace } from "./config/provisioning.js";
+import { migrateAll, migrationStatus } from "./config/migrations.js";
 import cron from 'node-cron';
 import moment from 'moment-timezone'; 
 import fs from 'fs';
+import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import AdmZip from "adm-zip";
+import { PDFParse } from "pdf-parse";
 
 dotenv.config();
 
@@ -14,6 +20,8 @@ const app = express();
 app.use(cors());
 app.use(express.json({ limit: '50mb' })); // Increased limit for image uploads
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+app.use(requireAuth); // every route except PUBLIC_PATHS needs a valid access token
+app.use(enforceRouteCapabilities); // role checks declared in ROUTE_CAPABILITIES
 
 // Add this at the top of your backend file:
 import admin from 'firebase-admin';
@@ -80,6 +88,64 @@ function formatDayLabel(dateStr) {
   return `${dd}/${mm}/${yyyy} (${weekday})`;
 }
 
+// Any of "YYYY-MM-DD", "dd/mm/yyyy", "dd/mm/yyyy (Day)" -> "YYYY-MM-DD" (null if invalid)
+function toSqlDate(input) {
+  const s = String(input || "").trim();
+  let y, m, d;
+  let match = s.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) [, y, m, d] = match;
+  else if ((match = s.match(/^(\d{2})\/(\d{2})\/(\d{4})/))) [, d, m, y] = match;
+  else return null;
+
+  const dt = new Date(Date.UTC(Number(y), Number(m) - 1, Number(d)));
+  if (dt.getUTCFullYear() !== Number(y) || dt.getUTCMonth() !== Number(m) - 1 || dt.getUTCDate() !== Number(d)) {
+    return null;
+  }
+  return `${y}-${m}-${d}`;
+}
+
+// SQL for the legacy "dd/mm/yyyy (Weekday)" label, built from a DATE column
+function dayLabelSql(column = "day_date") {
+  return `DATE_FORMAT(${column}, '%d/%m/%Y (%W)')`;
+}
+
+// rota.Published values. Manager-built shifts start as drafts and only
+// become visible to staff once their week is released with POST /rota/publish
+const ROTA_PUBLISHED = "Published";
+const ROTA_DRAFT = "Draft";
+
+// Status for a newly written shift: draft unless the caller asks to publish now
+function rotaStatusFor(publish) {
+  return publish === true || publish === "true" ? ROTA_PUBLISHED : ROTA_DRAFT;
+}
+
+// "HH:mm" / "HH:mm:ss" -> minutes since midnight
+function timeToMinutes(time) {
+  const [h, m] = String(time || "").substring(0, 5).split(':').map(Number);
+  return h * 60 + m;
+}
+
+// Same-day overlap check used by /save-shift and the template tools.
+// A start after its end means the shift runs past midnight.
+function shiftMinutesOverlap(newStartMin, newEndMin, existingStartTotal, existingEndTotal) {
+  if (newStartMin < newEndMin && existingStartTotal < existingEndTotal) {
+    return newStartMin < existingEndTotal && newEndMin > existingStartTotal;
+  }
+  if (newStartMin > newEndMin) {
+    const newEndMinNextDay = newEndMin + 1440;
+    if (existingStartTotal < existingEndTotal) {
+      return newStartMin < existingEndTotal || newEndMinNextDay > existingStartTotal;
+    }
+    const existingEndTotalNextDay = existingEndTotal + 1440;
+    return newStartMin < existingEndTotalNextDay && newEndMinNextDay > existingStartTotal;
+  }
+  if (existingStartTotal > existingEndTotal) {
+    const existingEndTotalNextDay = existingEndTotal + 1440;
+    return newStartMin < existingEndTotalNextDay && newEndMin > existingStartTotal;
+  }
+  return false;
+}
+
 // Helper function to ensure time has seconds
 function ensureTimeWithSeconds(time) {
   if (!time) return '00:00:00';
@@ -108,6 +174,100 @@ async function getUserAccessFromMainDB({ authPool, email, db }) {
   return { found: true, access: rows[0].access || "" };
 }
 
+// Employees row for an email (usually the caller from the token), or null
+async function findEmployeeByEmail(conn, email) {
+  const [rows] = await conn.query(
+    `SELECT id, name, lastName, email, designation, wage
+     FROM Employees
+     WHERE LOWER(TRIM(email)) = LOWER(TRIM(?))
+     LIMIT 1`,
+    [email]
+  );
+  return rows && rows.length > 0 ? rows[0] : null;
+}
+
+// Resolve the employee a shift is for: explicit employeeId first, then a
+// name + lastName pair that matches exactly one employee. null if unknown/ambiguous.
+async function resolveEmployee(conn, { employeeId, name, lastName }) {
+  if (employeeId) {
+    const [rows] = await conn.query(
+      `SELECT id, name, lastName, email, designation, wage FROM Employees WHERE id = ? LIMIT 1`,
+      [employeeId]
+    );
+    return rows && rows.length > 0 ? rows[0] : null;
+  }
+
+  const [rows] = await conn.query(
+    `SELECT id, name, lastName, email, designation, wage
+     FROM Employees
+     WHERE TRIM(name) = TRIM(?) AND TRIM(lastName) = TRIM(?)
+     LIMIT 2`,
+    [name || "", lastName || ""]
+  );
+  return rows && rows.length === 1 ? rows[0] : null;
+}
+
+// FOH/BOH rule for taking over a shift: "anyone" shifts are open to all,
+// "foh"/"boh" shifts only to employees with that designation
+function isEligibleFor(neededFor, designation) {
+  const needed = String(neededFor || "anyone").trim().toLowerCase();
+  const d = String(designation || "").trim().toUpperCase();
+  return needed === "anyone" || (needed === "foh" && d === "FOH") || (needed === "boh" && d === "BOH");
+}
+
+// neededFor of an existing rota shift, from the designation it was rostered as
+function neededForShift(designation) {
+  const d = String(designation || "").trim().toUpperCase();
+  return d === "FOH" || d === "BOH" ? d.toLowerCase() : "anyone";
+}
+
+// Holiday rows covering a day for an employee, split into approved and
+// pending (same "pending" rule as /holidays/pending). Declined rows are ignored.
+async function findLeaveOnDay(conn, employeeId, daySql) {
+  const [rows] = await conn.query(
+    `SELECT id, accepted,
+            DATE_FORMAT(start_date, '%Y-%m-%d') AS startDate,
+            DATE_FORMAT(end_date, '%Y-%m-%d') AS endDate
+     FROM Holiday
+     WHERE employee_id = ? AND start_date <= ? AND end_date >= ?
+       AND (accepted = 'true' OR accepted IS NULL OR accepted = '' OR accepted = 'unpaid')`,
+    [employeeId, daySql, daySql]
+  );
+  return {
+    approved: rows.find(r => r.accepted === 'true') || null,
+    pending: rows.find(r => r.accepted !== 'true') || null,
+  };
+}
+
+// 409 body when a shift on daySql clashes with leave, or null if it may be written.
+// Approved leave always blocks; pending leave blocks until the caller resends
+// with overridePendingLeave: true.
+async function leaveClashFor(conn, employeeId, daySql, overridePendingLeave) {
+  const { approved, pending } = await findLeaveOnDay(conn, employeeId, daySql);
+  const dayLabel = formatDayLabel(daySql);
+
+  if (approved) {
+    return {
+      success: false,
+      code: "LEAVE_APPROVED",
+      message: `Employee is on approved holiday on ${dayLabel}`,
+      holiday: { id: approved.id, startDate: approved.startDate, endDate: approved.endDate },
+    };
+  }
+
+  if (pending && !(overridePendingLeave === true || overridePendingLeave === "true")) {
+    return {
+      success: false,
+      code: "LEAVE_PENDING",
+      requiresOverride: true,
+      message: `Employee has a pending holiday request covering ${dayLabel}. Send overridePendingLeave: true to assign the shift anyway`,
+      holiday: { id: pending.id, startDate: pending.startDate, endDate: pending.endDate },
+    };
+  }
+
+  return null;
+}
+
 // Helper function to generate unique post ID
 function generatePostId() {
   const timestamp = Date.now();
@@ -192,6 +352,270 @@ function formatDate(dateString) {
   }
 }
 
+// ==================== AUTH / SESSION TOKENS ====================
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "1h";
+const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || "30d";
+
+if (!JWT_SECRET) {
+  console.log('⚠️ JWT_SECRET environment variable not set - login will fail');
+}
+
+// Routes reachable without an access token
+const PUBLIC_PATHS = new Set(["/health", "/login", "/auth/refresh"]);
+
+// Issue access + refresh token for a user and the workspaces they can open
+// databases: [{ db_name, access }]
+function signSessionTokens({ userId, email, databases }) {
+  const claims = {
+    sub: String(userId),
+    email,
+    databases: databases.map(d => ({ db_name: d.db_name, access: d.access })),
+  };
+
+  const accessToken = jwt.sign({ ...claims, typ: "access" }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+  const refreshToken = jwt.sign({ sub: claims.sub, email, typ: "refresh" }, JWT_REFRESH_SECRET, {
+    expiresIn: REFRESH_TOKEN_TTL,
+  });
+
+  const { exp } = jwt.decode(accessToken);
+  return { accessToken, refreshToken, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+// Workspace the request is about, whatever name the client used for it
+function requestedDb(req) {
+  const b = req.body || {};
+  const q = req.query || {};
+  return b.db || q.db || b.dbName || q.dbName || b.db_name || q.db_name || null;
+}
+
+// Middleware: verify Bearer token and attach req.user = { id, email, databases, access }
+function requireAuth(req, res, next) {
+  if (req.method === "OPTIONS" || PUBLIC_PATHS.has(req.path)) return next();
+
+  const header = String(req.headers.authorization || "");
+  const token = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+
+  if (!token) {
+    return res.status(401).json({ success: false, message: "Authentication required" });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    const expired = err.name === "TokenExpiredError";
+    return res.status(401).json({
+      success: false,
+      message: expired ? "Session expired" : "Invalid token",
+      code: expired ? "TOKEN_EXPIRED" : "TOKEN_INVALID",
+    });
+  }
+
+  if (payload.typ !== "access") {
+    return res.status(401).json({ success: false, message: "Invalid token", code: "TOKEN_INVALID" });
+  }
+
+  const databases = Array.isArray(payload.databases) ? payload.databases : [];
+  req.user = { id: payload.sub, email: payload.email, databases, access: "" };
+
+  // Caller can only touch workspaces their token was issued for
+  const db = requestedDb(req);
+  if (db) {
+    const ws = databases.find(d => String(d.db_name).trim().toLowerCase() === String(db).trim().toLowerCase());
+    if (!ws) {
+      return res.status(403).json({ success: false, message: "No access to this workspace" });
+    }
+    req.user.access = String(ws.access || "").trim().toLowerCase();
+
+    // Workspace must also be active in the tenant registry
+    try {
+      getPool(db);
+    } catch (err) {
+      return res.status(404).json({ success: false, message: "Workspace not available" });
+    }
+  }
+
+  next();
+}
+
+// ==================== PERMISSIONS ====================
+
+// What each capability lets you do
+const CAPABILITIES = {
+  "rota.publish": "Create, change and delete rota shifts and open shift requests",
+  "rota.review": "See other employees' shift status (missing confirmations, etc.)",
+  "feed.moderate": "Pin, unpin and delete any feed post",
+  "holiday.approve": "See pending holiday requests and approve/decline them",
+  "notifications.send": "Send in-app and push notifications to other users",
+  "attendance.manage": "See everyone's clock-ins and attendance, configure clock-in verification, approve timesheets",
+  "labour.view": "See labour costs against sales",
+  "labour.manage": "Enter daily sales figures",
+  "payroll.export": "Export payroll and manage payroll export layouts",
+  "payrules.manage": "Configure overtime and premium pay rules and bank holidays",
+  "payslips.upload": "Upload payslips and assign the ones that could not be matched",
+  "platform.provision": "Create new workspaces (platform admins listed in PLATFORM_ADMIN_EMAILS)",
+  "platform.migrate": "See and apply schema migrations for every workspace (platform admins)",
+};
+
+// platform.* capabilities are not held by workspace roles
+const MANAGEMENT_CAPABILITIES = Object.keys(CAPABILITIES).filter(c => !c.startsWith("platform."));
+
+const PLATFORM_ADMIN_EMAILS = String(process.env.PLATFORM_ADMIN_EMAILS || "")
+  .split(",")
+  .map(e => e.trim().toLowerCase())
+  .filter(Boolean);
+
+// users.Access (lower-case) -> capabilities. Roles not listed hold none.
+const ROLE_CAPABILITIES = {
+  admin: MANAGEMENT_CAPABILITIES,
+  manager: MANAGEMENT_CAPABILITIES,
+  am: MANAGEMENT_CAPABILITIES,
+};
+
+// Different spellings stored in users.Access for the same role
+const ROLE_ALIASES = {
+  "assistant manager": "am",
+  "assistant_manager": "am",
+};
+
+// "METHOD /path" (":param" segments allowed) -> capability required
+const ROUTE_CAPABILITIES = {
+  "GET /api/missing-published": "rota.review",
+  "POST /rota/shift-request": "rota.publish",
+  "PATCH /rota/shift-request/:id": "rota.publish",
+  "POST /rota/shift-request/:id/cancel": "rota.publish",
+  "POST /rota/add-direct": "rota.publish",
+  "POST /add-another-shift": "rota.publish",
+  "POST /rota/save-shift": "rota.publish",
+  "GET /rota/drafts": "rota.publish",
+  "POST /rota/publish": "rota.publish",
+  "GET /rota/publications": "rota.publish",
+  "GET /rota/changes": "rota.review",
+  "POST /rota/templates": "rota.publish",
+  "GET /rota/templates": "rota.publish",
+  "GET /rota/templates/:id": "rota.publish",
+  "DELETE /rota/templates/:id": "rota.publish",
+  "POST /rota/templates/:id/apply": "rota.publish",
+  "POST /rota/copy-week": "rota.publish",
+  "GET /rota/compliance": "rota.review",
+  "PATCH /rota/employees/:id/working-time": "rota.publish",
+  "GET /rota/available-employees": "rota.publish",
+  "GET /rota/swaps/pending": "rota.publish",
+  "POST /rota/swaps/:id/decide": "rota.publish",
+  "GET /attendance/day": "attendance.manage",
+  "GET /attendance/settings": "attendance.manage",
+  "PUT /attendance/settings": "attendance.manage",
+  "GET /attendance/qr-token": "attendance.manage",
+  "GET /attendance/attempts": "attendance.manage",
+  "GET /attendance/incidents": "attendance.manage",
+  "GET /timesheets/week": "attendance.manage",
+  "POST /timesheets/adjust": "attendance.manage",
+  "POST /timesheets/approve": "attendance.manage",
+  "GET /timesheets/adjustments": "attendance.manage",
+  "GET /labour/week": "labour.view",
+  "PUT /labour/sales": "labour.manage",
+  "GET /payroll/export": "payroll.export",
+  "GET /payroll/layouts": "payroll.export",
+  "PUT /payroll/layouts": "payroll.export",
+  "DELETE /payroll/layouts/:name": "payroll.export",
+  "POST /payslips/upload": "payslips.upload",
+  "GET /payslips/unmatched": "payslips.upload",
+  "POST /payslips/unmatched/:id/assign": "payslips.upload",
+  "DELETE /payslips/unmatched/:id": "payslips.upload",
+  "GET /pay-rules": "payrules.manage",
+  "POST /pay-rules": "payrules.manage",
+  "PATCH /pay-rules/:id": "payrules.manage",
+  "DELETE /pay-rules/:id": "payrules.manage",
+  "PUT /pay-rules/bank-holidays": "payrules.manage",
+  "DELETE /pay-rules/bank-holidays/:date": "payrules.manage",
+  "POST /delete-shift": "rota.publish",
+  "DELETE /delete-shift": "rota.publish",
+  "POST /feed/pin": "feed.moderate",
+  "DELETE /feed/post/:postId": "feed.moderate",
+  "GET /holidays/pending": "holiday.approve",
+  "POST /holidays/decide": "holiday.approve",
+  "POST /send-notification": "notifications.send",
+  "POST /notifications/send": "notifications.send",
+  "POST /notifications/send-to-role": "notifications.send",
+  "POST /notifications/send-push": "notifications.send",
+  "POST /admin/workspaces": "platform.provision",
+  "GET /admin/migrations": "platform.migrate",
+  "POST /admin/migrations/run": "platform.migrate",
+};
+
+const ROUTE_CAPABILITY_MATCHERS = Object.entries(ROUTE_CAPABILITIES).map(([route, capability]) => {
+  const [method, path] = route.split(" ");
+  const pattern = path.split("/").map(seg => (seg.startsWith(":") ? "[^/]+" : seg.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))).join("/");
+  return { method, regex: new RegExp(`^${pattern}/?$`), capability };
+});
+
+function normalizeRole(access) {
+  const a = String(access || "").trim().toLowerCase();
+  return ROLE_ALIASES[a] || a;
+}
+
+function roleHasCapability(access, capability) {
+  return (ROLE_CAPABILITIES[normalizeRole(access)] || []).includes(capability);
+}
+
+function capabilityForRequest(req) {
+  const match = ROUTE_CAPABILITY_MATCHERS.find(m => m.method === req.method && m.regex.test(req.path));
+  return match ? match.capability : null;
+}
+
+function forbidden(res, { capability, access, message }) {
+  return res.status(403).json({
+    success: false,
+    code: "FORBIDDEN",
+    message: message || `Not allowed: requires '${capability}'`,
+    capability: capability || null,
+    access: access ?? null,
+  });
+}
+
+// Middleware: enforce ROUTE_CAPABILITIES. Access is re-read from the main DB so a
+// role change applies without waiting for the token to expire.
+async function enforceRouteCapabilities(req, res, next) {
+  const capability = capabilityForRequest(req);
+  if (!capability) return next();
+
+  if (capability.startsWith("platform.")) {
+    if (!PLATFORM_ADMIN_EMAILS.includes(String(req.user.email).trim().toLowerCase())) {
+      return forbidden(res, { capability });
+    }
+    return next();
+  }
+
+  const db = requestedDb(req);
+  if (!db) {
+    return res.status(400).json({ success: false, message: "db is required" });
+  }
+
+  try {
+    const accessInfo = await getUserAccessFromMainDB({ authPool: pool, email: req.user.email, db });
+
+    if (!accessInfo.found) {
+      return forbidden(res, { capability, message: "User not found for this workspace" });
+    }
+
+    if (!roleHasCapability(accessInfo.access, capability)) {
+      console.log(`⛔ ${req.method} ${req.path} denied | db=${db} | by=${req.user.email} | access=${accessInfo.access} | needs=${capability}`);
+      return forbidden(res, { capability, access: accessInfo.access });
+    }
+
+    req.user.access = accessInfo.access;
+    next();
+  } catch (err) {
+    console.error("❌ Error checking permissions:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+}
+
 // ==================== MISSING SHIFTS CONFIRMATION ====================
 
 // Function to send missing published notification
@@ -230,19 +654,19 @@ async function sendMissingPublishedNotification(dbName, missingEmployees) {
 cron.schedule('59 23 * * *', async () => {
   console.log('🕛 Running missing published check (23:59 UK time)');
   try {
-    // Get all distinct database names from users table
-    const [databases] = await pool.query('SELECT DISTINCT db_name FROM users WHERE db_name IS NOT NULL AND db_name != ""');
+    // Every active workspace in the tenant registry
+    const databases = listTenants();
     const today = moment.tz('Europe/London');
-    const todayFormatted = today.format('DD/MM/YYYY (dddd)'); // e.g., "15/03/2026 (Sunday)"
+    const todaySql = today.format('YYYY-MM-DD');
     
     for (const { db_name } of databases) {
-      const dbPool = getPool(db_name);
       try {
+        const dbPool = getPool(db_name);
         const [rows] = await dbPool.query(
-          `SELECT DISTINCT name, lastName FROM rota 
-           WHERE day = ? AND (ConfirmedByTM IS NULL OR ConfirmedByTM != 'yes')
+          `SELECT DISTINCT employee_id, name, lastName FROM rota 
+           WHERE day_date = ? AND Published = ? AND (ConfirmedByTM IS NULL OR ConfirmedByTM != 'yes')
            ORDER BY lastName, name`,
-          [todayFormatted]
+          [todaySql, ROTA_PUBLISHED]
         );
         if (rows.length > 0) {
           await sendMissingPublishedNotification(db_name, rows);
@@ -268,16 +692,17 @@ app.get('/api/missing-published', async (req, res) => {
   try {
     const pool = getPool(db);
     const date = moment.tz(day, 'Europe/London');
-    const formattedDay = date.format('DD/MM/YYYY (dddd)');
+    const daySql = date.format('YYYY-MM-DD');
 
     const [rows] = await pool.query(
-      `SELECT r.name, r.lastName, r.startTime, r.endTime, r.day, e.email
+      `SELECT r.name, r.lastName, r.startTime, r.endTime, ${dayLabelSql("r.day_date")} AS day, e.email
        FROM rota r
-       LEFT JOIN Employees e ON r.name = e.name AND r.lastName = e.lastName
-       WHERE r.day = ? 
+       LEFT JOIN Employees e ON e.id = r.employee_id
+       WHERE r.day_date = ? 
+         AND r.Published = ?
          AND (r.ConfirmedByTM IS NULL OR r.ConfirmedByTM != 'yes')
        ORDER BY r.lastName, r.name`,
-      [formattedDay]
+      [daySql, ROTA_PUBLISHED]
     );
 
     res.json({ success: true, missing: rows });
@@ -289,37 +714,94 @@ app.get('/api/missing-published', async (req, res) => {
 
 // ==================== SHIFTS REQUESTS ====================
 
+const SHIFT_REQUEST_STATUSES = ["pending", "accepted", "cancelled", "expired"];
+
+// Active employees who could take an open shift: eligible under needed_for,
+// not on approved holiday that day and not already working at that time
+async function eligibleStaffForRequest(conn, request) {
+  const [employees] = await conn.query(
+    `SELECT id, name, lastName, email, designation FROM Employees
+     WHERE (situation IS NULL OR TRIM(situation) = '') AND email IS NOT NULL AND TRIM(email) <> ''`
+  );
+  const [onHoliday] = await conn.query(
+    `SELECT DISTINCT employee_id FROM Holiday
+     WHERE accepted = 'true' AND start_date <= ? AND end_date >= ? AND employee_id IS NOT NULL`,
+    [request.dayDate, request.dayDate]
+  );
+  const [dayShifts] = await conn.query(
+    `SELECT employee_id, startTime, endTime FROM rota WHERE day_date = ? AND employee_id IS NOT NULL`,
+    [request.dayDate]
+  );
+
+  const holidayIds = new Set(onHoliday.map(h => h.employee_id));
+  const start = timeToMinutes(request.startTime);
+  const end = timeToMinutes(request.endTime);
+
+  return employees.filter(e =>
+    isEligibleFor(request.neededFor, e.designation) &&
+    !holidayIds.has(e.id) &&
+    !dayShifts.some(s => s.employee_id === e.id &&
+      shiftMinutesOverlap(start, end, timeToMinutes(s.startTime), timeToMinutes(s.endTime)))
+  );
+}
+
+// Tell eligible staff about a new open shift and remember who was told
+async function announceShiftRequest(pool, request, authorEmail) {
+  const staff = (await eligibleStaffForRequest(pool, request))
+    .filter(e => String(e.email).trim().toLowerCase() !== String(authorEmail).trim().toLowerCase());
+  if (staff.length === 0) return 0;
+
+  await pool.query(
+    `INSERT IGNORE INTO ShiftRequestRecipients (request_id, email) VALUES ?`,
+    [staff.map(e => [request.id, e.email])]
+  );
+
+  const message = `Open shift on ${request.dayLabel} ${request.startTime.substring(0, 5)}–${request.endTime.substring(0, 5)}. Tap to take it`;
+  for (const e of staff) {
+    await notifyEmployee(pool, e.email, {
+      title: "Open shift available",
+      message,
+      type: "SHIFT_REQUEST",
+      authorEmail,
+      data: { shiftRequestId: String(request.id) },
+    });
+  }
+
+  console.log(`📣 Shift request ${request.id} announced to ${staff.length} employee(s)`);
+  return staff.length;
+}
+
+// "Shift filled" follow-up for everyone who was told about the request except whoever took it
+async function announceShiftRequestFilled(pool, request, acceptedByEmail) {
+  const [recipients] = await pool.query(
+    `SELECT email FROM ShiftRequestRecipients WHERE request_id = ? AND LOWER(email) <> ?`,
+    [request.id, String(acceptedByEmail).trim().toLowerCase()]
+  );
+
+  const message = `The open shift on ${request.dayLabel} ${String(request.startTime).substring(0, 5)}–${String(request.endTime).substring(0, 5)} has been filled`;
+  for (const { email } of recipients) {
+    await notifyEmployee(pool, email, {
+      title: "Shift filled",
+      message,
+      type: "SHIFT_REQUEST",
+      data: { shiftRequestId: String(request.id) },
+    });
+  }
+}
+
 app.post("/rota/shift-request", async (req, res) => {
-  const { db, userEmail, dayDate, startTime, endTime, neededFor } = req.body;
+  const { db, dayDate, startTime, endTime, neededFor } = req.body;
+  const userEmail = req.user.email;
 
   if (!db || !userEmail || !dayDate || !startTime || !endTime) {
     return res.status(400).json({ success: false, message: "Missing required fields" });
   }
 
-  const authPool = pool;                // ✅ MAIN DB (yassir_access)
   const workspacePool = getPool(db);    // ✅ WORKSPACE DB
   const conn = await workspacePool.getConnection();
 
   try {
-    const accessInfo = await getUserAccessFromMainDB({ authPool, email: userEmail, db });
-
-    console.log("🔎 CREATE SHIFT CHECK:", { db, userEmail, accessInfo });
-
-    if (!accessInfo.found) {
-      conn.release();
-      return res.status(403).json({ success: false, message: "User not found for workspace" });
-    }
-
-    const access = accessInfo.access; // already lower-case
-    const canCreate = ["admin", "am", "assistant manager"].includes(access);
-
-    if (!canCreate) {
-      conn.release();
-      return res.status(403).json({
-        success: false,
-        message: `Not allowed to create shift. Access='${access}'`,
-      });
-    }
+    const access = req.user.access; // checked by enforceRouteCapabilities (rota.publish)
 
     // normalize HH:mm -> HH:mm:ss
     const toHHMMSS = (s) => {
@@ -370,6 +852,10 @@ app.post("/rota/shift-request", async (req, res) => {
 
     console.log(`✅ Shift request created | db=${db} | id=${id} | by=${userEmail} | access=${access}`);
 
+    // fan-out runs in the background so the manager isn't kept waiting on FCM
+    announceShiftRequest(workspacePool, { id, dayDate, dayLabel, startTime: st, endTime: et, neededFor: needed }, userEmail)
+      .catch(err => console.error(`❌ Error announcing shift request ${id}:`, err.message));
+
     return res.json({ success: true, message: "Shift request created", id });
   } catch (err) {
     conn.release();
@@ -378,27 +864,53 @@ app.post("/rota/shift-request", async (req, res) => {
   }
 });
 
+// GET /rota/shift-requests?db=WORKSPACE[&from=YYYY-MM-DD][&to=YYYY-MM-DD][&status=pending,accepted][&neededFor=foh]
+// Defaults: from today onwards, pending + accepted
 app.get("/rota/shift-requests", async (req, res) => {
-  const { db } = req.query;
+  const { db, from, to, status, neededFor } = req.query;
 
   if (!db) {
     return res.status(400).json({ success: false, message: "db is required" });
   }
 
+  const fromSql = from ? toSqlDate(from) : moment.tz('Europe/London').format('YYYY-MM-DD');
+  const toSql = to ? toSqlDate(to) : null;
+  if (!fromSql || (to && !toSql)) {
+    return res.status(400).json({ success: false, message: "from/to must be YYYY-MM-DD" });
+  }
+
+  const statuses = String(status || "pending,accepted").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+  if (statuses.some(s => !SHIFT_REQUEST_STATUSES.includes(s))) {
+    return res.status(400).json({ success: false, message: `status must be one of ${SHIFT_REQUEST_STATUSES.join(", ")}` });
+  }
+
   try {
     const workspacePool = getPool(db);
 
-    const [rows] = await workspacePool.query(
-      `SELECT id, day_date, day_label, start_time, end_time, needed_for, status,
+    let query = `SELECT id, day_date, day_label, start_time, end_time, needed_for, status,
               created_by_email, created_at,
-              accepted_by_email, accepted_first_name, accepted_last_name, accepted_at
+              accepted_by_email, accepted_first_name, accepted_last_name, accepted_at,
+              cancelled_by_email, cancelled_at, released_by_email, released_at, expired_at
        FROM ShiftRequests
-       WHERE status IN ('pending','accepted')
+       WHERE status IN (?) AND day_date >= ?`;
+    const params = [statuses, fromSql];
+
+    if (toSql) {
+      query += ` AND day_date <= ?`;
+      params.push(toSql);
+    }
+    if (neededFor) {
+      query += ` AND needed_for = ?`;
+      params.push(String(neededFor).trim().toLowerCase());
+    }
+
+    query += `
        ORDER BY
          (status='pending') DESC,
          day_date ASC,
-         start_time ASC`
-    );
+         start_time ASC`;
+
+    const [rows] = await workspacePool.query(query, params);
 
     return res.json({ success: true, shifts: rows });
   } catch (err) {
@@ -408,7 +920,8 @@ app.get("/rota/shift-requests", async (req, res) => {
 });
 
 app.post("/rota/shift-request/:id/accept", async (req, res) => {
-  const { db, userEmail } = req.body;
+  const { db, overridePendingLeave } = req.body;
+  const userEmail = req.user.email;
   const { id } = req.params;
 
   if (!db || !id || !userEmail) {
@@ -427,7 +940,8 @@ app.post("/rota/shift-request/:id/accept", async (req, res) => {
 
     // 1) Lock the shift request
     const [reqRows] = await conn.query(
-      `SELECT id, day_label, start_time, end_time, needed_for, status
+      `SELECT id, DATE_FORMAT(day_date, '%Y-%m-%d') AS day_date, day_label,
+              start_time, end_time, needed_for, status
        FROM ShiftRequests
        WHERE id = ?
        FOR UPDATE`,
@@ -451,13 +965,14 @@ app.post("/rota/shift-request/:id/accept", async (req, res) => {
     // 2) Get employee data from WORKSPACE DB
     const [empRows] = await conn.query(
       `SELECT 
+         id,
          TRIM(COALESCE(name,''))     AS name,
          TRIM(COALESCE(lastName,'')) AS lastName,
          TRIM(UPPER(COALESCE(designation,''))) AS designation
        FROM Employees
-       WHERE LOWER(TRIM(email)) = ? OR LOWER(TRIM(\`Email\`)) = ?
+       WHERE LOWER(TRIM(email)) = ?
        LIMIT 1`,
-      [email, email]
+      [email]
     );
 
     console.log("🔎 ACCEPT SHIFT EMP CHECK:", { db, id, email, emp: empRows?.[0] || null });
@@ -477,10 +992,7 @@ app.post("/rota/shift-request/:id/accept", async (req, res) => {
     // 3) Eligibility
     const neededFor = String(shift.needed_for || "anyone").toLowerCase();
 
-    const eligible =
-      neededFor === "anyone" ||
-      (neededFor === "foh" && empDesignation === "FOH") ||
-      (neededFor === "boh" && empDesignation === "BOH");
+    const eligible = isEligibleFor(neededFor, empDesignation);
 
     if (!eligible) {
       await conn.rollback();
@@ -491,6 +1003,24 @@ app.post("/rota/shift-request/:id/accept", async (req, res) => {
       });
     }
 
+    // 3b) Leave: approved holiday blocks, pending needs an explicit override
+    const leaveClash = await leaveClashFor(conn, emp.id, shift.day_date, overridePendingLeave);
+    if (leaveClash) {
+      await conn.rollback();
+      conn.release();
+      return res.status(409).json(leaveClash);
+    }
+
+    // 3c) Working time rules and availability (under-18 limits block, the rest warn)
+    const shiftChecks = await checkShiftAssignment(conn, emp.id, {
+      dayDate: shift.day_date, startTime: shift.start_time, endTime: shift.end_time,
+    });
+    if (shiftChecks.blocks.length > 0) {
+      await conn.rollback();
+      conn.release();
+      return res.status(409).json(workingTimeBlocked(shiftChecks));
+    }
+
     // 4) Safety: rota id collision check
     const [rotaExists] = await conn.query(`SELECT id FROM rota WHERE id = ? LIMIT 1`, [id]);
     if (rotaExists && rotaExists.length > 0) {
@@ -517,9 +1047,9 @@ app.post("/rota/shift-request/:id/accept", async (req, res) => {
     // 6) Insert into rota (YOUR columns)
     await conn.query(
       `INSERT INTO rota
-      (id, name, lastName, day, startTime, endTime, designation, Published)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [id, emp.name, emp.lastName, shift.day_label, shift.start_time, shift.end_time, empDesignation, 'Published']
+      (id, employee_id, name, lastName, day, day_date, startTime, endTime, designation, Published)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, emp.id, emp.name, emp.lastName, formatDayLabel(shift.day_date), shift.day_date, shift.start_time, shift.end_time, empDesignation, ROTA_PUBLISHED]
     );
 
     await conn.commit();
@@ -527,7 +1057,11 @@ app.post("/rota/shift-request/:id/accept", async (req, res) => {
 
     console.log(`✅ Shift accepted + inserted into rota | db=${db} | id=${id} | by=${email} | ${emp.name} ${emp.lastName} | ${empDesignation}`);
 
-    return res.json({ success: true, message: "Shift accepted", id });
+    announceShiftRequestFilled(workspacePool, {
+      id, dayLabel: formatDayLabel(shift.day_date), startTime: shift.start_time, endTime: shift.end_time,
+    }, email).catch(err => console.error(`❌ Error announcing filled shift ${id}:`, err.message));
+
+    return res.json({ success: true, message: "Shift accepted", id, warnings: shiftChecks.warnings });
   } catch (err) {
     try { await conn.rollback(); } catch (_) {}
     conn.release();
@@ -536,96 +1070,345 @@ app.post("/rota/shift-request/:id/accept", async (req, res) => {
   }
 });
 
-// GET /rota/my-day?db=WORKSPACE&email=user@email.com&date=YYYY-MM-DD
-app.get("/rota/my-day", async (req, res) => {
-  const { db, email, date } = req.query;
-
-  if (!db || !email || !date) {
-    return res.status(400).json({
-      success: false,
-      message: "db, email, date are required",
-    });
+// Only whoever posted a request may edit or cancel it (older rows without
+// created_by_email are open to any rota manager). Sends the 404/403 and
+// returns false when the caller may not.
+async function ensureShiftRequestCreator(pool, id, req, res) {
+  const [rows] = await pool.query(`SELECT created_by_email FROM ShiftRequests WHERE id = ? LIMIT 1`, [id]);
+  if (rows.length === 0) {
+    res.status(404).json({ success: false, message: "Shift request not found" });
+    return false;
   }
+  const createdBy = String(rows[0].created_by_email || "").trim().toLowerCase();
+  if (createdBy && createdBy !== String(req.user.email).trim().toLowerCase()) {
+    res.status(403).json({ success: false, code: "FORBIDDEN", message: "Only the person who posted this shift request can change it" });
+    return false;
+  }
+  return true;
+}
 
-  const workspacePool = getPool(db);
-  const conn = await workspacePool.getConnection();
+// Edit a pending shift request. Body: { db, dayDate?, startTime?, endTime?, neededFor? }
+app.patch("/rota/shift-request/:id", async (req, res) => {
+  const { db, dayDate, startTime, endTime, neededFor } = req.body;
+  const { id } = req.params;
 
-  try {
-    // 1) get employee name/lastName/designation from Employees table in workspace DB
-    const userEmail = String(email).trim().toLowerCase();
+  if (!db) {
+    return res.status(400).json({ success: false, message: "db is required" });
+  }
 
-    const [empRows] = await conn.query(
-      `SELECT name, lastName, designation
-       FROM Employees
-       WHERE LOWER(TRIM(email)) = ?
-       LIMIT 1`,
-      [userEmail]
-    );
+  const sets = [];
+  const params = [];
 
-    if (!empRows || empRows.length === 0) {
-      conn.release();
-      return res.status(404).json({
-        success: false,
-        message: "Employee not found",
-      });
+  if (dayDate !== undefined) {
+    const daySql = toSqlDate(dayDate);
+    if (!daySql || daySql < moment.tz('Europe/London').format('YYYY-MM-DD')) {
+      return res.status(400).json({ success: false, message: "dayDate must be YYYY-MM-DD and not in the past" });
+    }
+    sets.push("day_date = ?", "day_label = ?");
+    params.push(daySql, formatDayLabel(daySql));
+  }
+  if (startTime !== undefined) {
+    const st = toHHMMSS(startTime);
+    if (!st) return res.status(400).json({ success: false, message: "Times must be HH:mm or HH:mm:ss" });
+    sets.push("start_time = ?");
+    params.push(st);
+  }
+  if (endTime !== undefined) {
+    const et = toHHMMSS(endTime);
+    if (!et) return res.status(400).json({ success: false, message: "Times must be HH:mm or HH:mm:ss" });
+    sets.push("end_time = ?");
+    params.push(et);
+  }
+  if (neededFor !== undefined) {
+    const needed = String(neededFor).toLowerCase();
+    if (!["foh", "boh", "anyone"].includes(needed)) {
+      return res.status(400).json({ success: false, message: "neededFor must be foh, boh or anyone" });
     }
+    sets.push("needed_for = ?");
+    params.push(needed);
+  }
 
-    const emp = empRows[0];
+  if (sets.length === 0) {
+    return res.status(400).json({ success: false, message: "Nothing to update" });
+  }
 
-    // 2) convert YYYY-MM-DD -> dd/MM/yyyy
-    const [yyyy, mm, dd] = String(date).split("-");
-    const dayPrefix = `${dd}/${mm}/${yyyy}`; // dd/MM/yyyy
+  try {
+    const workspacePool = getPool(db);
+    if (!(await ensureShiftRequestCreator(workspacePool, id, req, res))) return;
 
-    // 3) fetch rota entries for that day for that employee
-    const [rotaRows] = await conn.query(
-      `SELECT id, day, startTime, endTime, designation, Published
-      FROM rota
-      WHERE TRIM(name) = TRIM(?)
-        AND TRIM(lastName) = TRIM(?)
-        AND day LIKE CONCAT(?, '%')
-        AND Published = 'Published'`,
-      [emp.name, emp.lastName, dayPrefix]
+    const [result] = await workspacePool.query(
+      `UPDATE ShiftRequests SET ${sets.join(", ")}, updated_at = NOW() WHERE id = ? AND status = 'pending'`,
+      [...params, id]
     );
 
-    conn.release();
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ success: false, message: "Only pending shift requests can be edited" });
+    }
 
-    return res.json({
-      success: true,
-      shifts: rotaRows || [],
-      employee: {
-        name: emp.name,
-        lastName: emp.lastName,
-        designation: emp.designation,
-      },
-    });
+    console.log(`✏️ Shift request edited | db=${db} | id=${id} | by=${req.user.email}`);
+    return res.json({ success: true, message: "Shift request updated" });
   } catch (err) {
-    conn.release();
-    console.error("❌ /rota/my-day error:", err);
-    return res.status(500).json({
-      success: false,
-      message: "Server error",
-      error: err.message,
-    });
+    console.error("❌ Error editing shift request:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
   }
 });
 
-// Get all employees
-app.get("/rota/employees", async (req, res) => {
-  const { db } = req.query;
-  
+// Cancel a pending shift request
+app.post("/rota/shift-request/:id/cancel", async (req, res) => {
+  const { db } = req.body;
+  const { id } = req.params;
+
   if (!db) {
-    return res.status(400).json({ success: false, message: "db required" });
+    return res.status(400).json({ success: false, message: "db is required" });
   }
-  
+
   try {
-    const pool = getPool(db);
-    const [rows] = await pool.query(
-      `SELECT id, name, lastName, email, designation FROM Employees WHERE situation IS NULL
-      OR TRIM(situation) = '' ORDER BY name`
+    const workspacePool = getPool(db);
+    if (!(await ensureShiftRequestCreator(workspacePool, id, req, res))) return;
+
+    const [result] = await workspacePool.query(
+      `UPDATE ShiftRequests
+       SET status = 'cancelled', cancelled_by_email = ?, cancelled_at = NOW()
+       WHERE id = ? AND status = 'pending'`,
+      [req.user.email, id]
     );
-    
-    res.json({ success: true, employees: rows });
-  } catch (err) {
+
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ success: false, message: "Only pending shift requests can be cancelled" });
+    }
+
+    console.log(`🚫 Shift request cancelled | db=${db} | id=${id} | by=${req.user.email}`);
+    return res.json({ success: true, message: "Shift request cancelled" });
+  } catch (err) {
+    console.error("❌ Error cancelling shift request:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Give an accepted shift back: the rota row is removed and the request is
+// open (pending) again. Allowed for whoever accepted it and for rota managers.
+app.post("/rota/shift-request/:id/release", async (req, res) => {
+  const { db } = req.body;
+  const { id } = req.params;
+  const email = String(req.user.email).trim().toLowerCase();
+
+  if (!db) {
+    return res.status(400).json({ success: false, message: "db is required" });
+  }
+
+  const workspacePool = getPool(db);
+  const conn = await workspacePool.getConnection();
+
+  try {
+    await conn.beginTransaction();
+
+    const [reqRows] = await conn.query(
+      `SELECT id, DATE_FORMAT(day_date, '%Y-%m-%d') AS day_date, start_time, end_time, needed_for, status, accepted_by_email,
+              accepted_first_name, accepted_last_name
+       FROM ShiftRequests WHERE id = ? FOR UPDATE`,
+      [id]
+    );
+    const shift = reqRows[0];
+
+    if (!shift) {
+      await conn.rollback();
+      conn.release();
+      return res.status(404).json({ success: false, message: "Shift request not found" });
+    }
+    if (shift.status !== "accepted") {
+      await conn.rollback();
+      conn.release();
+      return res.status(409).json({ success: false, message: "Only accepted shifts can be released" });
+    }
+    if (shift.day_date < moment.tz('Europe/London').format('YYYY-MM-DD')) {
+      await conn.rollback();
+      conn.release();
+      return res.status(409).json({ success: false, message: "This shift is in the past" });
+    }
+
+    const isAccepter = String(shift.accepted_by_email || "").trim().toLowerCase() === email;
+    if (!isAccepter) {
+      const accessInfo = await getUserAccessFromMainDB({ authPool: pool, email, db });
+      if (!roleHasCapability(accessInfo.access, "rota.publish")) {
+        await conn.rollback();
+        conn.release();
+        return forbidden(res, { capability: "rota.publish", access: accessInfo.access, message: "Only the person who took this shift or a manager can release it" });
+      }
+    }
+
+    // A shift someone clocked into, or whose timesheet is approved, has to stay on the rota
+    if (await timesheetApproved(conn, id)) {
+      await conn.rollback();
+      conn.release();
+      return res.status(409).json(TIMESHEET_LOCKED);
+    }
+    const [attendance] = await conn.query(
+      `SELECT shift_id FROM ShiftAttendance WHERE shift_id = ?
+       UNION SELECT shift_id FROM ClockEvents WHERE shift_id = ? LIMIT 1`,
+      [id, id]
+    );
+    if (attendance.length > 0) {
+      await conn.rollback();
+      conn.release();
+      return res.status(409).json({ success: false, message: "This shift already has clock-ins and can't be released" });
+    }
+
+    const removed = await findShiftForChange(conn, id);
+    await conn.query(`DELETE FROM rota WHERE id = ?`, [id]);
+    await conn.query(
+      `UPDATE ShiftRequests
+       SET status = 'pending',
+           accepted_by_email = NULL, accepted_first_name = NULL, accepted_last_name = NULL, accepted_at = NULL,
+           released_by_email = ?, released_at = NOW()
+       WHERE id = ?`,
+      [email, id]
+    );
+
+    const who = `${shift.accepted_first_name || ""} ${shift.accepted_last_name || ""}`.trim() || shift.accepted_by_email;
+    const title = "Shift released";
+    const message = `${who}'s shift on ${formatDayLabel(shift.day_date)} ${String(shift.start_time).substring(0, 5)}–${String(shift.end_time).substring(0, 5)} is open again`;
+    await conn.query(
+      `INSERT INTO Notifications (targetRole, title, message, type)
+       VALUES (?, ?, ?, ?), (?, ?, ?, ?)`,
+      ["AM", title, message, "SHIFT_REQUEST", "Manager", title, message, "SHIFT_REQUEST"]
+    );
+
+    await conn.commit();
+    conn.release();
+
+    console.log(`↩️ Shift request released | db=${db} | id=${id} | by=${email}`);
+
+    // the person who gave the shift back doesn't need telling
+    await recordShiftChange(workspacePool, removed, "removed", { actorEmail: email, notify: !isAccepter });
+
+    announceShiftRequest(workspacePool, {
+      id, dayDate: shift.day_date, dayLabel: formatDayLabel(shift.day_date),
+      startTime: shift.start_time, endTime: shift.end_time, neededFor: shift.needed_for,
+    }, email).catch(err => console.error(`❌ Error announcing released shift ${id}:`, err.message));
+    return res.json({ success: true, message: "Shift released, the request is open again" });
+  } catch (err) {
+    try { await conn.rollback(); } catch (_) {}
+    conn.release();
+    console.error("❌ Error releasing shift:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Pending requests for days that have passed can no longer be taken
+async function expireShiftRequests() {
+  const todaySql = moment.tz('Europe/London').format('YYYY-MM-DD');
+
+  for (const { db_name } of listTenants()) {
+    try {
+      const [result] = await getPool(db_name).query(
+        `UPDATE ShiftRequests SET status = 'expired', expired_at = NOW()
+         WHERE status = 'pending' AND day_date < ?`,
+        [todaySql]
+      );
+      if (result.affectedRows > 0) {
+        console.log(`⌛ Expired ${result.affectedRows} shift request(s) in ${db_name}`);
+      }
+    } catch (err) {
+      console.error(`Error expiring shift requests in ${db_name}:`, err);
+    }
+  }
+}
+
+// Scheduled job: every day at 00:05 UK time
+cron.schedule('5 0 * * *', async () => {
+  console.log('🕛 Running shift request expiry (00:05 UK time)');
+  try {
+    await expireShiftRequests();
+  } catch (err) {
+    console.error('Error in shift request expiry cron job:', err);
+  }
+}, {
+  timezone: 'Europe/London'
+});
+
+// GET /rota/my-day?db=WORKSPACE&email=user@email.com&date=YYYY-MM-DD
+app.get("/rota/my-day", async (req, res) => {
+  const { db, date } = req.query;
+  const email = req.user.email;
+
+  if (!db || !email || !date) {
+    return res.status(400).json({
+      success: false,
+      message: "db, email, date are required",
+    });
+  }
+
+  const workspacePool = getPool(db);
+  const conn = await workspacePool.getConnection();
+
+  try {
+    // 1) get the caller's employee record from the workspace DB
+    const emp = await findEmployeeByEmail(conn, email);
+
+    if (!emp) {
+      conn.release();
+      return res.status(404).json({
+        success: false,
+        message: "Employee not found",
+      });
+    }
+
+    // 2) validate YYYY-MM-DD
+    const daySql = toSqlDate(date);
+    if (!daySql) {
+      conn.release();
+      return res.status(400).json({ success: false, message: "date must be YYYY-MM-DD" });
+    }
+
+    // 3) fetch rota entries for that day for that employee
+    const [rotaRows] = await conn.query(
+      `SELECT id, ${dayLabelSql()} AS day, startTime, endTime, designation, Published
+      FROM rota
+      WHERE employee_id = ?
+        AND day_date = ?
+        AND Published = 'Published'`,
+      [emp.id, daySql]
+    );
+
+    conn.release();
+
+    return res.json({
+      success: true,
+      shifts: rotaRows || [],
+      employee: {
+        name: emp.name,
+        lastName: emp.lastName,
+        designation: emp.designation,
+      },
+    });
+  } catch (err) {
+    conn.release();
+    console.error("❌ /rota/my-day error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: err.message,
+    });
+  }
+});
+
+// Get all employees
+app.get("/rota/employees", async (req, res) => {
+  const { db } = req.query;
+  
+  if (!db) {
+    return res.status(400).json({ success: false, message: "db required" });
+  }
+  
+  try {
+    const pool = getPool(db);
+    const [rows] = await pool.query(
+      `SELECT id, name, lastName, email, designation FROM Employees WHERE situation IS NULL
+      OR TRIM(situation) = '' ORDER BY name`
+    );
+    
+    res.json({ success: true, employees: rows });
+  } catch (err) {
     console.error("Error fetching employees:", err);
     res.status(500).json({ success: false, message: "Server error" });
   }
@@ -642,9 +1425,9 @@ app.post("/rota/add-direct", async (req, res) => {
       startTime, 
       endTime, 
       employeeEmail,
-      employeeName,
-      employeeLastName,
-      employeeDesignation 
+      employeeDesignation,
+      publish,
+      overridePendingLeave
     } = req.body;
 
     if (!db || !dayLabel || !startTime || !endTime || !employeeEmail) {
@@ -654,35 +1437,66 @@ app.post("/rota/add-direct", async (req, res) => {
       });
     }
 
+    // dayDate (YYYY-MM-DD) wins, dayLabel "dd/mm/yyyy (Monday)" still accepted
+    const daySql = toSqlDate(dayDate) || toSqlDate(dayLabel);
+    if (!daySql) {
+      return res.status(400).json({ success: false, message: "dayDate must be YYYY-MM-DD" });
+    }
+
     const pool = getPool(db);
+
+    const employee = await findEmployeeByEmail(pool, employeeEmail);
+    if (!employee) {
+      return res.status(404).json({ success: false, message: "Employee not found" });
+    }
+
+    const leaveClash = await leaveClashFor(pool, employee.id, daySql, overridePendingLeave);
+    if (leaveClash) {
+      return res.status(409).json(leaveClash);
+    }
+
+    const shiftChecks = await checkShiftAssignment(pool, employee.id, { dayDate: daySql, startTime, endTime });
+    if (shiftChecks.blocks.length > 0) {
+      return res.status(409).json(workingTimeBlocked(shiftChecks));
+    }
     
     // Genera un ID univoco per il turno
     const shiftId = Math.floor(1000000000000000 + Math.random() * 9000000000000000).toString();
     
-    // Inserisci nella tabella rota - usa dayLabel che ha già il formato corretto
     const [result] = await pool.query(
           `INSERT INTO rota 
-          (id, name, lastName, day, startTime, endTime, designation, Published) 
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          (id, employee_id, name, lastName, day, day_date, startTime, endTime, designation, Published) 
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
           [
             shiftId,
-            employeeName,
-            employeeLastName,
-            dayLabel,  // Già nel formato "dd/mm/yyyy (Monday)"
+            employee.id,
+            employee.name,
+            employee.lastName,
+            formatDayLabel(daySql),
+            daySql,
             startTime,
             endTime,
-            employeeDesignation,
-            'Published'
+            employeeDesignation || employee.designation,
+            rotaStatusFor(publish)
           ]
         );
 
+    await recordShiftChange(pool, {
+      id: shiftId, employee_id: employee.id, dayDate: daySql, Published: rotaStatusFor(publish),
+    }, "added", {
+      after: { startTime, endTime },
+      actorEmail: req.user.email,
+    });
+
     console.log(`✅ Shift added to rota with ID: ${shiftId}`);
-    console.log(`✅ Day format: ${dayLabel}`);
+    console.log(`✅ Day: ${daySql}`);
 
     res.json({ 
       success: true, 
       message: "Shift added to rota successfully",
-      shiftId: shiftId 
+      shiftId: shiftId,
+      status: rotaStatusFor(publish),
+      warnings: shiftChecks.warnings
     });
 
   } catch (err) {
@@ -699,7 +1513,8 @@ app.post("/rota/add-direct", async (req, res) => {
 
 // Get payslips for logged-in employee with pagination and month filter
 app.get("/employee/payslips", async (req, res) => {
-  const { db, email, month, page = 1, limit = 10 } = req.query;
+  const { db, month, page = 1, limit = 10 } = req.query;
+  const email = req.user.email;
 
   console.log("=================================");
   console.log("📊 GET PAYSLIPS - Request received");
@@ -824,7 +1639,8 @@ app.get("/employee/payslips", async (req, res) => {
 
 // Get months with available payslips for dropdown
 app.get("/employee/payslip-months", async (req, res) => {
-  const { db, email } = req.query;
+  const { db } = req.query;
+  const email = req.user.email;
 
   console.log("=================================");
   console.log("📊 GET MONTHS - Request received");
@@ -891,7 +1707,8 @@ function formatMonthDisplay(monthYear) {
 
 // Download payslip for employee
 app.get("/employee/download-payslip/:id", async (req, res) => {
-  const { db, email } = req.query;
+  const { db } = req.query;
+  const email = req.user.email;
   const { id } = req.params;
 
   if (!db || !email || !id) {
@@ -980,63 +1797,402 @@ app.get("/employee/download-payslip/:id", async (req, res) => {
   }
 });
 
-// ==================== FEED ENDPOINTS ====================
+// ==================== PAYSLIP UPLOAD ====================
+// Managers upload a month's payslips as PDFs and/or ZIPs of PDFs (base64 in
+// JSON, like feed attachments). Each PDF is matched to one employee by NIN,
+// then email, then name, looking at the file name and the PDF text. Matched
+// files become payslips rows and the employee is notified; anything else is
+// parked in PendingPayslips for manual assignment.
+
+const PAYSLIP_UPLOAD_MAX_FILES = 500;
+// ZIP entries are checked against their declared size before being inflated
+const PAYSLIP_MAX_FILE_BYTES = 10 * 1024 * 1024;
+const PAYSLIP_UPLOAD_MAX_BYTES = 200 * 1024 * 1024;
+
+const NIN_REGEX = /\b([A-CEGHJ-PR-TW-Z]{2})\s?(\d{2})\s?(\d{2})\s?(\d{2})\s?([A-D])\b/gi;
+const EMAIL_REGEX = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+
+const normalizeNin = nin => String(nin || "").replace(/\s+/g, "").toUpperCase();
+const nameWords = text => String(text || "").toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+  .split(/[^a-z']+/).filter(Boolean);
+
+// Uploaded { fileName, content (base64) } -> [{ fileName, buffer }] of PDFs, plus rejected files.
+// `error` is set (and expansion stops) when the upload exceeds the file count or size caps.
+function expandPayslipUploads(files) {
+  const pdfs = [];
+  const rejected = [];
+  let totalBytes = 0;
+  let entryCount = 0;
+
+  for (const file of files) {
+    const fileName = String((file && file.fileName) || "payslip.pdf").split(/[\\/]/).pop();
+    const buffer = Buffer.from(String((file && file.content) || "").replace(/^data:[^;]+;base64,/, ""), "base64");
+
+    if (buffer.toString("ascii", 0, 4) === "%PDF") {
+      if (++entryCount > PAYSLIP_UPLOAD_MAX_FILES) {
+        return { pdfs, rejected, error: `At most ${PAYSLIP_UPLOAD_MAX_FILES} payslips per upload` };
+      }
+      totalBytes += buffer.length;
+      pdfs.push({ fileName, buffer });
+    } else if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+      let entries;
+      try {
+        entries = new AdmZip(buffer).getEntries();
+      } catch (err) {
+        rejected.push({ fileName, reason: `Could not read ZIP: ${err.message}` });
+        continue;
+      }
 
-// Create a new feed post
-app.post("/feed/create", async (req, res) => {
-  const { 
-    db, 
-    authorEmail, 
-    content, 
-    attachments, 
-    visibility = 'all', 
-    mentions = [], 
-    bulkMentions = [], 
-    poll 
-  } = req.body;
+      for (const entry of entries) {
+        const entryName = entry.entryName.split("/").pop();
+        if (entry.isDirectory || entry.entryName.startsWith("__MACOSX/") || entryName.startsWith(".")) continue;
 
-  if (!db || !authorEmail || !content) {
-    return res.status(400).json({
-      success: false,
-      message: "Database, author email, and content are required"
-    });
+        if (++entryCount > PAYSLIP_UPLOAD_MAX_FILES) {
+          return { pdfs, rejected, error: `At most ${PAYSLIP_UPLOAD_MAX_FILES} payslips per upload` };
+        }
+        const size = Number(entry.header.size) || 0;
+        if (size > PAYSLIP_MAX_FILE_BYTES) {
+          rejected.push({ fileName: `${fileName}/${entryName}`, reason: "File too large" });
+          continue;
+        }
+        if (totalBytes + size > PAYSLIP_UPLOAD_MAX_BYTES) {
+          return { pdfs, rejected, error: `Upload is larger than ${PAYSLIP_UPLOAD_MAX_BYTES / 1024 / 1024} MB uncompressed` };
+        }
+
+        try {
+          const data = entry.getData();
+          totalBytes += data.length;
+          if (data.toString("ascii", 0, 4) === "%PDF") pdfs.push({ fileName: entryName, buffer: data });
+          else rejected.push({ fileName: `${fileName}/${entryName}`, reason: "Not a PDF" });
+        } catch (err) {
+          rejected.push({ fileName: `${fileName}/${entryName}`, reason: `Could not read ZIP entry: ${err.message}` });
+        }
+      }
+    } else {
+      rejected.push({ fileName, reason: "Not a PDF or ZIP" });
+    }
   }
+  return { pdfs, rejected };
+}
 
+async function pdfText(buffer) {
+  const parser = new PDFParse({ data: buffer });
   try {
-    const pool = getPool(db);
+    const result = await parser.getText();
+    return result.text || "";
+  } catch (err) {
+    console.warn(`⚠️ Could not read payslip PDF text: ${err.message}`);
+    return "";
+  } finally {
+    await parser.destroy();
+  }
+}
 
-    // Get author info from Employees table
-    const [authorRows] = await pool.query(
-      "SELECT name, lastName, designation FROM Employees WHERE email = ?",
-      [authorEmail]
+// -> { employee, method } when exactly one employee matches, else { employee: null, reason, candidates }
+function matchPayslip(employees, fileName, text) {
+  const haystack = `${fileName.replace(/\.pdf$/i, "").replace(/[_]+/g, " ")}\n${text}`;
+
+  const nins = new Set([...haystack.matchAll(NIN_REGEX)].map(m => normalizeNin(m[0])));
+  const emails = new Set((haystack.match(EMAIL_REGEX) || []).map(e => e.toLowerCase()));
+  const words = ` ${nameWords(haystack).join(" ")} `;
+
+  const checks = [
+    ["nin", e => e.nin && nins.has(normalizeNin(e.nin))],
+    ["email", e => e.email && emails.has(String(e.email).trim().toLowerCase())],
+    ["name", e => {
+      const first = nameWords(e.name).join(" ");
+      const last = nameWords(e.lastName).join(" ");
+      return first && last && (words.includes(` ${first} ${last} `) || words.includes(` ${last} ${first} `));
+    }],
+  ];
+
+  let candidates = [];
+  for (const [method, test] of checks) {
+    const matches = employees.filter(test);
+    if (matches.length === 1) return { employee: matches[0], method };
+    if (matches.length > 1 && candidates.length === 0) candidates = matches;
+  }
+
+  return {
+    employee: null,
+    reason: candidates.length > 0 ? "Matches more than one employee" : "No NIN, email or name found for any employee",
+    candidates,
+  };
+}
+
+async function insertPayslip(conn, employee, month, buffer) {
+  const [rows] = await conn.query(
+    `SELECT COALESCE(MAX(payslip_number), 0) + 1 AS next FROM payslips WHERE email = ? AND Month = ? FOR UPDATE`,
+    [employee.email, month]
+  );
+  const [result] = await conn.query(
+    `INSERT INTO payslips (name, lastName, email, Month, payslip_number, date, fileContent)
+     VALUES (?, ?, ?, ?, ?, NOW(), ?)`,
+    [employee.name, employee.lastName, employee.email, month, rows[0].next, buffer]
+  );
+  return { id: result.insertId, payslipNumber: rows[0].next };
+}
+
+async function notifyPayslipsReady(pool, emails, month, authorEmail) {
+  for (const email of emails) {
+    await notifyEmployee(pool, email, {
+      title: "Payslip ready",
+      message: `Your payslip for ${formatMonthDisplay(month)} is ready to download`,
+      type: "PAYSLIP",
+      authorEmail,
+      data: { month },
+    });
+  }
+}
+
+const describeCandidate = e => ({ employeeId: e.id, name: e.name, lastName: e.lastName, email: e.email });
+
+// Body: { db, month: "YYYY-MM", files: [{ fileName, content (base64 PDF or ZIP) }] }
+app.post("/payslips/upload", async (req, res) => {
+  const { db, month, files } = req.body;
+
+  if (!db || !/^\d{4}-(0[1-9]|1[0-2])$/.test(String(month || "")) || !Array.isArray(files) || files.length === 0) {
+    return res.status(400).json({ success: false, message: "db, month (YYYY-MM) and a non-empty files array are required" });
+  }
+
+  const { pdfs, rejected, error } = expandPayslipUploads(files);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+  if (pdfs.length === 0) {
+    return res.status(400).json({ success: false, message: "No PDF payslips found in the upload", rejected });
+  }
+
+  const pool = getPool(db);
+  const conn = await pool.getConnection();
+  const batchId = crypto.randomUUID();
+
+  try {
+    const [employees] = await conn.query(
+      `SELECT id, name, lastName, email, nin FROM Employees WHERE email IS NOT NULL AND TRIM(email) <> ''`
     );
 
-    if (!authorRows || authorRows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "Author not found"
-      });
+    // PDF text is read before the transaction, it is the slow part
+    const matches = [];
+    for (const pdf of pdfs) {
+      matches.push({ ...pdf, ...matchPayslip(employees, pdf.fileName, await pdfText(pdf.buffer)) });
     }
 
-    const author = authorRows[0];
-    const authorName = `${author.name} ${author.lastName}`;
-    const postId = generatePostId();
-    const createdAt = new Date();
-    
-    const visibilityStr = Array.isArray(visibility) ? visibility.join(',') : visibility;
+    await conn.beginTransaction();
 
-    // ===========================================
-    // 1. INSERT POST INTO FeedPosts
-    // ===========================================
-    await pool.query(
-      `INSERT INTO FeedPosts (
-        id, authorName, authorEmail, authorDesignation, content, 
-        attachments, visibility, createdAt, expiresAt, isPinned, isActive
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        postId, 
-        authorName, 
+    const matched = [];
+    const unmatched = [];
+    for (const m of matches) {
+      if (m.employee) {
+        const payslip = await insertPayslip(conn, m.employee, month, m.buffer);
+        matched.push({ fileName: m.fileName, method: m.method, payslipId: payslip.id, payslipNumber: payslip.payslipNumber, ...describeCandidate(m.employee) });
+      } else {
+        const [result] = await conn.query(
+          `INSERT INTO PendingPayslips (batch_id, Month, file_name, fileContent, reason, candidate_ids, uploaded_by_email)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [batchId, month, m.fileName.substring(0, 255), m.buffer, m.reason, m.candidates.map(c => c.id).join(",") || null, req.user.email]
+        );
+        unmatched.push({ id: result.insertId, fileName: m.fileName, reason: m.reason, candidates: m.candidates.map(describeCandidate) });
+      }
+    }
+
+    await conn.commit();
+    conn.release();
+
+    console.log(`📑 Payslips uploaded | db=${db} | month=${month} | matched=${matched.length} unmatched=${unmatched.length} rejected=${rejected.length} | by=${req.user.email}`);
+
+    const notifyEmails = [...new Set(matched.map(m => m.email))];
+    notifyPayslipsReady(pool, notifyEmails, month, req.user.email)
+      .catch(err => console.error("❌ Error notifying payslips:", err));
+
+    return res.json({
+      success: true,
+      message: `${matched.length} payslip(s) saved, ${unmatched.length} need assigning`,
+      batchId,
+      month,
+      matched,
+      unmatched,
+      rejected,
+    });
+  } catch (err) {
+    try { await conn.rollback(); } catch (_) {}
+    conn.release();
+    console.error("❌ /payslips/upload error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Query: db, month (optional YYYY-MM)
+app.get("/payslips/unmatched", async (req, res) => {
+  const { db, month } = req.query;
+  if (!db) {
+    return res.status(400).json({ success: false, message: "db is required" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const [rows] = await pool.query(
+      `SELECT id, batch_id, Month, file_name, reason, candidate_ids, uploaded_by_email, created_at
+       FROM PendingPayslips ${month ? "WHERE Month = ?" : ""}
+       ORDER BY created_at DESC, id`,
+      month ? [month] : []
+    );
+
+    const candidateIds = [...new Set(rows.flatMap(r => String(r.candidate_ids || "").split(",").filter(Boolean)))];
+    const [candidates] = candidateIds.length > 0
+      ? await pool.query(`SELECT id, name, lastName, email FROM Employees WHERE id IN (?)`, [candidateIds])
+      : [[]];
+    const byId = new Map(candidates.map(c => [String(c.id), describeCandidate(c)]));
+
+    return res.json({
+      success: true,
+      files: rows.map(r => ({
+        id: r.id,
+        batchId: r.batch_id,
+        month: r.Month,
+        fileName: r.file_name,
+        reason: r.reason,
+        candidates: String(r.candidate_ids || "").split(",").filter(Boolean).map(id => byId.get(id)).filter(Boolean),
+        uploadedBy: r.uploaded_by_email,
+        uploadedAt: r.created_at,
+      })),
+    });
+  } catch (err) {
+    console.error("❌ /payslips/unmatched error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Body: { db, employeeId }
+app.post("/payslips/unmatched/:id/assign", async (req, res) => {
+  const { db, employeeId } = req.body;
+  if (!db || !employeeId) {
+    return res.status(400).json({ success: false, message: "db and employeeId are required" });
+  }
+
+  const pool = getPool(db);
+  const conn = await pool.getConnection();
+
+  try {
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(`SELECT * FROM PendingPayslips WHERE id = ? FOR UPDATE`, [req.params.id]);
+    if (rows.length === 0) {
+      await conn.rollback();
+      conn.release();
+      return res.status(404).json({ success: false, message: "Unmatched payslip not found" });
+    }
+
+    const employee = await findEmployeeById(conn, employeeId);
+    if (!employee || !employee.email) {
+      await conn.rollback();
+      conn.release();
+      return res.status(404).json({ success: false, message: "Employee not found or has no email" });
+    }
+
+    const pending = rows[0];
+    const payslip = await insertPayslip(conn, employee, pending.Month, pending.fileContent);
+    await conn.query(`DELETE FROM PendingPayslips WHERE id = ?`, [pending.id]);
+
+    await conn.commit();
+    conn.release();
+
+    console.log(`📑 Payslip assigned | db=${db} | file=${pending.file_name} -> ${employee.email} | by=${req.user.email}`);
+
+    notifyPayslipsReady(pool, [employee.email], pending.Month, req.user.email)
+      .catch(err => console.error("❌ Error notifying payslip:", err));
+
+    return res.json({
+      success: true,
+      message: `Payslip assigned to ${employee.name} ${employee.lastName}`,
+      payslipId: payslip.id,
+      payslipNumber: payslip.payslipNumber,
+    });
+  } catch (err) {
+    try { await conn.rollback(); } catch (_) {}
+    conn.release();
+    console.error("❌ /payslips/unmatched assign error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+app.delete("/payslips/unmatched/:id", async (req, res) => {
+  const { db } = req.query;
+  if (!db) {
+    return res.status(400).json({ success: false, message: "db is required" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const [result] = await pool.query(`DELETE FROM PendingPayslips WHERE id = ?`, [req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: "Unmatched payslip not found" });
+    }
+    return res.json({ success: true, message: "Unmatched payslip discarded" });
+  } catch (err) {
+    console.error("❌ DELETE /payslips/unmatched error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// ==================== FEED ENDPOINTS ====================
+
+// Create a new feed post
+app.post("/feed/create", async (req, res) => {
+  const { 
+    db, 
+    content, 
+    attachments, 
+    visibility = 'all', 
+    mentions = [], 
+    bulkMentions = [], 
+    poll 
+  } = req.body;
+  const authorEmail = req.user.email;
+
+  if (!db || !authorEmail || !content) {
+    return res.status(400).json({
+      success: false,
+      message: "Database, author email, and content are required"
+    });
+  }
+
+  try {
+    const pool = getPool(db);
+
+    // Get author info from Employees table
+    const [authorRows] = await pool.query(
+      "SELECT id, name, lastName, designation FROM Employees WHERE email = ?",
+      [authorEmail]
+    );
+
+    if (!authorRows || authorRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Author not found"
+      });
+    }
+
+    const author = authorRows[0];
+    const authorName = `${author.name} ${author.lastName}`;
+    const postId = generatePostId();
+    const createdAt = new Date();
+    
+    const visibilityStr = Array.isArray(visibility) ? visibility.join(',') : visibility;
+
+    // ===========================================
+    // 1. INSERT POST INTO FeedPosts
+    // ===========================================
+    await pool.query(
+      `INSERT INTO FeedPosts (
+        id, authorName, authorEmail, author_id, authorDesignation, content, 
+        attachments, visibility, createdAt, expiresAt, isPinned, isActive
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        postId, 
+        authorName, 
         authorEmail, 
+        author.id, 
         author.designation || '',
         content, 
         attachments && attachments.length > 0 ? JSON.stringify(attachments) : null,
@@ -1376,7 +2532,8 @@ app.post("/feed/create", async (req, res) => {
 
 // Get feed posts
 app.get("/feed/posts", async (req, res) => {
-  const { db, userEmail, page = 1, limit = 20, filter } = req.query;
+  const { db, page = 1, limit = 20, filter } = req.query;
+  const userEmail = req.user.email;
 
   if (!db || !userEmail) {
     return res.status(400).json({
@@ -1391,11 +2548,12 @@ app.get("/feed/posts", async (req, res) => {
 
     // Get user info to determine their role
     const [userRows] = await pool.query(
-      "SELECT designation FROM Employees WHERE email = ?",
+      "SELECT id, designation FROM Employees WHERE email = ?",
       [userEmail]
     );
 
     const userDesignation = userRows[0]?.designation || 'FOH';
+    const userEmployeeId = userRows[0]?.id || null;
 
     // Main query to get posts
     let query = `
@@ -1441,8 +2599,9 @@ app.get("/feed/posts", async (req, res) => {
     if (filter === 'pinned') {
       query += ` AND p.isPinned = true`;
     } else if (filter === 'my_posts') {
-      query += ` AND p.authorEmail = ?`;
-      params.push(userEmail);
+      // author_id survives an email change; authorEmail covers posts not yet linked
+      query += ` AND (p.author_id = ? OR (p.author_id IS NULL AND p.authorEmail = ?))`;
+      params.push(userEmployeeId, userEmail);
     }
 
     query += ` ORDER BY p.isPinned DESC, p.createdAt DESC LIMIT ? OFFSET ?`;
@@ -1617,7 +2776,8 @@ app.get("/feed/posts", async (req, res) => {
 
 // Like/unlike a post
 app.post("/feed/like", async (req, res) => {
-  const { db, postId, userEmail } = req.body;
+  const { db, postId } = req.body;
+  const userEmail = req.user.email;
 
   if (!db || !postId || !userEmail) {
     return res.status(400).json({
@@ -1832,7 +2992,8 @@ app.get("/feed/media", async (req, res) => {
 
 // Delete comment
 app.delete("/feed/comment/:commentId", async (req, res) => {
-  const { db, userEmail } = req.query;
+  const { db } = req.query;
+  const userEmail = req.user.email;
   const { commentId } = req.params;
 
   if (!db || !commentId || !userEmail) {
@@ -1902,7 +3063,8 @@ app.delete("/feed/comment/:commentId", async (req, res) => {
 
 // ADD COMMENT (supports parentCommentId = reply) + optional mention notifications
 app.post("/feed/comment", async (req, res) => {
-  const { db, postId, userEmail, content, parentCommentId } = req.body;
+  const { db, postId, content, parentCommentId } = req.body;
+  const userEmail = req.user.email;
 
   if (!db || !postId || !userEmail || !content) {
     return res.status(400).json({
@@ -2133,7 +3295,8 @@ app.get("/feed/comments", async (req, res) => {
 
 // TOGGLE REACTION ON COMMENT
 app.post("/feed/comment/reaction", async (req, res) => {
-  const { db, commentId, userEmail, emoji } = req.body;
+  const { db, commentId, emoji } = req.body;
+  const userEmail = req.user.email;
 
   if (!db || !commentId || !userEmail || !emoji) {
     return res.status(400).json({
@@ -2244,9 +3407,10 @@ app.get("/feed/comment/reactions", async (req, res) => {
   }
 });
 
-// Pin/unpin post (Manager/AM only)
+// Pin/unpin post (feed.moderate)
 app.post("/feed/pin", async (req, res) => {
-  const { db, postId, userEmail, pin } = req.body;
+  const { db, postId, pin } = req.body;
+  const userEmail = req.user.email;
 
   if (!db || !postId || !userEmail) {
     return res.status(400).json({
@@ -2256,50 +3420,13 @@ app.post("/feed/pin", async (req, res) => {
   }
 
   const email = String(userEmail).trim().toLowerCase();
-
-  // ✅ MAIN pool (yassir_access) — same as /login
-  const authPool = pool;
+  const access = req.user.access; // checked by enforceRouteCapabilities (feed.moderate)
 
   // ✅ WORKSPACE pool (Feed tables)
   const workspacePool = getPool(db);
 
   try {
-    // 1) Permission check from MAIN DB
-    const [userRows] = await authPool.query(
-      `SELECT TRIM(LOWER(COALESCE(\`Access\`, ''))) AS access
-       FROM users
-       WHERE (LOWER(TRIM(\`Email\`)) = ? OR LOWER(TRIM(email)) = ?)
-         AND TRIM(LOWER(db_name)) = TRIM(LOWER(?))
-       LIMIT 1`,
-      [email, email, db]
-    );
-
-    console.log("🔎 PIN CHECK (MAIN DB yassir_access):", {
-      db,
-      postId,
-      email,
-      matchedRows: userRows?.length || 0,
-      row: userRows?.[0] || null,
-    });
-
-    if (!userRows || userRows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: `User not found for this workspace`,
-      });
-    }
-
-    const access = userRows[0].access; // normalized
-    const canPin = ["admin", "am", "assistant manager"].includes(access);
-
-    if (!canPin) {
-      return res.status(403).json({
-        success: false,
-        message: `Only admin/AM can pin/unpin posts. Access='${access}'`,
-      });
-    }
-
-    // 2) Update post in WORKSPACE DB
+    // Update post in WORKSPACE DB
     const pinVal = pin ? 1 : 0;
 
     const [result] = await workspacePool.query(
@@ -2332,7 +3459,8 @@ app.post("/feed/pin", async (req, res) => {
 
 // Vote in a poll
 app.post("/feed/poll/vote", async (req, res) => {
-  const { db, pollId, optionId, userEmail } = req.body;
+  const { db, pollId, optionId } = req.body;
+  const userEmail = req.user.email;
 
   if (!db || !pollId || !optionId || !userEmail) {
     return res.status(400).json({
@@ -2450,7 +3578,8 @@ app.get("/feed/poll/votes", async (req, res) => {
 
 // CHANGE VOTE IN A POLL (UNVOTE THEN VOTE AGAIN)
 app.post("/feed/poll/change-vote", async (req, res) => {
-  const { db, pollId, oldOptionId, newOptionId, userEmail } = req.body;
+  const { db, pollId, oldOptionId, newOptionId } = req.body;
+  const userEmail = req.user.email;
 
   if (!db || !pollId || !newOptionId || !userEmail) {
     return res.status(400).json({
@@ -2525,9 +3654,10 @@ app.post("/feed/poll/change-vote", async (req, res) => {
   }
 });
 
-// Delete post (author, Manager, AM only)
+// Delete post (feed.moderate)
 app.delete("/feed/post/:postId", async (req, res) => {
-  const { db, userEmail } = req.query;
+  const { db } = req.query;
+  const userEmail = req.user.email;
   const { postId } = req.params;
 
   if (!db || !postId || !userEmail) {
@@ -2538,9 +3668,7 @@ app.delete("/feed/post/:postId", async (req, res) => {
   }
 
   const email = String(userEmail).trim().toLowerCase();
-
-  // ✅ MAIN pool (yassir_access)
-  const authPool = pool;
+  const access = req.user.access; // checked by enforceRouteCapabilities (feed.moderate)
 
   // ✅ WORKSPACE pool (Feed tables)
   const workspacePool = getPool(db);
@@ -2558,46 +3686,9 @@ app.delete("/feed/post/:postId", async (req, res) => {
       return res.status(404).json({ success: false, message: "Post not found" });
     }
 
-    // 2) Permission check from MAIN DB
-    const [userRows] = await authPool.query(
-      `SELECT TRIM(LOWER(COALESCE(\`Access\`, ''))) AS access
-       FROM users
-       WHERE (LOWER(TRIM(\`Email\`)) = ? OR LOWER(TRIM(email)) = ?)
-         AND TRIM(LOWER(db_name)) = TRIM(LOWER(?))
-       LIMIT 1`,
-      [email, email, db]
-    );
-
-    console.log("🔎 DELETE CHECK (MAIN DB yassir_access):", {
-      db,
-      postId,
-      email,
-      matchedRows: userRows?.length || 0,
-      row: userRows?.[0] || null,
-    });
-
-    if (!userRows || userRows.length === 0) {
-      conn.release();
-      return res.status(403).json({
-        success: false,
-        message: "User not found for this workspace",
-      });
-    }
-
-    const access = userRows[0].access;
-    const canDelete = ["am", "assistant manager"].includes(access); // ✅ AM only
-
-    if (!canDelete) {
-      conn.release();
-      return res.status(403).json({
-        success: false,
-        message: `Only AM can delete posts. Access='${access}'`,
-      });
-    }
-
     await conn.beginTransaction();
 
-    // 3) Delete comment reactions for this post
+    // 2) Delete comment reactions for this post
     await conn.query(
       `DELETE cr
        FROM CommentReactions cr
@@ -2606,19 +3697,19 @@ app.delete("/feed/post/:postId", async (req, res) => {
       [postId]
     );
 
-    // 4) Delete comments
+    // 3) Delete comments
     await conn.query(`DELETE FROM FeedComments WHERE postId = ?`, [postId]);
 
-    // 5) Delete likes
+    // 4) Delete likes
     await conn.query(`DELETE FROM FeedLikes WHERE postId = ?`, [postId]);
 
-    // 6) Delete mentions
+    // 5) Delete mentions
     await conn.query(`DELETE FROM FeedPostMentions WHERE postId = ?`, [postId]);
 
-    // 7) Delete media
+    // 6) Delete media
     await conn.query(`DELETE FROM FeedMedia WHERE postId = ?`, [postId]);
 
-    // 8) Delete poll data
+    // 7) Delete poll data
     const [pollRows] = await conn.query(
       `SELECT id FROM FeedPolls WHERE postId = ?`,
       [postId]
@@ -2631,7 +3722,7 @@ app.delete("/feed/post/:postId", async (req, res) => {
       await conn.query(`DELETE FROM FeedPolls WHERE id = ?`, [pollId]);
     }
 
-    // 9) Delete post
+    // 8) Delete post
     await conn.query(`DELETE FROM FeedPosts WHERE id = ?`, [postId]);
 
     await conn.commit();
@@ -2657,7 +3748,8 @@ app.delete("/feed/post/:postId", async (req, res) => {
 
 // Get user's feed interactions (likes, comments)
 app.get("/feed/user-interactions", async (req, res) => {
-  const { db, userEmail } = req.query;
+  const { db } = req.query;
+  const userEmail = req.user.email;
 
   if (!db || !userEmail) {
     return res.status(400).json({
@@ -2839,6 +3931,8 @@ app.post("/login", async (req, res) => {
     if (!loginSuccess) return res.json({ success: false, message: "Invalid email or password" });
     if (databases.length === 0) return res.json({ success: false, message: "No databases available" });
 
+    const tokens = signSessionTokens({ userId, email: trimmedEmail, databases });
+
     // LOG per debug
     console.log(`✅ Login successful for ${trimmedEmail} (userId: ${userId})`);
     console.log(`📚 Databases: ${JSON.stringify(databases)}`);
@@ -2848,7 +3942,8 @@ app.post("/login", async (req, res) => {
       message: "Login successful", 
       email: trimmedEmail, 
       userId: userId, // ← AGGIUNTO userId
-      databases 
+      databases,
+      ...tokens
     });
   } catch (err) {
     console.error(err);
@@ -2856,9 +3951,137 @@ app.post("/login", async (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new token pair (workspace access re-read from users)
+app.post("/auth/refresh", async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken)
+    return res.status(400).json({ success: false, message: "refreshToken required" });
+
+  let payload;
+  try {
+    payload = jwt.verify(refreshToken, JWT_REFRESH_SECRET);
+  } catch (err) {
+    return res.status(401).json({ success: false, message: "Invalid or expired refresh token" });
+  }
+
+  if (payload.typ !== "refresh") {
+    return res.status(401).json({ success: false, message: "Invalid or expired refresh token" });
+  }
+
+  try {
+    const [rows] = await pool.query(
+      "SELECT id, Email, Access, db_name FROM users WHERE Email = ?",
+      [payload.email]
+    );
+
+    const databases = rows
+      .filter(r => r.db_name)
+      .map(r => ({ db_name: r.db_name, access: r.Access }));
+
+    if (databases.length === 0) {
+      return res.status(401).json({ success: false, message: "No databases available" });
+    }
+
+    const tokens = signSessionTokens({ userId: payload.sub, email: payload.email, databases });
+
+    return res.json({ success: true, email: payload.email, userId: payload.sub, databases, ...tokens });
+  } catch (err) {
+    console.error("❌ Error refreshing session:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Role/capability matrix: which roles hold which capabilities, and which routes need them.
+// With ?db=... also returns the caller's own role and capabilities in that workspace.
+app.get("/permissions", async (req, res) => {
+  const { db } = req.query;
+
+  const capabilities = Object.entries(CAPABILITIES).map(([capability, description]) => ({
+    capability,
+    description,
+    roles: Object.keys(ROLE_CAPABILITIES).filter(role => ROLE_CAPABILITIES[role].includes(capability)),
+    routes: Object.keys(ROUTE_CAPABILITIES).filter(route => ROUTE_CAPABILITIES[route] === capability),
+  }));
+
+  let mine = null;
+  if (db) {
+    try {
+      const accessInfo = await getUserAccessFromMainDB({ authPool: pool, email: req.user.email, db });
+      mine = {
+        access: accessInfo.access,
+        role: normalizeRole(accessInfo.access),
+        capabilities: ROLE_CAPABILITIES[normalizeRole(accessInfo.access)] || [],
+      };
+    } catch (err) {
+      console.error("❌ Error reading caller access:", err);
+      return res.status(500).json({ success: false, message: "Server error", error: err.message });
+    }
+  }
+
+  return res.json({
+    success: true,
+    roles: ROLE_CAPABILITIES,
+    aliases: ROLE_ALIASES,
+    capabilities,
+    mine,
+  });
+});
+
+// ==================== WORKSPACE PROVISIONING ====================
+
+// Create a workspace: database + its own DB user + schema + first admin user + registry entry.
+// A call that failed half-way can be repeated with the same body to finish it.
+// Body: { workspace, displayName, admin: { email, password, name, lastName } }
+app.post("/admin/workspaces", async (req, res) => {
+  const { workspace, displayName, admin: adminUser } = req.body;
+
+  if (!workspace || !adminUser) {
+    return res.status(400).json({ success: false, message: "workspace and admin are required" });
+  }
+
+  try {
+    const result = await provisionWorkspace({ workspace, displayName, admin: adminUser });
+    return res.status(201).json({ success: true, message: "Workspace created", ...result });
+  } catch (err) {
+    console.error("❌ Error provisioning workspace:", err);
+    return res.status(err.status || 500).json({
+      success: false,
+      message: err.status ? err.message : "Server error provisioning workspace",
+      error: err.message,
+    });
+  }
+});
+
+// ==================== SCHEMA MIGRATIONS ====================
+
+// Schema version of main DB + every workspace, and which ones are behind
+app.get("/admin/migrations", async (req, res) => {
+  try {
+    const status = await migrationStatus();
+    return res.json({ success: true, ...status });
+  } catch (err) {
+    console.error("❌ Error reading migration status:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Apply pending migrations everywhere
+app.post("/admin/migrations/run", async (req, res) => {
+  try {
+    const results = await migrateAll();
+    const failed = results.filter(r => r.error);
+    return res.status(failed.length ? 207 : 200).json({ success: failed.length === 0, results });
+  } catch (err) {
+    console.error("❌ Error running migrations:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
 // Endpoint for Flutter app to register FCM tokens - FIXED VERSION
 app.post("/register-device", async (req, res) => {
-  const { userId, email, fcmToken, deviceType, dbName } = req.body;
+  const { fcmToken, deviceType, dbName } = req.body;
+  const userId = req.user.id;
+  const email = req.user.email;
   
   // 🟢 LOG 1: Ricevuta richiesta
   console.log("=================================");
@@ -2884,21 +4107,8 @@ app.post("/register-device", async (req, res) => {
     const pool = getPool(dbName);
     console.log(`🔌 Connesso al database: ${dbName}`);
     
-    // 🔍 Check the table structure first
-    console.log("🔍 Verifico struttura tabella user_devices...");
-    const [columns] = await pool.query("SHOW COLUMNS FROM user_devices");
-    console.log("📊 Colonne tabella:");
-    columns.forEach(col => {
-      console.log(`   - ${col.Field}: ${col.Type} (Default: ${col.Default})`);
-    });
-    
-    // Check if device_type column has a default value
-    const deviceTypeColumn = columns.find(col => col.Field === 'device_type');
-    if (deviceTypeColumn && deviceTypeColumn.Default) {
-      console.log(`⚠️ ATTENZIONE: device_type ha default value: '${deviceTypeColumn.Default}'`);
-      console.log(`   Questo potrebbe sovrascrivere il valore '${deviceType}' se non viene passato correttamente`);
-    }
-    
+    // user_devices structure is fixed by tenant migration 002 (no device_type default)
+
     // LOG 2: Controllo se token esiste
     console.log(`🔍 Cerco token esistente per email: ${email}`);
     
@@ -3019,7 +4229,8 @@ app.post("/select-database", async (req, res) => {
 
 // Get employee info by email
 app.get("/employee", async (req, res) => {
-  const { email, db } = req.query;
+  const { db } = req.query;
+  const email = req.user.email;
   if (!email || !db) return res.status(400).json({ success: false, message: "Email and db required" });
 
   try {
@@ -3049,7 +4260,8 @@ app.get("/employee", async (req, res) => {
 
 // Employees List
 app.get("/employees", async (req, res) => {
-  const { db, email } = req.query;
+  const { db } = req.query;
+  const email = req.user.email;
 
   if (!db) {
     return res.status(400).json({ success: false, message: "Database is required" });
@@ -3110,7 +4322,8 @@ app.get("/employees", async (req, res) => {
 
 // Profile Endpoint
 app.get("/profile/employees", async (req, res) => {
-  const { db, email } = req.query;
+  const { db } = req.query;
+  const email = req.user.email;
 
   if (!db || !email) {
     return res.status(400).json({ success: false, message: "db and email are required" });
@@ -3192,7 +4405,8 @@ app.get("/profile/employees", async (req, res) => {
 });
 
 app.patch("/profile/employees", async (req, res) => {
-  const { db, email, updates } = req.body;
+  const { db, updates } = req.body;
+  const email = req.user.email;
 
   if (!db || !email || !updates || typeof updates !== "object") {
     return res.status(400).json({
@@ -3275,6 +4489,12 @@ app.patch("/profile/employees", async (req, res) => {
       await conn.commit();
       conn.release();
 
+      // Token carries the email as identity -> hand back a fresh pair after a change
+      if (emailChanged) {
+        const tokens = signSessionTokens({ userId: req.user.id, email: newEmail, databases: req.user.databases });
+        return res.json({ success: true, message: "Profile updated", email: newEmail, ...tokens });
+      }
+
       return res.json({ success: true, message: "Profile updated" });
     } catch (err) {
       try { await conn.rollback(); } catch (_) {}
@@ -3295,24 +4515,28 @@ app.patch("/profile/employees", async (req, res) => {
 
 // Get current week's rota
 app.get("/rota", async (req, res) => {
-  const { db, name, lastName } = req.query;
-  if (!db || !name || !lastName)
-    return res.status(400).json({ success: false, message: "Database, name, and lastName required" });
+  const { db } = req.query;
+  if (!db)
+    return res.status(400).json({ success: false, message: "Database required" });
 
   try {
     const pool = getPool(db);
 
+    const employee = await findEmployeeByEmail(pool, req.user.email);
+    if (!employee)
+      return res.status(404).json({ success: false, message: "Employee not found" });
+
     const query = `
-      SELECT id, name, lastName, day, startTime, endTime, designation, wage
+      SELECT id, name, lastName, ${dayLabelSql()} AS day, startTime, endTime, designation, wage
       FROM rota
-      WHERE name = ? AND lastName = ? AND Published = 'Published'
-        AND STR_TO_DATE(day, '%d/%m/%Y') BETWEEN
+      WHERE employee_id = ? AND Published = 'Published'
+        AND day_date BETWEEN
             DATE_SUB(CURDATE(), INTERVAL WEEKDAY(CURDATE()) DAY)
             AND DATE_ADD(DATE_SUB(CURDATE(), INTERVAL WEEKDAY(CURDATE()) DAY), INTERVAL 6 DAY)
-      ORDER BY STR_TO_DATE(day, '%d/%m/%Y'), startTime
+      ORDER BY day_date, startTime
     `;
 
-    const [rows] = await pool.query(query, [name, lastName]);
+    const [rows] = await pool.query(query, [employee.id]);
 
     const formattedRows = rows.map(row => ({
       ...row,
@@ -3359,22 +4583,21 @@ app.get("/all-rota", async (req, res) => {
       SELECT 
         r.name,
         r.lastName,
-        r.day,
+        ${dayLabelSql("r.day_date")} AS day,
         TIME_FORMAT(r.startTime, '%H:%i') as startTime,
         TIME_FORMAT(r.endTime, '%H:%i') as endTime,
         COALESCE(e.designation, 'Unknown') as designation
       FROM rota r
-      LEFT JOIN Employees e ON r.name = e.name AND r.lastName = e.lastName
+      LEFT JOIN Employees e ON e.id = r.employee_id
       WHERE r.Published = 'Published'
-        AND STR_TO_DATE(SUBSTRING_INDEX(r.day, ' (', 1), '%d/%m/%Y') 
-            BETWEEN ? AND ?
+        AND r.day_date BETWEEN ? AND ?
       ORDER BY 
         CASE WHEN COALESCE(e.designation, '') = 'BOH' THEN 1 
              WHEN COALESCE(e.designation, '') = 'FOH' THEN 2 
              ELSE 3 END,
         r.lastName,
         r.name,
-        STR_TO_DATE(SUBSTRING_INDEX(r.day, ' (', 1), '%d/%m/%Y'),
+        r.day_date,
         r.startTime
     `;
     
@@ -3405,38 +4628,73 @@ app.get("/all-rota", async (req, res) => {
 
 // Get confirmed rota
 app.get("/confirmedRota", async (req, res) => {
-  const { db, name, lastName, month, year } = req.query;
+  const { db, month, year } = req.query;
 
-  if (!db || !name || !lastName)
-    return res.status(400).json({ success: false, message: "Database, name, and lastName required" });
+  if (!db)
+    return res.status(400).json({ success: false, message: "Database required" });
 
   try {
     const pool = getPool(db);
 
+    const employee = await findEmployeeByEmail(pool, req.user.email);
+    if (!employee)
+      return res.status(404).json({ success: false, message: "Employee not found" });
+
     let query = `
-      SELECT id, name, lastName, day, startTime, endTime, designation, wage
-      FROM ConfirmedRota
-      WHERE name = ? AND lastName = ?
+      SELECT c.id, c.employee_id, c.name, c.lastName, ${dayLabelSql("c.day_date")} AS day,
+             DATE_FORMAT(c.day_date, '%Y-%m-%d') AS dayDate, c.startTime, c.endTime, c.designation, c.wage,
+             c.break_minutes AS breakMinutes, c.wage AS shiftWage,
+             e.wage AS employeeWage, e.contractHours, e.Salary
+      FROM ConfirmedRota c
+      JOIN Employees e ON e.id = c.employee_id
+      WHERE c.employee_id = ?
     `;
-    const params = [name, lastName];
+    const params = [employee.id];
 
+    // Month view: load whole ISO weeks around the month so weekly overtime is right,
+    // then return only the month's rows
+    let monthRange = null;
     if (month && year) {
-      query += `
-        AND MONTH(STR_TO_DATE(day, '%d/%m/%Y')) = ?
-        AND YEAR(STR_TO_DATE(day, '%d/%m/%Y')) = ?
-      `;
-      params.push(parseInt(month), parseInt(year));
+      // range on the indexed DATE column instead of MONTH()/YEAR()
+      const first = moment.tz({ year: parseInt(year), month: parseInt(month) - 1, day: 1 }, 'Europe/London');
+      monthRange = { from: first.format('YYYY-MM-DD'), to: first.clone().endOf('month').format('YYYY-MM-DD') };
+      query += ` AND c.day_date BETWEEN ? AND ?`;
+      params.push(weekStartOf(monthRange.from), moment.tz(weekStartOf(monthRange.to), 'Europe/London').add(6, 'days').format('YYYY-MM-DD'));
     }
 
-    query += ` ORDER BY STR_TO_DATE(day, '%d/%m/%Y'), startTime`;
+    query += ` ORDER BY c.day_date, c.startTime`;
 
     const [rows] = await pool.query(query, params);
 
-    const formattedRows = rows.map(row => ({
-      ...row,
-      startTime: row.startTime ? row.startTime.substring(0, 5) : '',
-      endTime: row.endTime ? row.endTime.substring(0, 5) : ''
-    }));
+    const priced = await priceShiftRows(pool, rows, rows.length > 0
+      ? { from: rows[0].dayDate, to: rows[rows.length - 1].dayDate }
+      : { from: "", to: "" });
+
+    const formattedRows = rows
+      .filter(row => !monthRange || (row.dayDate >= monthRange.from && row.dayDate <= monthRange.to))
+      .map(row => {
+        const pay = priced.get(String(row.id));
+        return {
+          id: row.id,
+          name: row.name,
+          lastName: row.lastName,
+          day: row.day,
+          startTime: row.startTime ? row.startTime.substring(0, 5) : '',
+          endTime: row.endTime ? row.endTime.substring(0, 5) : '',
+          designation: row.designation,
+          wage: row.wage,
+          breakMinutes: Number(row.breakMinutes) || 0,
+          // premiums from the workspace pay rules (none for salaried staff)
+          pay: {
+            hours: round2(pay.minutes / 60),
+            rate: pay.rate,
+            basePay: pay.basePay,
+            premiums: pay.premiums,
+            premiumPay: pay.premiumPay,
+            totalPay: pay.totalPay,
+          },
+        };
+      });
 
     return res.json(formattedRows);
   } catch (err) {
@@ -3447,7 +4705,8 @@ app.get("/confirmedRota", async (req, res) => {
 
 // Get today's shifts
 app.get("/today-shifts", async (req, res) => {
-  const { db, email } = req.query;
+  const { db } = req.query;
+  const email = req.user.email;
   
   if (!db || !email) {
     return res.status(400).json({ 
@@ -3459,32 +4718,26 @@ app.get("/today-shifts", async (req, res) => {
   try {
     const pool = getPool(db);
     
-    const [employeeRows] = await pool.query(
-      "SELECT name, lastName, wage, designation FROM Employees WHERE email = ?",
-      [email]
-    );
+    const employee = await findEmployeeByEmail(pool, email);
     
-    if (!employeeRows || employeeRows.length === 0) {
+    if (!employee) {
       return res.status(404).json({ 
         success: false, 
         message: "Employee not found" 
       });
     }
     
-    const employee = employeeRows[0];
     const { name, lastName, wage, designation } = employee;
     
-    const today = new Date();
-    const day = `${String(today.getDate()).padStart(2, '0')}/${
-      String(today.getMonth() + 1).padStart(2, '0')}/${
-      today.getFullYear()}`;
+    const today = moment.tz('Europe/London');
+    const day = today.format('DD/MM/YYYY');
     
     const [shiftRows] = await pool.query(
-      `SELECT id, name, lastName, day, startTime, endTime, designation, wage 
+      `SELECT id, name, lastName, ${dayLabelSql()} AS day, startTime, endTime, designation, wage 
        FROM rota 
-       WHERE name = ? AND lastName = ? AND day = ? AND Published = 'Published'
+       WHERE employee_id = ? AND day_date = ? AND Published = 'Published'
        ORDER BY startTime ASC`,
-      [name, lastName, day]
+      [employee.id, today.format('YYYY-MM-DD')]
     );
     
     const formattedShifts = shiftRows.map(shift => ({
@@ -3514,150 +4767,273 @@ app.get("/today-shifts", async (req, res) => {
   }
 });
 
-// Save or update a specific shift
-app.post("/save-shift", async (req, res) => {
-  const { db, entryId, name, lastName, day, startTime, endTime, wage, designation } = req.body;
+// Shared by /save-shift (employees confirming or recording their own shifts) and
+// /rota/save-shift (managers editing or adding any shift). `previous` is the
+// shift being edited, null to insert. Editing never changes whether a shift
+// is a draft or published. An employee confirming rostered times skips the
+// leave and working time checks, those are for planning new work.
+async function saveShiftFor(req, res, pool, { employee, previous, byEmployee }) {
+  const { startTime, endTime, publish, overridePendingLeave } = req.body;
+  // employees record their own shifts at their usual rate and role, always as a draft
+  const wage = byEmployee ? employee.wage : req.body.wage;
+  const designation = byEmployee ? employee.designation : req.body.designation;
+  const status = byEmployee ? rotaStatusFor(false) : rotaStatusFor(publish);
+  const confirmingOnly = byEmployee && !!previous;
+  // an edit keeps the shift's day: the checks below must run against the row being saved
+  const day = previous ? previous.dayDate : req.body.day;
+  const entryId = previous ? previous.id : null;
+
+  if (previous && req.body.day && toSqlDate(req.body.day) !== previous.dayDate) {
+    return res.status(400).json({ 
+      success: false, 
+      message: "A shift's day can't be changed, delete it and add a new one" 
+    });
+  }
+
+  if (!day || !startTime || !endTime) {
+    return res.status(400).json({ 
+      success: false, 
+      message: "day, startTime, and endTime are required" 
+    });
+  }
+
+  const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+  if (!timeRegex.test(startTime) || !timeRegex.test(endTime)) {
+    return res.status(400).json({ 
+      success: false, 
+      message: "Time must be in HH:mm format" 
+    });
+  }
+  
+  const [startHour, startMin] = startTime.split(':').map(Number);
+  const [endHour, endMin] = endTime.split(':').map(Number);
+
+  if (startHour < 0 || startHour > 23 || startMin < 0 || startMin > 59 ||
+      endHour < 0 || endHour > 23 || endMin < 0 || endMin > 59) {
+    return res.status(400).json({ 
+      success: false, 
+      message: "Times must be valid (HH: 0-23, MM: 0-59)" 
+    });
+  }
   
-  if (!db || !name || !lastName || !day || !startTime || !endTime) {
+  const daySql = toSqlDate(day);
+  if (!daySql) {
     return res.status(400).json({ 
       success: false, 
-      message: "Database, name, lastName, day, startTime, and endTime are required" 
+      message: "day must be dd/mm/yyyy or YYYY-MM-DD" 
     });
   }
 
-  try {
-    const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
-    if (!timeRegex.test(startTime) || !timeRegex.test(endTime)) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Time must be in HH:mm format" 
-      });
-    }
-    
-    const [startHour, startMin] = startTime.split(':').map(Number);
-    const [endHour, endMin] = endTime.split(':').map(Number);
+  if (entryId && await timesheetApproved(pool, entryId)) {
+    return res.status(409).json(TIMESHEET_LOCKED);
+  }
 
-    if (startHour < 0 || startHour > 23 || startMin < 0 || startMin > 59 ||
-        endHour < 0 || endHour > 23 || endMin < 0 || endMin > 59) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Times must be valid (HH: 0-23, MM: 0-59)" 
-      });
+  if (!confirmingOnly) {
+    const leaveClash = await leaveClashFor(pool, employee.id, daySql, overridePendingLeave);
+    if (leaveClash) {
+      return res.status(409).json(leaveClash);
     }
+  }
+  
+  const [existingShifts] = await pool.query(
+    `SELECT id, startTime, endTime FROM rota 
+     WHERE employee_id = ? AND day_date = ?`,
+    [employee.id, daySql]
+  );
+  
+  const newStartMin = startHour * 60 + startMin;
+  const newEndMin = endHour * 60 + endMin;
+  
+  for (const existing of existingShifts) {
+    if (entryId && existing.id == entryId) continue;
     
-    const pool = getPool(db);
-    
-    const [existingShifts] = await pool.query(
-      `SELECT id, startTime, endTime FROM rota 
-       WHERE name = ? AND lastName = ? AND day = ?`,
-      [name, lastName, day]
+    const overlap = shiftMinutesOverlap(
+      newStartMin, newEndMin,
+      timeToMinutes(existing.startTime), timeToMinutes(existing.endTime)
     );
     
-    const newStartMin = startHour * 60 + startMin;
-    const newEndMin = endHour * 60 + endMin;
-    
-    for (const existing of existingShifts) {
-      if (entryId && existing.id == entryId) continue;
-      
-      const existingStart = existing.startTime.substring(0, 5);
-      const existingEnd = existing.endTime.substring(0, 5);
-      
-      const [existingStartHour, existingStartMinute] = existingStart.split(':').map(Number);
-      const [existingEndHour, existingEndMinute] = existingEnd.split(':').map(Number);
-      
-      const existingStartTotal = existingStartHour * 60 + existingStartMinute;
-      const existingEndTotal = existingEndHour * 60 + existingEndMinute;
-      
-      let overlap = false;
-      
-      if (newStartMin < newEndMin && existingStartTotal < existingEndTotal) {
-        overlap = (newStartMin < existingEndTotal && newEndMin > existingStartTotal);
-      }
-      else if (newStartMin > newEndMin) {
-        const newEndMinNextDay = newEndMin + 1440;
-        if (existingStartTotal < existingEndTotal) {
-          overlap = (newStartMin < existingEndTotal || newEndMinNextDay > existingStartTotal);
-        } else {
-          const existingEndTotalNextDay = existingEndTotal + 1440;
-          overlap = (newStartMin < existingEndTotalNextDay && newEndMinNextDay > existingStartTotal);
-        }
-      }
-      else if (existingStartTotal > existingEndTotal) {
-        const existingEndTotalNextDay = existingEndTotal + 1440;
-        overlap = (newStartMin < existingEndTotalNextDay && newEndMin > existingStartTotal);
-      }
-      
-      if (overlap) {
-        return res.status(400).json({ 
-          success: false, 
-          message: "This shift overlaps with another existing shift" 
-        });
-      }
+    if (overlap) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "This shift overlaps with another existing shift" 
+      });
     }
-    
-    const startTimeWithSeconds = ensureTimeWithSeconds(startTime);
-    const endTimeWithSeconds = ensureTimeWithSeconds(endTime);
-    
-    if (entryId) {
-      // UPDATE existing shift - set ConfirmedByTM to 'yes'
+  }
+  
+  const shiftChecks = confirmingOnly
+    ? { blocks: [], warnings: [] }
+    : await checkShiftAssignment(pool, employee.id, { id: entryId, dayDate: daySql, startTime, endTime });
+  if (shiftChecks.blocks.length > 0) {
+    return res.status(409).json(workingTimeBlocked(shiftChecks));
+  }
+  
+  const startTimeWithSeconds = ensureTimeWithSeconds(startTime);
+  const endTimeWithSeconds = ensureTimeWithSeconds(endTime);
+  
+  if (entryId) {
+    if (byEmployee) {
+      // employees confirm times only; pay rate and designation stay as rostered
+      await pool.query(
+        `UPDATE rota 
+        SET startTime = ?, endTime = ?, ConfirmedByTM = 'yes'
+        WHERE id = ?`,
+        [startTimeWithSeconds, endTimeWithSeconds, entryId]
+      );
+    } else {
       await pool.query(
         `UPDATE rota 
-        SET startTime = ?, endTime = ?, wage = ?, designation = ?, 
-            ConfirmedByTM = 'yes',
-            Published = 'Published'
+        SET startTime = ?, endTime = ?, wage = COALESCE(?, wage), designation = COALESCE(?, designation)
         WHERE id = ?`,
-        [startTimeWithSeconds, endTimeWithSeconds, wage || 0, designation || '', entryId]
+        [startTimeWithSeconds, endTimeWithSeconds, wage ?? null, designation ?? null, entryId]
       );
+    }
+
+    // the employee already knows about their own confirmation
+    await recordShiftChange(pool, previous, "updated", {
+      after: { startTime: startTimeWithSeconds, endTime: endTimeWithSeconds },
+      actorEmail: req.user.email,
+      notify: !byEmployee,
+    });
+
+    return res.json({ 
+      success: true, 
+      message: "Shift updated successfully",
+      entryId: entryId,
+      status: previous.Published,
+      warnings: shiftChecks.warnings
+    });
+  }
+
+  if (existingShifts.length >= 2) {
+    return res.status(400).json({ 
+      success: false, 
+      message: "Maximum 2 shifts per day already exist" 
+    });
+  }
+  
+  let uniqueId;
+  let codeExists = true;
+  let attempts = 0;
+  
+  while (codeExists && attempts < 10) {
+    uniqueId = generateUniqueCode();
+    const [existingCode] = await pool.query(
+      `SELECT id FROM rota WHERE id = ?`,
+      [uniqueId]
+    );
+    codeExists = existingCode.length > 0;
+    attempts++;
+  }
+  
+  if (codeExists) {
+    return res.status(500).json({ 
+      success: false, 
+      message: "Could not generate unique shift code" 
+    });
+  }
+  
+  // INSERT new shift - set ConfirmedByTM to 'yes'
+  await pool.query(
+    `INSERT INTO rota (id, employee_id, name, lastName, day, day_date, startTime, endTime, wage, designation, Published, ConfirmedByTM) 
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'yes')`,
+    [uniqueId, employee.id, employee.name, employee.lastName, formatDayLabel(daySql), daySql, startTimeWithSeconds, endTimeWithSeconds, 
+     wage || 0, designation || '', status]
+  );
+
+  await recordShiftChange(pool, {
+    id: uniqueId, employee_id: employee.id, dayDate: daySql, Published: status,
+  }, "added", {
+    after: { startTime: startTimeWithSeconds, endTime: endTimeWithSeconds },
+    actorEmail: req.user.email,
+  });
+  
+  return res.json({ 
+    success: true, 
+    message: "Shift saved successfully",
+    entryId: uniqueId,
+    status,
+    warnings: shiftChecks.warnings
+  });
+}
+
+// Employee confirms the times of one of their own shifts (entryId), or records
+// a shift they worked that was not on the rota (no entryId, saved as a draft).
+// Either way ConfirmedByTM = 'yes'; a confirmed shift keeps its draft/published state.
+app.post("/save-shift", async (req, res) => {
+  const { db, entryId } = req.body;
+  
+  if (!db) {
+    return res.status(400).json({ 
+      success: false, 
+      message: "Database is required" 
+    });
+  }
+
+  try {
+    const pool = getPool(db);
 
-      return res.json({ 
-        success: true, 
-        message: "Shift updated successfully",
-        entryId: entryId
+    const employee = await findEmployeeByEmail(pool, req.user.email);
+    if (!employee) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Employee not found" 
       });
-    } else {
-      if (existingShifts.length >= 2) {
-        return res.status(400).json({ 
-          success: false, 
-          message: "Maximum 2 shifts per day already exist" 
-        });
-      }
-      
-      let uniqueId;
-      let codeExists = true;
-      let attempts = 0;
-      
-      while (codeExists && attempts < 10) {
-        uniqueId = generateUniqueCode();
-        const [existingCode] = await pool.query(
-          `SELECT id FROM rota WHERE id = ?`,
-          [uniqueId]
-        );
-        codeExists = existingCode.length > 0;
-        attempts++;
-      }
-      
-      if (codeExists) {
-        return res.status(500).json({ 
+    }
+
+    const previous = entryId ? await findShiftForChange(pool, entryId) : null;
+    if (entryId && (!previous || previous.employee_id !== employee.id)) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Shift not found in your rota" 
+      });
+    }
+
+    return await saveShiftFor(req, res, pool, { employee, previous, byEmployee: true });
+  } catch (err) {
+    console.error("Error saving shift:", err);
+    return res.status(500).json({ 
+      success: false, 
+      message: "Server error saving shift" 
+    });
+  }
+});
+
+// Manager edit (entryId) or insert of any employee's shift.
+// New shifts are drafts unless publish is true.
+app.post("/rota/save-shift", async (req, res) => {
+  const { db, entryId, employeeId, name, lastName } = req.body;
+  
+  if (!db || !(employeeId || entryId || (name && lastName))) {
+    return res.status(400).json({ 
+      success: false, 
+      message: "Database and entryId, employeeId (or name and lastName) are required" 
+    });
+  }
+
+  try {
+    const pool = getPool(db);
+
+    // An existing entry keeps the employee it is linked to
+    let previous = null;
+    if (entryId) {
+      previous = await findShiftForChange(pool, entryId);
+      if (!previous) {
+        return res.status(404).json({ 
           success: false, 
-          message: "Could not generate unique shift code" 
+          message: "Shift not found" 
         });
       }
-      
-      // INSERT new shift - set ConfirmedByTM to 'yes'
-      await pool.query(
-        `INSERT INTO rota (id, name, lastName, day, startTime, endTime, wage, designation, ConfirmedByTM) 
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'yes')`,
-        [uniqueId, name, lastName, day, startTimeWithSeconds, endTimeWithSeconds, 
-         wage || 0, designation || '']
-      );
-      
-      return res.json({ 
-        success: true, 
-        message: "Shift saved successfully",
-        entryId: uniqueId
+    }
+
+    const employee = await resolveEmployee(pool, { employeeId: previous?.employee_id || employeeId, name, lastName });
+    if (!employee) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Employee not found or name is ambiguous, send employeeId" 
       });
     }
-    
+
+    return await saveShiftFor(req, res, pool, { employee, previous, byEmployee: false });
   } catch (err) {
     console.error("Error saving shift:", err);
     return res.status(500).json({ 
@@ -3680,6 +5056,10 @@ app.post("/delete-shift", async (req, res) => {
 
   try {
     const pool = getPool(db);
+    if (await timesheetApproved(pool, entryId)) {
+      return res.status(409).json(TIMESHEET_LOCKED);
+    }
+    const previous = await findShiftForChange(pool, entryId);
     
     const [result] = await pool.query(
       `DELETE FROM rota WHERE id = ?`,
@@ -3692,6 +5072,8 @@ app.post("/delete-shift", async (req, res) => {
         message: "Shift not found" 
       });
     }
+
+    await recordShiftChange(pool, previous, "removed", { actorEmail: req.user.email });
     
     return res.json({ 
       success: true, 
@@ -3720,6 +5102,10 @@ app.delete("/delete-shift", async (req, res) => {
 
   try {
     const pool = getPool(db);
+    if (await timesheetApproved(pool, entryId)) {
+      return res.status(409).json(TIMESHEET_LOCKED);
+    }
+    const previous = await findShiftForChange(pool, entryId);
     
     const [result] = await pool.query(
       `DELETE FROM rota WHERE id = ?`,
@@ -3732,6 +5118,8 @@ app.delete("/delete-shift", async (req, res) => {
         message: "Shift not found" 
       });
     }
+
+    await recordShiftChange(pool, previous, "removed", { actorEmail: req.user.email });
     
     return res.json({ 
       success: true, 
@@ -3749,9 +5137,9 @@ app.delete("/delete-shift", async (req, res) => {
 
 // Add another shift
 app.post("/add-another-shift", async (req, res) => {
-  const { db, name, lastName, day, startTime, endTime, wage, designation } = req.body;
+  const { db, employeeId, name, lastName, day, startTime, endTime, wage, designation, publish, overridePendingLeave } = req.body;
   
-  if (!db || !name || !lastName || !day || !startTime || !endTime) {
+  if (!db || !(employeeId || (name && lastName)) || !day || !startTime || !endTime) {
     return res.status(400).json({ 
       success: false, 
       message: "All fields are required" 
@@ -3778,12 +5166,33 @@ app.post("/add-another-shift", async (req, res) => {
       });
     }
     
+    const daySql = toSqlDate(day);
+    if (!daySql) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "day must be dd/mm/yyyy or YYYY-MM-DD" 
+      });
+    }
+    
     const pool = getPool(db);
+
+    const employee = await resolveEmployee(pool, { employeeId, name, lastName });
+    if (!employee) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Employee not found or name is ambiguous, send employeeId" 
+      });
+    }
+
+    const leaveClash = await leaveClashFor(pool, employee.id, daySql, overridePendingLeave);
+    if (leaveClash) {
+      return res.status(409).json(leaveClash);
+    }
     
     const [countRows] = await pool.query(
       `SELECT COUNT(*) as count FROM rota 
-       WHERE name = ? AND lastName = ? AND day = ?`,
-      [name, lastName, day]
+       WHERE employee_id = ? AND day_date = ?`,
+      [employee.id, daySql]
     );
     
     if (countRows[0].count >= 2) {
@@ -3795,9 +5204,9 @@ app.post("/add-another-shift", async (req, res) => {
     
     const [existingShifts] = await pool.query(
       `SELECT startTime, endTime FROM rota 
-       WHERE name = ? AND lastName = ? AND day = ?
+       WHERE employee_id = ? AND day_date = ?
        ORDER BY startTime ASC`,
-      [name, lastName, day]
+      [employee.id, daySql]
     );
     
     for (const existing of existingShifts) {
@@ -3815,6 +5224,11 @@ app.post("/add-another-shift", async (req, res) => {
       }
     }
     
+    const shiftChecks = await checkShiftAssignment(pool, employee.id, { dayDate: daySql, startTime, endTime });
+    if (shiftChecks.blocks.length > 0) {
+      return res.status(409).json(workingTimeBlocked(shiftChecks));
+    }
+    
     let uniqueId;
     let codeExists = true;
     let attempts = 0;
@@ -3840,16 +5254,25 @@ app.post("/add-another-shift", async (req, res) => {
     const endTimeWithSeconds = ensureTimeWithSeconds(endTime);
     
     await pool.query(
-      `INSERT INTO rota (id, name, lastName, day, startTime, endTime, wage, designation, Published) 
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'Published')`,
-      [uniqueId, name, lastName, day, startTimeWithSeconds, endTimeWithSeconds, 
-      wage || 0, designation || '']
+      `INSERT INTO rota (id, employee_id, name, lastName, day, day_date, startTime, endTime, wage, designation, Published) 
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [uniqueId, employee.id, employee.name, employee.lastName, formatDayLabel(daySql), daySql, startTimeWithSeconds, endTimeWithSeconds, 
+      wage || 0, designation || '', rotaStatusFor(publish)]
     );
+
+    await recordShiftChange(pool, {
+      id: uniqueId, employee_id: employee.id, dayDate: daySql, Published: rotaStatusFor(publish),
+    }, "added", {
+      after: { startTime: startTimeWithSeconds, endTime: endTimeWithSeconds },
+      actorEmail: req.user.email,
+    });
     
     return res.json({ 
       success: true, 
       message: "Shift added successfully",
-      id: uniqueId 
+      id: uniqueId,
+      status: rotaStatusFor(publish),
+      warnings: shiftChecks.warnings
     });
     
   } catch (err) {
@@ -3861,47 +5284,1676 @@ app.post("/add-another-shift", async (req, res) => {
   }
 });
 
-// Holidays endpoint
-app.get("/holidays", async (req, res) => {
-  const { db, email, yearStart, yearEnd } = req.query;
+// ==================== SHIFT SWAPS ====================
+// offered -> accepted (colleague) -> approved/declined (AM/Manager).
+// The offerer can cancel while the swap is offered or accepted.
 
-  if (!db || !email) {
-    return res.status(400).json({ success: false, message: "Database and email are required" });
+const SWAP_OPEN_STATUSES = ["offered", "accepted"];
+
+async function findRotaShift(conn, shiftId, { lock = false } = {}) {
+  const [rows] = await conn.query(
+    `SELECT id, employee_id, name, lastName, DATE_FORMAT(day_date, '%Y-%m-%d') AS dayDate,
+            startTime, endTime, designation, Published
+     FROM rota WHERE id = ? LIMIT 1 ${lock ? "FOR UPDATE" : ""}`,
+    [shiftId]
+  );
+  return rows && rows.length > 0 ? rows[0] : null;
+}
+
+async function findEmployeeById(conn, employeeId) {
+  const [rows] = await conn.query(
+    `SELECT id, name, lastName, email, designation FROM Employees WHERE id = ? LIMIT 1`,
+    [employeeId]
+  );
+  return rows && rows.length > 0 ? rows[0] : null;
+}
+
+// Can `employee` take `incoming` (giving away `outgoingId`, if any)?
+// Returns a 409 body or null. Same FOH/BOH rule as shift-request accept,
+// plus leave and overlap checks.
+async function swapConflict(conn, employee, incoming, outgoingId, overridePendingLeave) {
+  const neededFor = neededForShift(incoming.designation);
+  if (!isEligibleFor(neededFor, employee.designation)) {
+    return {
+      success: false,
+      code: "NOT_ELIGIBLE",
+      message: `${employee.name} ${employee.lastName} is not eligible for a ${neededFor.toUpperCase()} shift`,
+    };
   }
 
-  try {
-    const pool = getPool(db);
+  const leaveClash = await leaveClashFor(conn, employee.id, incoming.dayDate, overridePendingLeave);
+  if (leaveClash) return leaveClash;
 
-    // 1) Employee
-    const [employeeRows] = await pool.query(
-      "SELECT name, lastName, startHoliday FROM Employees WHERE email = ? LIMIT 1",
-      [email]
-    );
+  const [sameDay] = await conn.query(
+    `SELECT id, startTime, endTime FROM rota WHERE employee_id = ? AND day_date = ? AND id <> ?`,
+    [employee.id, incoming.dayDate, outgoingId || 0]
+  );
+  const overlaps = sameDay.some(s => shiftMinutesOverlap(
+    timeToMinutes(incoming.startTime), timeToMinutes(incoming.endTime),
+    timeToMinutes(s.startTime), timeToMinutes(s.endTime)
+  ));
+  if (overlaps) {
+    return {
+      success: false,
+      code: "SHIFT_OVERLAP",
+      message: `${employee.name} ${employee.lastName} already has an overlapping shift on ${formatDayLabel(incoming.dayDate)}`,
+    };
+  }
 
-    if (!employeeRows.length) {
+  return null;
+}
+
+function describeShift(shift) {
+  return `${formatDayLabel(shift.dayDate)} ${String(shift.startTime).substring(0, 5)}–${String(shift.endTime).substring(0, 5)}`;
+}
+
+// Offer one of the caller's published shifts.
+// Body: { db, shiftId, targetEmployeeId?, swapShiftId?, note? }
+// swapShiftId (a shift of targetEmployeeId) turns the offer into a swap.
+app.post("/rota/swaps", async (req, res) => {
+  const { db, shiftId, targetEmployeeId, swapShiftId, note = "" } = req.body;
+
+  if (!db || !shiftId || (swapShiftId && !targetEmployeeId)) {
+    return res.status(400).json({ success: false, message: "db and shiftId are required (swapShiftId also needs targetEmployeeId)" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const me = await findEmployeeByEmail(pool, req.user.email);
+    if (!me) {
       return res.status(404).json({ success: false, message: "Employee not found" });
     }
 
-    const { name, lastName } = employeeRows[0];
-    const allowanceDays = Number(employeeRows[0].startHoliday ?? 0) || 0;
+    const shift = await findRotaShift(pool, shiftId);
+    if (!shift || shift.employee_id !== me.id) {
+      return res.status(404).json({ success: false, message: "Shift not found in your rota" });
+    }
+    if (shift.Published !== ROTA_PUBLISHED) {
+      return res.status(400).json({ success: false, message: "Only published shifts can be offered" });
+    }
+    if (shift.dayDate < moment.tz('Europe/London').format('YYYY-MM-DD')) {
+      return res.status(400).json({ success: false, message: "This shift is in the past" });
+    }
 
-    // 2) Determine year window
-    let selectedYearStart = null;
-    let selectedYearEnd = null;
+    let target = null;
+    if (targetEmployeeId) {
+      target = await findEmployeeById(pool, targetEmployeeId);
+      if (!target || target.id === me.id) {
+        return res.status(404).json({ success: false, message: "Colleague not found" });
+      }
+    }
 
-    if (yearStart && yearEnd) {
-      selectedYearStart = yearStart;
-      selectedYearEnd = yearEnd;
-    } else {
-      // current year from settings
-      const [currentYearRows] = await pool.query(`
-        SELECT HolidayYearStart AS start, HolidayYearEnd AS end
-        FROM HolidayYearSettings
-        WHERE CURDATE() BETWEEN HolidayYearStart AND HolidayYearEnd
-        LIMIT 1
-      `);
+    if (swapShiftId) {
+      const swapShift = await findRotaShift(pool, swapShiftId);
+      if (!swapShift || swapShift.employee_id !== target.id || swapShift.Published !== ROTA_PUBLISHED) {
+        return res.status(404).json({ success: false, message: "The colleague's shift was not found" });
+      }
+    }
 
-      if (!currentYearRows.length) {
+    // neither shift may already be in an open swap, on either side
+    const involved = swapShiftId ? [shiftId, swapShiftId] : [shiftId];
+    const [open] = await pool.query(
+      `SELECT id FROM ShiftSwaps WHERE (shift_id IN (?) OR swap_shift_id IN (?)) AND status IN (?) LIMIT 1`,
+      [involved, involved, SWAP_OPEN_STATUSES]
+    );
+    if (open.length > 0) {
+      return res.status(409).json({ success: false, message: "This shift already has an open swap" });
+    }
+
+    const [result] = await pool.query(
+      `INSERT INTO ShiftSwaps (shift_id, offered_by_employee_id, target_employee_id, swap_shift_id, note)
+       VALUES (?, ?, ?, ?, ?)`,
+      [shiftId, me.id, target ? target.id : null, swapShiftId || null, String(note).trim() || null]
+    );
+
+    if (target && target.email) {
+      await notifyEmployee(pool, target.email, {
+        title: swapShiftId ? "Shift swap offered" : "Shift offered to you",
+        message: `${me.name} ${me.lastName} offered you their shift on ${describeShift(shift)}`,
+        type: "SHIFT_SWAP",
+        authorEmail: me.email,
+        data: { swapId: String(result.insertId) },
+      });
+    }
+
+    return res.status(201).json({ success: true, message: "Shift offered", id: result.insertId });
+  } catch (err) {
+    console.error("❌ /rota/swaps offer error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Swaps involving the caller, plus open offers they could take
+app.get("/rota/swaps", async (req, res) => {
+  const { db } = req.query;
+
+  if (!db) {
+    return res.status(400).json({ success: false, message: "db is required" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const me = await findEmployeeByEmail(pool, req.user.email);
+    if (!me) {
+      return res.status(404).json({ success: false, message: "Employee not found" });
+    }
+
+    const [rows] = await pool.query(
+      `SELECT s.id, s.status, s.note, s.decline_reason AS declineReason, s.created_at AS createdAt,
+              s.shift_id AS shiftId, s.swap_shift_id AS swapShiftId,
+              s.offered_by_employee_id AS offeredById, CONCAT(o.name, ' ', o.lastName) AS offeredBy,
+              s.target_employee_id AS targetId, s.accepted_by_employee_id AS acceptedById,
+              ${dayLabelSql("r.day_date")} AS day, TIME_FORMAT(r.startTime, '%H:%i') AS startTime,
+              TIME_FORMAT(r.endTime, '%H:%i') AS endTime, r.designation
+       FROM ShiftSwaps s
+       JOIN Employees o ON o.id = s.offered_by_employee_id
+       LEFT JOIN rota r ON r.id = s.shift_id
+       WHERE s.offered_by_employee_id = ?
+          OR s.target_employee_id = ?
+          OR s.accepted_by_employee_id = ?
+          OR (s.status = 'offered' AND s.target_employee_id IS NULL)
+       ORDER BY s.created_at DESC
+       LIMIT 100`,
+      [me.id, me.id, me.id]
+    );
+
+    // open offers only for shifts the caller could work
+    const swaps = rows.filter(r =>
+      r.offeredById === me.id || r.targetId === me.id || r.acceptedById === me.id ||
+      isEligibleFor(neededForShift(r.designation), me.designation)
+    );
+
+    return res.json({ success: true, swaps });
+  } catch (err) {
+    console.error("❌ /rota/swaps list error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Swaps accepted by a colleague and waiting for a manager
+app.get("/rota/swaps/pending", async (req, res) => {
+  const { db } = req.query;
+
+  if (!db) {
+    return res.status(400).json({ success: false, message: "db is required" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const [rows] = await pool.query(
+      `SELECT s.id, s.note, s.accepted_at AS acceptedAt,
+              s.shift_id AS shiftId, ${dayLabelSql("r.day_date")} AS day,
+              TIME_FORMAT(r.startTime, '%H:%i') AS startTime, TIME_FORMAT(r.endTime, '%H:%i') AS endTime,
+              CONCAT(o.name, ' ', o.lastName) AS offeredBy,
+              CONCAT(a.name, ' ', a.lastName) AS acceptedBy,
+              s.swap_shift_id AS swapShiftId, ${dayLabelSql("w.day_date")} AS swapDay,
+              TIME_FORMAT(w.startTime, '%H:%i') AS swapStartTime, TIME_FORMAT(w.endTime, '%H:%i') AS swapEndTime
+       FROM ShiftSwaps s
+       JOIN Employees o ON o.id = s.offered_by_employee_id
+       LEFT JOIN Employees a ON a.id = s.accepted_by_employee_id
+       LEFT JOIN rota r ON r.id = s.shift_id
+       LEFT JOIN rota w ON w.id = s.swap_shift_id
+       WHERE s.status = 'accepted'
+       ORDER BY s.accepted_at ASC`
+    );
+    return res.json({ success: true, swaps: rows });
+  } catch (err) {
+    console.error("❌ /rota/swaps/pending error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Colleague accepts an offer
+app.post("/rota/swaps/:id/accept", async (req, res) => {
+  const { db, overridePendingLeave } = req.body;
+
+  if (!db) {
+    return res.status(400).json({ success: false, message: "db is required" });
+  }
+
+  const pool = getPool(db);
+  const conn = await pool.getConnection();
+
+  try {
+    await conn.beginTransaction();
+
+    const [swapRows] = await conn.query(`SELECT * FROM ShiftSwaps WHERE id = ? FOR UPDATE`, [req.params.id]);
+    const swap = swapRows[0];
+    const me = await findEmployeeByEmail(conn, req.user.email);
+
+    if (!swap || !me) {
+      await conn.rollback();
+      conn.release();
+      return res.status(404).json({ success: false, message: "Swap not found" });
+    }
+    if (swap.status !== "offered") {
+      await conn.rollback();
+      conn.release();
+      return res.status(409).json({ success: false, message: "This swap is no longer open" });
+    }
+    if (swap.offered_by_employee_id === me.id || (swap.target_employee_id && swap.target_employee_id !== me.id)) {
+      await conn.rollback();
+      conn.release();
+      return res.status(403).json({ success: false, message: "This swap was not offered to you" });
+    }
+
+    const shift = await findRotaShift(conn, swap.shift_id);
+    if (!shift || shift.employee_id !== swap.offered_by_employee_id) {
+      await conn.rollback();
+      conn.release();
+      return res.status(409).json({ success: false, message: "The offered shift has changed, the swap can't go ahead" });
+    }
+
+    const conflict = await swapConflict(conn, me, shift, swap.swap_shift_id, overridePendingLeave);
+    if (conflict) {
+      await conn.rollback();
+      conn.release();
+      return res.status(409).json(conflict);
+    }
+
+    await conn.query(
+      `UPDATE ShiftSwaps SET status = 'accepted', accepted_by_employee_id = ?, accepted_at = NOW() WHERE id = ?`,
+      [me.id, swap.id]
+    );
+
+    const title = "Shift swap awaiting approval";
+    const message = `${me.name} ${me.lastName} accepted a swap for the shift on ${describeShift(shift)}`;
+    await conn.query(
+      `INSERT INTO Notifications (targetRole, title, message, type)
+       VALUES (?, ?, ?, ?), (?, ?, ?, ?)`,
+      ["AM", title, message, "SHIFT_SWAP", "Manager", title, message, "SHIFT_SWAP"]
+    );
+
+    await conn.commit();
+    conn.release();
+
+    const offerer = await findEmployeeById(pool, swap.offered_by_employee_id);
+    if (offerer && offerer.email) {
+      await notifyEmployee(pool, offerer.email, {
+        title: "Shift swap accepted",
+        message: `${me.name} ${me.lastName} accepted your shift on ${describeShift(shift)}. Waiting for manager approval`,
+        type: "SHIFT_SWAP",
+        authorEmail: me.email,
+        data: { swapId: String(swap.id) },
+      });
+    }
+
+    return res.json({ success: true, message: "Swap accepted, waiting for manager approval" });
+  } catch (err) {
+    try { await conn.rollback(); } catch (_) {}
+    conn.release();
+    console.error("❌ /rota/swaps accept error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Offerer withdraws the swap
+app.post("/rota/swaps/:id/cancel", async (req, res) => {
+  const { db } = req.body;
+
+  if (!db) {
+    return res.status(400).json({ success: false, message: "db is required" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const me = await findEmployeeByEmail(pool, req.user.email);
+    if (!me) {
+      return res.status(404).json({ success: false, message: "Employee not found" });
+    }
+
+    const [result] = await pool.query(
+      `UPDATE ShiftSwaps SET status = 'cancelled', decided_at = NOW()
+       WHERE id = ? AND offered_by_employee_id = ? AND status IN (?)`,
+      [req.params.id, me.id, SWAP_OPEN_STATUSES]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: "No open swap of yours with this id" });
+    }
+    return res.json({ success: true, message: "Swap cancelled" });
+  } catch (err) {
+    console.error("❌ /rota/swaps cancel error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// AM/Manager approves (rota rows reassigned atomically) or declines
+app.post("/rota/swaps/:id/decide", async (req, res) => {
+  const { db, decision, reason = "", overridePendingLeave } = req.body;
+
+  const dec = String(decision || "").trim().toLowerCase();
+  if (!db || (dec !== "approve" && dec !== "decline")) {
+    return res.status(400).json({ success: false, message: "db and decision ('approve' or 'decline') are required" });
+  }
+
+  const pool = getPool(db);
+  const conn = await pool.getConnection();
+
+  let swap, shift, swapShift, offerer, accepter;
+  let warnings = [];
+  try {
+    await conn.beginTransaction();
+
+    const [swapRows] = await conn.query(`SELECT * FROM ShiftSwaps WHERE id = ? FOR UPDATE`, [req.params.id]);
+    swap = swapRows[0];
+    if (!swap) {
+      await conn.rollback();
+      conn.release();
+      return res.status(404).json({ success: false, message: "Swap not found" });
+    }
+    if (swap.status !== "accepted") {
+      await conn.rollback();
+      conn.release();
+      return res.status(409).json({ success: false, message: `Swap is ${swap.status}, only accepted swaps can be decided` });
+    }
+
+    shift = await findRotaShift(conn, swap.shift_id, { lock: true });
+    swapShift = swap.swap_shift_id ? await findRotaShift(conn, swap.swap_shift_id, { lock: true }) : null;
+    offerer = await findEmployeeById(conn, swap.offered_by_employee_id);
+    accepter = await findEmployeeById(conn, swap.accepted_by_employee_id);
+
+    if (dec === "approve") {
+      const stale =
+        !shift || shift.employee_id !== swap.offered_by_employee_id ||
+        (swap.swap_shift_id && (!swapShift || swapShift.employee_id !== swap.accepted_by_employee_id)) ||
+        !offerer || !accepter;
+      if (stale) {
+        await conn.rollback();
+        conn.release();
+        return res.status(409).json({ success: false, message: "The shifts in this swap have changed since it was accepted" });
+      }
+
+      // re-check both directions now that the rota may have moved on
+      const conflict =
+        (await swapConflict(conn, accepter, shift, swapShift?.id, overridePendingLeave)) ||
+        (swapShift && (await swapConflict(conn, offerer, swapShift, shift.id, overridePendingLeave)));
+      if (conflict) {
+        await conn.rollback();
+        conn.release();
+        return res.status(409).json(conflict);
+      }
+
+      await conn.query(
+        `UPDATE rota SET employee_id = ?, name = ?, lastName = ? WHERE id = ?`,
+        [accepter.id, accepter.name, accepter.lastName, shift.id]
+      );
+      if (swapShift) {
+        await conn.query(
+          `UPDATE rota SET employee_id = ?, name = ?, lastName = ? WHERE id = ?`,
+          [offerer.id, offerer.name, offerer.lastName, swapShift.id]
+        );
+      }
+
+      // working time and availability for each person's week as it would be after
+      // the swap (this transaction already sees the reassigned rows)
+      const checks = [await checkShiftAssignment(conn, accepter.id, shift)];
+      if (swapShift) checks.push(await checkShiftAssignment(conn, offerer.id, swapShift));
+      const blocked = checks.find(c => c.blocks.length > 0);
+      if (blocked) {
+        await conn.rollback();
+        conn.release();
+        return res.status(409).json(workingTimeBlocked(blocked));
+      }
+      warnings = checks.flatMap(c => c.warnings);
+    }
+
+    await conn.query(
+      `UPDATE ShiftSwaps SET status = ?, decided_by_email = ?, decided_at = NOW(), decline_reason = ? WHERE id = ?`,
+      [dec === "approve" ? "approved" : "declined", req.user.email, dec === "decline" ? (String(reason).trim() || null) : null, swap.id]
+    );
+
+    await conn.commit();
+    conn.release();
+  } catch (err) {
+    try { await conn.rollback(); } catch (_) {}
+    conn.release();
+    console.error("❌ /rota/swaps decide error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+
+  console.log(`🔁 Swap ${swap.id} ${dec}d | db=${db} | by=${req.user.email}`);
+
+  if (dec === "approve") {
+    // both people hear about it through the swap notification below
+    const moves = [[shift, accepter]];
+    if (swapShift) moves.push([swapShift, offerer]);
+    for (const [moved, newOwner] of moves) {
+      await recordShiftChange(pool, moved, "removed", { actorEmail: req.user.email, notify: false });
+      await recordShiftChange(pool, { ...moved, employee_id: newOwner.id }, "added", {
+        after: { startTime: moved.startTime, endTime: moved.endTime },
+        actorEmail: req.user.email,
+        notify: false,
+      });
+    }
+  }
+
+  const what = shift ? describeShift(shift) : `shift ${swap.shift_id}`;
+  const title = dec === "approve" ? "Shift swap approved" : "Shift swap declined";
+  const message = dec === "approve"
+    ? `The swap for the shift on ${what} was approved`
+    : `The swap for the shift on ${what} was declined${String(reason).trim() ? `: ${String(reason).trim()}` : ""}`;
+
+  for (const person of [offerer, accepter]) {
+    if (person && person.email) {
+      await notifyEmployee(pool, person.email, {
+        title, message, type: "SHIFT_SWAP", authorEmail: req.user.email, data: { swapId: String(swap.id) },
+      });
+    }
+  }
+
+  return res.json({ success: true, message: dec === "approve" ? "Swap approved" : "Swap declined", warnings });
+});
+
+// ==================== WORKING TIME RULES ====================
+// UK Working Time Regulations checks for rota writes and the weekly report.
+// Adults: 11h daily rest, 24h weekly rest, 48h average week over 17 weeks
+// (unless opted out) -> warnings. Under 18: 12h daily rest, 48h weekly rest,
+// max 8h a day / 40h a week -> blocks; night work -> warning.
+
+const WTR = {
+  adult: { dailyRestMin: 11 * 60, weeklyRestMin: 24 * 60, averageWeekMin: 48 * 60, referenceWeeks: 17 },
+  young: { dailyRestMin: 12 * 60, weeklyRestMin: 48 * 60, dailyWorkMin: 8 * 60, weeklyWorkMin: 40 * 60 },
+};
+
+// "YYYY-MM-DD" + "HH:mm[:ss]" -> minutes since epoch (wall clock, DST ignored)
+function wtrMinutes(daySql, time) {
+  const [y, m, d] = daySql.split('-').map(Number);
+  return Date.UTC(y, m - 1, d) / 60000 + timeToMinutes(time);
+}
+
+function wtrHours(min) {
+  return Math.round((min / 60) * 100) / 100;
+}
+
+// Shifts -> intervals, and per-day duties (first start to last end of that day)
+function wtrDuties(shifts) {
+  const byDay = new Map();
+  for (const s of shifts) {
+    const start = wtrMinutes(s.dayDate, s.startTime);
+    let end = wtrMinutes(s.dayDate, s.endTime);
+    if (end <= start) end += 1440; // runs past midnight
+
+    const duty = byDay.get(s.dayDate) || { dayDate: s.dayDate, start, end, workMin: 0, shifts: [] };
+    duty.start = Math.min(duty.start, start);
+    duty.end = Math.max(duty.end, end);
+    duty.workMin += end - start;
+    duty.shifts.push({ ...s, start, end });
+    byDay.set(s.dayDate, duty);
+  }
+  return [...byDay.values()].sort((a, b) => a.start - b.start);
+}
+
+// All violations for one employee in the week starting weekStartSql.
+// `shifts` must cover the reference period before the week and the day after it.
+function evaluateWorkingTime(employee, shifts, weekStartSql) {
+  const young = Number(employee.is_under_18) === 1;
+  const rules = young ? WTR.young : WTR.adult;
+  const severity = young ? "block" : "warning";
+  const violations = [];
+
+  const weekStart = wtrMinutes(weekStartSql, "00:00");
+  const weekEnd = weekStart + 7 * 1440;
+  const duties = wtrDuties(shifts);
+  const inWeek = duties.filter(d => d.start >= weekStart && d.start < weekEnd);
+
+  // Daily rest: between consecutive working days, and within a long duty
+  for (const duty of inWeek) {
+    const prev = duties.filter(d => d.end <= duty.start).pop();
+    if (prev && duty.start - prev.end < rules.dailyRestMin) {
+      violations.push({
+        rule: "daily_rest", severity, dayDate: duty.dayDate,
+        value: wtrHours(duty.start - prev.end), limit: wtrHours(rules.dailyRestMin),
+        message: `Only ${wtrHours(duty.start - prev.end)}h rest before ${formatDayLabel(duty.dayDate)} (minimum ${wtrHours(rules.dailyRestMin)}h)`,
+      });
+    }
+    if (duty.end - duty.start > 1440 - rules.dailyRestMin) {
+      violations.push({
+        rule: "daily_rest", severity, dayDate: duty.dayDate,
+        value: wtrHours(1440 - (duty.end - duty.start)), limit: wtrHours(rules.dailyRestMin),
+        message: `Shifts on ${formatDayLabel(duty.dayDate)} leave less than ${wtrHours(rules.dailyRestMin)}h rest in 24h`,
+      });
+    }
+
+    if (young && duty.workMin > rules.dailyWorkMin) {
+      violations.push({
+        rule: "young_daily_hours", severity: "block", dayDate: duty.dayDate,
+        value: wtrHours(duty.workMin), limit: wtrHours(rules.dailyWorkMin),
+        message: `Under-18 employee scheduled ${wtrHours(duty.workMin)}h on ${formatDayLabel(duty.dayDate)} (maximum ${wtrHours(rules.dailyWorkMin)}h)`,
+      });
+    }
+
+    if (young && duty.shifts.some(s => (s.start % 1440) < 6 * 60 || (s.end - Math.floor(s.start / 1440) * 1440) > 22 * 60)) {
+      violations.push({
+        rule: "young_night_work", severity: "warning", dayDate: duty.dayDate,
+        message: `Under-18 employee works between 22:00 and 06:00 on ${formatDayLabel(duty.dayDate)}`,
+      });
+    }
+  }
+
+  if (inWeek.length === 0) return violations;
+
+  // Daily rest across the end of the week: last duty of the week vs the first
+  // one of the (loaded) following day
+  const lastInWeek = inWeek[inWeek.length - 1];
+  const next = duties.find(d => d.start >= weekEnd);
+  if (next && next.start >= lastInWeek.end && next.start - lastInWeek.end < rules.dailyRestMin) {
+    violations.push({
+      rule: "daily_rest", severity, dayDate: lastInWeek.dayDate,
+      value: wtrHours(next.start - lastInWeek.end), limit: wtrHours(rules.dailyRestMin),
+      message: `Only ${wtrHours(next.start - lastInWeek.end)}h rest after ${formatDayLabel(lastInWeek.dayDate)} before ${formatDayLabel(next.dayDate)} (minimum ${wtrHours(rules.dailyRestMin)}h)`,
+    });
+  }
+
+  // Weekly rest: longest uninterrupted break touching the week. A break running
+  // in from the previous week counts from that week's last duty, one running out
+  // counts up to the next loaded duty (at least the whole day after the week).
+  let longestRest = 0;
+  let cursor = duties.filter(d => d.start < weekStart).reduce((end, d) => Math.max(end, d.end), -Infinity);
+  for (const duty of inWeek) {
+    longestRest = Math.max(longestRest, duty.start - cursor);
+    cursor = Math.max(cursor, duty.end);
+  }
+  longestRest = Math.max(longestRest, (next ? next.start : weekEnd + 1440) - cursor);
+
+  if (longestRest < rules.weeklyRestMin) {
+    violations.push({
+      rule: "weekly_rest", severity, dayDate: weekStartSql,
+      value: wtrHours(longestRest), limit: wtrHours(rules.weeklyRestMin),
+      message: `Longest break in the week of ${formatDayLabel(weekStartSql)} is ${wtrHours(longestRest)}h (minimum ${wtrHours(rules.weeklyRestMin)}h)`,
+    });
+  }
+
+  const weekWorkMin = inWeek.reduce((sum, d) => sum + d.workMin, 0);
+
+  if (young && weekWorkMin > rules.weeklyWorkMin) {
+    violations.push({
+      rule: "young_weekly_hours", severity: "block", dayDate: weekStartSql,
+      value: wtrHours(weekWorkMin), limit: wtrHours(rules.weeklyWorkMin),
+      message: `Under-18 employee scheduled ${wtrHours(weekWorkMin)}h in the week (maximum ${wtrHours(rules.weeklyWorkMin)}h)`,
+    });
+  }
+
+  // 48h average over the reference period ending with this week
+  // (shorter if the employee has fewer weeks of shifts)
+  if (!young && Number(employee.wtr_opt_out) !== 1) {
+    const refStart = weekEnd - rules.referenceWeeks * 7 * 1440;
+    const refDuties = duties.filter(d => d.start >= refStart && d.start < weekEnd);
+    const firstWeek = Math.floor((refDuties[0].start - refStart) / (7 * 1440));
+    const weeks = rules.referenceWeeks - firstWeek;
+    const averageMin = refDuties.reduce((sum, d) => sum + d.workMin, 0) / weeks;
+
+    if (averageMin > rules.averageWeekMin) {
+      violations.push({
+        rule: "average_weekly_hours", severity: "warning", dayDate: weekStartSql,
+        value: wtrHours(averageMin), limit: wtrHours(rules.averageWeekMin),
+        message: `Average week over the last ${weeks} week(s) is ${wtrHours(averageMin)}h (limit ${wtrHours(rules.averageWeekMin)}h, employee has not opted out)`,
+      });
+    }
+  }
+
+  return violations;
+}
+
+// Shifts the rules need around weekStartSql (reference period before, one day after)
+async function loadWorkingTimeShifts(conn, employeeIds, weekStartSql, { publishedOnly = false } = {}) {
+  const weekStart = moment.tz(weekStartSql, 'Europe/London');
+  const [rows] = await conn.query(
+    `SELECT id, employee_id, DATE_FORMAT(day_date, '%Y-%m-%d') AS dayDate, startTime, endTime
+     FROM rota
+     WHERE employee_id IN (?) AND day_date BETWEEN ? AND ?
+       ${publishedOnly ? "AND Published = ?" : ""}
+     ORDER BY day_date, startTime`,
+    [
+      employeeIds,
+      weekStart.clone().subtract(WTR.adult.referenceWeeks * 7 - 7, 'days').subtract(1, 'day').format('YYYY-MM-DD'),
+      weekStart.clone().add(7, 'days').format('YYYY-MM-DD'),
+      ...(publishedOnly ? [ROTA_PUBLISHED] : []),
+    ]
+  );
+  return rows;
+}
+
+// Violations a proposed shift would introduce for an employee, split into
+// blocks (reject the write) and warnings (returned with the saved shift).
+// `shift`: { id?, dayDate, startTime, endTime }; an existing id is replaced.
+async function checkWorkingTime(conn, employeeId, shift) {
+  const [empRows] = await conn.query(
+    `SELECT id, is_under_18, wtr_opt_out FROM Employees WHERE id = ? LIMIT 1`,
+    [employeeId]
+  );
+  if (!empRows || empRows.length === 0) return { blocks: [], warnings: [] };
+
+  const weekStartSql = weekStartOf(shift.dayDate);
+  const current = (await loadWorkingTimeShifts(conn, [employeeId], weekStartSql))
+    .filter(s => !shift.id || String(s.id) !== String(shift.id));
+  const proposed = [...current, { dayDate: shift.dayDate, startTime: shift.startTime, endTime: shift.endTime }];
+
+  const key = v => `${v.rule}|${v.dayDate}`;
+  const before = new Set(evaluateWorkingTime(empRows[0], current, weekStartSql).map(key));
+  const introduced = evaluateWorkingTime(empRows[0], proposed, weekStartSql).filter(v => !before.has(key(v)));
+
+  return {
+    blocks: introduced.filter(v => v.severity === "block"),
+    warnings: introduced.filter(v => v.severity !== "block"),
+  };
+}
+
+// 409 body when working time rules block the shift
+function workingTimeBlocked(check) {
+  return {
+    success: false,
+    code: "WORKING_TIME_BLOCKED",
+    message: check.blocks[0].message,
+    violations: check.blocks,
+    warnings: check.warnings,
+  };
+}
+
+// Every violation in a published week, per employee
+app.get("/rota/compliance", async (req, res) => {
+  const { db, weekStart } = req.query;
+
+  const weekStartSql = weekStartOf(weekStart);
+  if (!db || !weekStartSql) {
+    return res.status(400).json({ success: false, message: "db and weekStart (YYYY-MM-DD) are required" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const weekEndSql = moment.tz(weekStartSql, 'Europe/London').add(6, 'days').format('YYYY-MM-DD');
+
+    const [employees] = await pool.query(
+      `SELECT DISTINCT e.id, e.name, e.lastName, e.is_under_18, e.wtr_opt_out
+       FROM rota r
+       JOIN Employees e ON e.id = r.employee_id
+       WHERE r.day_date BETWEEN ? AND ? AND r.Published = ?`,
+      [weekStartSql, weekEndSql, ROTA_PUBLISHED]
+    );
+
+    if (employees.length === 0) {
+      return res.json({ success: true, weekStart: weekStartSql, employees: [], totals: { blocks: 0, warnings: 0 } });
+    }
+
+    const shifts = await loadWorkingTimeShifts(pool, employees.map(e => e.id), weekStartSql, { publishedOnly: true });
+
+    const report = [];
+    for (const employee of employees) {
+      const violations = evaluateWorkingTime(employee, shifts.filter(s => s.employee_id === employee.id), weekStartSql);
+      if (violations.length === 0) continue;
+      report.push({
+        employeeId: employee.id,
+        name: employee.name,
+        lastName: employee.lastName,
+        under18: Number(employee.is_under_18) === 1,
+        violations,
+      });
+    }
+
+    const all = report.flatMap(r => r.violations);
+    return res.json({
+      success: true,
+      weekStart: weekStartSql,
+      employees: report,
+      totals: {
+        blocks: all.filter(v => v.severity === "block").length,
+        warnings: all.filter(v => v.severity !== "block").length,
+      },
+    });
+  } catch (err) {
+    console.error("❌ /rota/compliance error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Working time flags for an employee (under 18, 48h opt-out)
+app.patch("/rota/employees/:id/working-time", async (req, res) => {
+  const { db, isUnder18, optOut48h } = req.body;
+
+  if (!db || (isUnder18 === undefined && optOut48h === undefined)) {
+    return res.status(400).json({ success: false, message: "db and isUnder18 or optOut48h are required" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const sets = [];
+    const params = [];
+    if (isUnder18 !== undefined) { sets.push("is_under_18 = ?"); params.push(isUnder18 === true || isUnder18 === "true" ? 1 : 0); }
+    if (optOut48h !== undefined) { sets.push("wtr_opt_out = ?"); params.push(optOut48h === true || optOut48h === "true" ? 1 : 0); }
+
+    const [result] = await pool.query(`UPDATE Employees SET ${sets.join(", ")} WHERE id = ?`, [...params, req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: "Employee not found" });
+    }
+    return res.json({ success: true, message: "Working time settings updated" });
+  } catch (err) {
+    console.error("❌ /rota/employees working-time error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// ==================== EMPLOYEE AVAILABILITY ====================
+// Staff submit recurring weekly windows and one-off unavailable dates.
+// No weekly windows at all means "no stated availability" (always available).
+
+// Does the window (minutes, end <= start = past midnight) contain the shift?
+function windowContainsShift(windowStart, windowEnd, shiftStart, shiftEnd) {
+  const we = windowEnd <= windowStart ? windowEnd + 1440 : windowEnd;
+  const se = shiftEnd <= shiftStart ? shiftEnd + 1440 : shiftEnd;
+  return shiftStart >= windowStart && se <= we;
+}
+
+// Warnings for a shift outside the employee's stated availability
+async function availabilityWarnings(conn, employeeId, shift) {
+  const warnings = [];
+  const shiftStart = timeToMinutes(shift.startTime);
+  const shiftEnd = timeToMinutes(shift.endTime);
+  const weekday = moment.tz(shift.dayDate, 'Europe/London').isoWeekday() - 1;
+  const dayLabel = formatDayLabel(shift.dayDate);
+
+  const [windows] = await conn.query(
+    `SELECT weekday, start_time, end_time FROM EmployeeAvailability WHERE employee_id = ?`,
+    [employeeId]
+  );
+  if (windows.length > 0) {
+    const fits = windows.some(w => Number(w.weekday) === weekday &&
+      windowContainsShift(timeToMinutes(w.start_time), timeToMinutes(w.end_time), shiftStart, shiftEnd));
+    if (!fits) {
+      warnings.push({
+        rule: "availability", severity: "warning", dayDate: shift.dayDate,
+        message: `Shift on ${dayLabel} is outside the employee's weekly availability`,
+      });
+    }
+  }
+
+  const [unavailable] = await conn.query(
+    `SELECT start_time, end_time, reason FROM EmployeeUnavailability WHERE employee_id = ? AND date = ?`,
+    [employeeId, shift.dayDate]
+  );
+  const clash = unavailable.find(u => !u.start_time || !u.end_time ||
+    shiftMinutesOverlap(shiftStart, shiftEnd, timeToMinutes(u.start_time), timeToMinutes(u.end_time)));
+  if (clash) {
+    warnings.push({
+      rule: "unavailable_date", severity: "warning", dayDate: shift.dayDate,
+      message: `Employee marked ${dayLabel} as unavailable${clash.reason ? ` (${clash.reason})` : ""}`,
+    });
+  }
+
+  return warnings;
+}
+
+// All checks run before a shift is written: working time rules (blocks and
+// warnings) plus availability (warnings only)
+async function checkShiftAssignment(conn, employeeId, shift) {
+  const workingTime = await checkWorkingTime(conn, employeeId, shift);
+  const availability = await availabilityWarnings(conn, employeeId, shift);
+  return { blocks: workingTime.blocks, warnings: [...workingTime.warnings, ...availability] };
+}
+
+// Caller's availability: weekly windows and upcoming unavailable dates
+app.get("/availability", async (req, res) => {
+  const { db } = req.query;
+
+  if (!db) {
+    return res.status(400).json({ success: false, message: "db is required" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const employee = await findEmployeeByEmail(pool, req.user.email);
+    if (!employee) {
+      return res.status(404).json({ success: false, message: "Employee not found" });
+    }
+
+    const [weekly] = await pool.query(
+      `SELECT weekday, TIME_FORMAT(start_time, '%H:%i') AS startTime, TIME_FORMAT(end_time, '%H:%i') AS endTime
+       FROM EmployeeAvailability WHERE employee_id = ? ORDER BY weekday, start_time`,
+      [employee.id]
+    );
+    const [unavailable] = await pool.query(
+      `SELECT id, DATE_FORMAT(date, '%Y-%m-%d') AS date,
+              TIME_FORMAT(start_time, '%H:%i') AS startTime, TIME_FORMAT(end_time, '%H:%i') AS endTime, reason
+       FROM EmployeeUnavailability
+       WHERE employee_id = ? AND date >= ?
+       ORDER BY date, start_time`,
+      [employee.id, moment.tz('Europe/London').format('YYYY-MM-DD')]
+    );
+
+    return res.json({ success: true, weekly, unavailable });
+  } catch (err) {
+    console.error("❌ /availability error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Replace the caller's weekly availability.
+// Body: { db, windows: [{ weekday: 0-6 (Monday = 0), startTime: "HH:mm", endTime: "HH:mm" }] }
+app.put("/availability/weekly", async (req, res) => {
+  const { db, windows } = req.body;
+
+  if (!db || !Array.isArray(windows)) {
+    return res.status(400).json({ success: false, message: "db and windows[] are required" });
+  }
+
+  const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+  for (const w of windows) {
+    const weekday = Number(w.weekday);
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6 || !timeRegex.test(w.startTime) || !timeRegex.test(w.endTime)) {
+      return res.status(400).json({ success: false, message: "Each window needs weekday 0-6 and startTime/endTime in HH:mm" });
+    }
+  }
+
+  const pool = getPool(db);
+  const conn = await pool.getConnection();
+
+  try {
+    const employee = await findEmployeeByEmail(conn, req.user.email);
+    if (!employee) {
+      conn.release();
+      return res.status(404).json({ success: false, message: "Employee not found" });
+    }
+
+    await conn.beginTransaction();
+    await conn.query(`DELETE FROM EmployeeAvailability WHERE employee_id = ?`, [employee.id]);
+    if (windows.length > 0) {
+      await conn.query(
+        `INSERT INTO EmployeeAvailability (employee_id, weekday, start_time, end_time) VALUES ?`,
+        [windows.map(w => [employee.id, Number(w.weekday), ensureTimeWithSeconds(w.startTime), ensureTimeWithSeconds(w.endTime)])]
+      );
+    }
+    await conn.commit();
+    conn.release();
+
+    return res.json({ success: true, message: "Availability saved", windows: windows.length });
+  } catch (err) {
+    try { await conn.rollback(); } catch (_) {}
+    conn.release();
+    console.error("❌ /availability/weekly error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Mark a date (or part of it) as unavailable
+app.post("/availability/unavailable", async (req, res) => {
+  const { db, date, startTime, endTime, reason = "" } = req.body;
+
+  const dateSql = toSqlDate(date);
+  if (!db || !dateSql) {
+    return res.status(400).json({ success: false, message: "db and date (YYYY-MM-DD) are required" });
+  }
+  const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+  if ((startTime || endTime) && !(timeRegex.test(startTime) && timeRegex.test(endTime))) {
+    return res.status(400).json({ success: false, message: "startTime and endTime must both be HH:mm, or both omitted for the whole day" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const employee = await findEmployeeByEmail(pool, req.user.email);
+    if (!employee) {
+      return res.status(404).json({ success: false, message: "Employee not found" });
+    }
+
+    const [result] = await pool.query(
+      `INSERT INTO EmployeeUnavailability (employee_id, date, start_time, end_time, reason) VALUES (?, ?, ?, ?, ?)`,
+      [employee.id, dateSql, startTime ? ensureTimeWithSeconds(startTime) : null, endTime ? ensureTimeWithSeconds(endTime) : null, String(reason).trim() || null]
+    );
+
+    return res.status(201).json({ success: true, message: "Unavailability saved", id: result.insertId });
+  } catch (err) {
+    console.error("❌ /availability/unavailable error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Remove one of the caller's unavailable dates
+app.delete("/availability/unavailable/:id", async (req, res) => {
+  const db = req.body.db || req.query.db;
+
+  if (!db) {
+    return res.status(400).json({ success: false, message: "db is required" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const employee = await findEmployeeByEmail(pool, req.user.email);
+    if (!employee) {
+      return res.status(404).json({ success: false, message: "Employee not found" });
+    }
+
+    const [result] = await pool.query(
+      `DELETE FROM EmployeeUnavailability WHERE id = ? AND employee_id = ?`,
+      [req.params.id, employee.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: "Entry not found" });
+    }
+    return res.json({ success: true, message: "Unavailability removed" });
+  } catch (err) {
+    console.error("❌ /availability/unavailable delete error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Employees free for a day + time window, ranked by contract hours still
+// unscheduled that week (most remaining first)
+app.get("/rota/available-employees", async (req, res) => {
+  const { db, date, startTime, endTime } = req.query;
+
+  const daySql = toSqlDate(date);
+  const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+  if (!db || !daySql || !timeRegex.test(startTime || "") || !timeRegex.test(endTime || "")) {
+    return res.status(400).json({ success: false, message: "db, date (YYYY-MM-DD), startTime and endTime (HH:mm) are required" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const weekStartSql = weekStartOf(daySql);
+    const weekEndSql = moment.tz(weekStartSql, 'Europe/London').add(6, 'days').format('YYYY-MM-DD');
+    const shiftStart = timeToMinutes(startTime);
+    const shiftEnd = timeToMinutes(endTime);
+
+    // same employee list as /rota/employees
+    const [employees] = await pool.query(
+      `SELECT id, name, lastName, email, designation, contractHours FROM Employees
+       WHERE situation IS NULL OR TRIM(situation) = ''`
+    );
+
+    const [weekShifts] = await pool.query(
+      `SELECT employee_id, DATE_FORMAT(day_date, '%Y-%m-%d') AS dayDate, startTime, endTime
+       FROM rota WHERE day_date BETWEEN ? AND ? AND employee_id IS NOT NULL`,
+      [weekStartSql, weekEndSql]
+    );
+
+    const available = [];
+    const unavailable = [];
+    for (const employee of employees) {
+      const own = weekShifts.filter(s => s.employee_id === employee.id);
+      const sameDay = own.filter(s => s.dayDate === daySql);
+
+      let reason = null;
+      if (sameDay.some(s => shiftMinutesOverlap(shiftStart, shiftEnd, timeToMinutes(s.startTime), timeToMinutes(s.endTime)))) {
+        reason = "already_scheduled";
+      } else if ((await findLeaveOnDay(pool, employee.id, daySql)).approved) {
+        reason = "holiday";
+      } else if ((await availabilityWarnings(pool, employee.id, { dayDate: daySql, startTime, endTime })).length > 0) {
+        reason = "unavailable";
+      }
+
+      if (reason) {
+        unavailable.push({ id: employee.id, name: employee.name, lastName: employee.lastName, reason });
+        continue;
+      }
+
+      const scheduledMin = own.reduce((sum, s) => {
+        const start = timeToMinutes(s.startTime);
+        let end = timeToMinutes(s.endTime);
+        if (end <= start) end += 1440;
+        return sum + (end - start);
+      }, 0);
+      const scheduledHours = Math.round((scheduledMin / 60) * 100) / 100;
+      const contractHours = employee.contractHours != null ? Number(employee.contractHours) : null;
+
+      available.push({
+        id: employee.id,
+        name: employee.name,
+        lastName: employee.lastName,
+        email: employee.email,
+        designation: employee.designation,
+        contractHours,
+        scheduledHours,
+        remainingContractHours: contractHours != null ? Math.round((contractHours - scheduledHours) * 100) / 100 : null,
+      });
+    }
+
+    // most contract hours left first; employees without contract hours last, fewest hours first
+    available.sort((a, b) => {
+      if (a.remainingContractHours == null && b.remainingContractHours == null) return a.scheduledHours - b.scheduledHours;
+      if (a.remainingContractHours == null) return 1;
+      if (b.remainingContractHours == null) return -1;
+      return b.remainingContractHours - a.remainingContractHours;
+    });
+
+    return res.json({ success: true, date: daySql, startTime, endTime, available, unavailable });
+  } catch (err) {
+    console.error("❌ /rota/available-employees error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// ==================== ROTA CHANGE NOTIFICATIONS ====================
+
+// Shift row as needed by recordShiftChange (read before it is edited/deleted)
+async function findShiftForChange(pool, shiftId) {
+  const [rows] = await pool.query(
+    `SELECT id, employee_id, DATE_FORMAT(day_date, '%Y-%m-%d') AS dayDate, startTime, endTime, Published
+     FROM rota WHERE id = ? LIMIT 1`,
+    [shiftId]
+  );
+  return rows && rows.length > 0 ? rows[0] : null;
+}
+
+// Record a change to a published shift and tell the employee (Notifications row + push,
+// unless notify is false because the employee made the change themselves).
+// Draft shifts are ignored: staff hear about those when the week is published.
+// changeType: "added" | "updated" | "removed"; `after` holds the new times.
+async function recordShiftChange(pool, shift, changeType, { after = null, actorEmail = null, notify = true } = {}) {
+  if (!shift || shift.Published !== ROTA_PUBLISHED) return;
+
+  const hhmm = t => String(t || "").substring(0, 5);
+  const before = changeType === "added" ? null : shift;
+  if (changeType === "updated" && hhmm(before.startTime) === hhmm(after.startTime) && hhmm(before.endTime) === hhmm(after.endTime)) {
+    return;
+  }
+
+  try {
+    await pool.query(
+      `INSERT INTO RotaChanges
+         (shift_id, employee_id, change_type, day_date, old_start, old_end, new_start, new_end, changed_by_email)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        shift.id, shift.employee_id, changeType, shift.dayDate,
+        before ? before.startTime : null, before ? before.endTime : null,
+        after ? ensureTimeWithSeconds(after.startTime) : null, after ? ensureTimeWithSeconds(after.endTime) : null,
+        actorEmail,
+      ]
+    );
+
+    if (!notify) return;
+
+    const [empRows] = await pool.query(`SELECT email FROM Employees WHERE id = ? LIMIT 1`, [shift.employee_id]);
+    const email = empRows[0]?.email;
+    if (!email) return;
+
+    const label = formatDayLabel(shift.dayDate);
+    const oldTimes = before ? `${hhmm(before.startTime)}–${hhmm(before.endTime)}` : "";
+    const newTimes = after ? `${hhmm(after.startTime)}–${hhmm(after.endTime)}` : "";
+
+    let title, message;
+    if (changeType === "updated") {
+      title = "Shift changed";
+      message = `Your shift on ${label} changed from ${oldTimes} to ${newTimes}`;
+    } else if (changeType === "removed") {
+      title = "Shift removed";
+      message = `Your shift on ${label} (${oldTimes}) has been removed`;
+    } else {
+      title = "New shift";
+      message = `A shift on ${label} (${newTimes}) has been added to your rota`;
+    }
+
+    await notifyEmployee(pool, email, {
+      title,
+      message,
+      type: "ROTA_CHANGE",
+      authorEmail: actorEmail,
+      data: { change: changeType, shiftId: String(shift.id), dayDate: shift.dayDate || "" },
+    });
+
+    console.log(`🔔 Shift ${changeType} | shift=${shift.id} | employee=${shift.employee_id} | ${oldTimes} → ${newTimes}`);
+  } catch (err) {
+    // the shift itself was already saved; a failed notification must not undo it
+    console.error(`❌ Error recording shift change for ${shift.id}:`, err.message);
+  }
+}
+
+// Change history for one shift, or for one employee (most recent first)
+app.get("/rota/changes", async (req, res) => {
+  const { db, shiftId, employeeId, limit = 50 } = req.query;
+
+  if (!db || (!shiftId && !employeeId)) {
+    return res.status(400).json({ success: false, message: "db and shiftId or employeeId are required" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const [rows] = await pool.query(
+      `SELECT id, shift_id AS shiftId, employee_id AS employeeId, change_type AS changeType,
+              DATE_FORMAT(day_date, '%Y-%m-%d') AS dayDate,
+              TIME_FORMAT(old_start, '%H:%i') AS oldStart, TIME_FORMAT(old_end, '%H:%i') AS oldEnd,
+              TIME_FORMAT(new_start, '%H:%i') AS newStart, TIME_FORMAT(new_end, '%H:%i') AS newEnd,
+              changed_by_email AS changedBy, changed_at AS changedAt
+       FROM RotaChanges
+       WHERE ${shiftId ? "shift_id = ?" : "employee_id = ?"}
+       ORDER BY changed_at DESC, id DESC
+       LIMIT ?`,
+      [shiftId || employeeId, Math.min(parseInt(limit) || 50, 200)]
+    );
+
+    return res.json({ success: true, changes: rows });
+  } catch (err) {
+    console.error("❌ /rota/changes error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// ==================== ROTA PUBLISHING ====================
+
+// Draft shifts in a date range (manager view, staff only ever see published shifts)
+app.get("/rota/drafts", async (req, res) => {
+  const { db, startDate, endDate } = req.query;
+
+  const startSql = toSqlDate(startDate);
+  const endSql = toSqlDate(endDate);
+  if (!db || !startSql || !endSql) {
+    return res.status(400).json({ success: false, message: "db, startDate and endDate (YYYY-MM-DD) are required" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const [rows] = await pool.query(
+      `SELECT r.id, r.employee_id, r.name, r.lastName, ${dayLabelSql("r.day_date")} AS day,
+              DATE_FORMAT(r.day_date, '%Y-%m-%d') AS dayDate,
+              TIME_FORMAT(r.startTime, '%H:%i') AS startTime,
+              TIME_FORMAT(r.endTime, '%H:%i') AS endTime,
+              r.designation, r.Published
+       FROM rota r
+       WHERE r.day_date BETWEEN ? AND ?
+         AND (r.Published IS NULL OR r.Published <> ?)
+       ORDER BY r.day_date, r.lastName, r.name, r.startTime`,
+      [startSql, endSql, ROTA_PUBLISHED]
+    );
+
+    return res.json({ success: true, shifts: rows });
+  } catch (err) {
+    console.error("❌ /rota/drafts error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Publish every draft shift in a date range in one transaction, record the
+// release and tell each affected employee their rota is out
+app.post("/rota/publish", async (req, res) => {
+  const { db, startDate, endDate } = req.body;
+  const email = req.user.email;
+
+  const startSql = toSqlDate(startDate);
+  const endSql = toSqlDate(endDate);
+  if (!db || !startSql || !endSql) {
+    return res.status(400).json({ success: false, message: "db, startDate and endDate (YYYY-MM-DD) are required" });
+  }
+  if (startSql > endSql) {
+    return res.status(400).json({ success: false, message: "startDate must be before endDate" });
+  }
+
+  const pool = getPool(db);
+  const conn = await pool.getConnection();
+
+  let shifts;
+  let publication;
+  try {
+    await conn.beginTransaction();
+
+    // lock the drafts so a concurrent edit/publish can't slip in between
+    [shifts] = await conn.query(
+      `SELECT r.id, r.employee_id, e.email
+       FROM rota r
+       LEFT JOIN Employees e ON e.id = r.employee_id
+       WHERE r.day_date BETWEEN ? AND ?
+         AND (r.Published IS NULL OR r.Published <> ?)
+       FOR UPDATE`,
+      [startSql, endSql, ROTA_PUBLISHED]
+    );
+
+    if (shifts.length === 0) {
+      await conn.rollback();
+      conn.release();
+      return res.json({ success: true, message: "No draft shifts in this range", shiftsPublished: 0, employeesNotified: 0 });
+    }
+
+    await conn.query(`UPDATE rota SET Published = ? WHERE id IN (?)`, [ROTA_PUBLISHED, shifts.map(s => s.id)]);
+
+    const publisher = await findEmployeeByEmail(conn, email);
+    const publisherName = publisher ? `${publisher.name} ${publisher.lastName}`.trim() : email;
+    const recipients = [...new Set(shifts.map(s => s.email).filter(Boolean))];
+
+    const [result] = await conn.query(
+      `INSERT INTO RotaPublications
+         (start_date, end_date, shifts_published, employees_notified, published_by_email, published_by_name)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [startSql, endSql, shifts.length, recipients.length, email, publisherName]
+    );
+
+    const weekOf = moment.tz(startSql, 'Europe/London').format('DD/MM/YYYY');
+    publication = {
+      id: result.insertId,
+      recipients,
+      title: "Your rota is out",
+      message: `Your rota for the week of ${weekOf} has been published`,
+    };
+
+    if (recipients.length > 0) {
+      await conn.query(
+        `INSERT INTO Notifications (targetEmail, authorEmail, title, message, type) VALUES ?`,
+        [recipients.map(r => [r, email, publication.title, publication.message, "ROTA"])]
+      );
+    }
+
+    await conn.commit();
+    conn.release();
+  } catch (err) {
+    try { await conn.rollback(); } catch (_) {}
+    conn.release();
+    console.error("❌ /rota/publish error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+
+  console.log(`📢 Rota published | db=${db} | ${startSql} → ${endSql} | shifts=${shifts.length} | by=${email}`);
+
+  // Push after commit: a failing device never undoes the publish
+  let devicesNotified = 0;
+  for (const recipient of publication.recipients) {
+    devicesNotified += await pushToEmail(pool, recipient, {
+      title: publication.title,
+      body: publication.message,
+      data: { type: "ROTA", startDate: startSql, endDate: endSql },
+    });
+  }
+
+  return res.json({
+    success: true,
+    message: "Rota published",
+    publicationId: publication.id,
+    shiftsPublished: shifts.length,
+    employeesNotified: publication.recipients.length,
+    devicesNotified,
+  });
+});
+
+// Publish history (who released which range, and when)
+app.get("/rota/publications", async (req, res) => {
+  const { db, limit = 20 } = req.query;
+
+  if (!db) {
+    return res.status(400).json({ success: false, message: "db is required" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const [rows] = await pool.query(
+      `SELECT id,
+              DATE_FORMAT(start_date, '%Y-%m-%d') AS startDate,
+              DATE_FORMAT(end_date, '%Y-%m-%d') AS endDate,
+              shifts_published AS shiftsPublished,
+              employees_notified AS employeesNotified,
+              published_by_email AS publishedByEmail,
+              published_by_name AS publishedByName,
+              published_at AS publishedAt
+       FROM RotaPublications
+       ORDER BY published_at DESC, id DESC
+       LIMIT ?`,
+      [Math.min(parseInt(limit) || 20, 100)]
+    );
+
+    return res.json({ success: true, publications: rows });
+  } catch (err) {
+    console.error("❌ /rota/publications error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// ==================== ROTA TEMPLATES ====================
+
+// Monday (YYYY-MM-DD) of the week containing a date, or null if invalid
+function weekStartOf(input) {
+  const sql = toSqlDate(input);
+  if (!sql) return null;
+  return moment.tz(sql, 'Europe/London').isoWeekday(1).format('YYYY-MM-DD');
+}
+
+// Week plan (one entry per shift, weekday 0 = Monday) from the rota itself
+async function loadWeekPlan(conn, weekStartSql) {
+  const weekEndSql = moment.tz(weekStartSql, 'Europe/London').add(6, 'days').format('YYYY-MM-DD');
+  const [rows] = await conn.query(
+    `SELECT employee_id, WEEKDAY(day_date) AS weekday, startTime, endTime, designation
+     FROM rota
+     WHERE day_date BETWEEN ? AND ? AND employee_id IS NOT NULL
+     ORDER BY day_date, startTime`,
+    [weekStartSql, weekEndSql]
+  );
+  return rows.map(r => ({
+    employee_id: r.employee_id,
+    weekday: Number(r.weekday),
+    startTime: r.startTime,
+    endTime: r.endTime,
+    designation: r.designation,
+  }));
+}
+
+// Write a week plan onto the week starting weekStartSql as draft shifts.
+// Skips employees on approved holiday (and pending leave unless overridden),
+// overlapping shifts and days that already have two shifts; caller owns the transaction.
+async function applyWeekPlan(conn, plan, weekStartSql, { overridePendingLeave = false } = {}) {
+  const created = [];
+  const skipped = [];
+  const weekStart = moment.tz(weekStartSql, 'Europe/London');
+  const weekEndSql = weekStart.clone().add(6, 'days').format('YYYY-MM-DD');
+
+  const employeeIds = [...new Set(plan.map(p => p.employee_id))];
+  if (employeeIds.length === 0) return { created, skipped };
+
+  const [empRows] = await conn.query(
+    `SELECT id, name, lastName, designation, wage FROM Employees WHERE id IN (?)`,
+    [employeeIds]
+  );
+  const employees = new Map(empRows.map(e => [e.id, e]));
+
+  const [holidayRows] = await conn.query(
+    `SELECT employee_id, accepted,
+            DATE_FORMAT(start_date, '%Y-%m-%d') AS startDate,
+            DATE_FORMAT(end_date, '%Y-%m-%d') AS endDate
+     FROM Holiday
+     WHERE employee_id IN (?)
+       AND (accepted = 'true' OR accepted IS NULL OR accepted = '' OR accepted = 'unpaid')
+       AND start_date <= ? AND end_date >= ?`,
+    [employeeIds, weekEndSql, weekStartSql]
+  );
+  const skipPending = !(overridePendingLeave === true || overridePendingLeave === "true");
+
+  for (const entry of plan) {
+    const daySql = weekStart.clone().add(entry.weekday, 'days').format('YYYY-MM-DD');
+    const startTime = ensureTimeWithSeconds(String(entry.startTime).substring(0, 5));
+    const endTime = ensureTimeWithSeconds(String(entry.endTime).substring(0, 5));
+    const info = { employeeId: entry.employee_id, dayDate: daySql, startTime: startTime.substring(0, 5), endTime: endTime.substring(0, 5) };
+
+    const employee = employees.get(entry.employee_id);
+    if (!employee) {
+      skipped.push({ ...info, reason: "employee_not_found" });
+      continue;
+    }
+
+    const leave = holidayRows.filter(h => h.employee_id === entry.employee_id && h.startDate <= daySql && h.endDate >= daySql);
+    if (leave.some(h => h.accepted === 'true')) {
+      skipped.push({ ...info, reason: "holiday" });
+      continue;
+    }
+    if (skipPending && leave.length > 0) {
+      skipped.push({ ...info, reason: "pending_holiday" });
+      continue;
+    }
+
+    const [existingShifts] = await conn.query(
+      `SELECT startTime, endTime FROM rota WHERE employee_id = ? AND day_date = ?`,
+      [entry.employee_id, daySql]
+    );
+
+    if (existingShifts.length >= 2) {
+      skipped.push({ ...info, reason: "max_shifts" });
+      continue;
+    }
+
+    const overlaps = existingShifts.some(ex => shiftMinutesOverlap(
+      timeToMinutes(startTime), timeToMinutes(endTime),
+      timeToMinutes(ex.startTime), timeToMinutes(ex.endTime)
+    ));
+    if (overlaps) {
+      skipped.push({ ...info, reason: "overlap" });
+      continue;
+    }
+
+    const shiftChecks = await checkShiftAssignment(conn, employee.id, { dayDate: daySql, startTime, endTime });
+    if (shiftChecks.blocks.length > 0) {
+      skipped.push({ ...info, reason: "working_time", violations: shiftChecks.blocks });
+      continue;
+    }
+
+    const id = await generateUniqueShiftId(conn);
+    await conn.query(
+      `INSERT INTO rota (id, employee_id, name, lastName, day, day_date, startTime, endTime, wage, designation, Published)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, employee.id, employee.name, employee.lastName, formatDayLabel(daySql), daySql, startTime, endTime,
+       employee.wage || 0, entry.designation || employee.designation || '', ROTA_DRAFT]
+    );
+    created.push({ id: String(id), ...info, warnings: shiftChecks.warnings });
+  }
+
+  return { created, skipped };
+}
+
+// Run applyWeekPlan in a transaction and send the standard response
+async function respondWithAppliedPlan(res, pool, plan, weekStartSql, logLabel, options) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await applyWeekPlan(conn, await plan(conn), weekStartSql, options);
+    await conn.commit();
+    conn.release();
+
+    console.log(`📋 ${logLabel} → week ${weekStartSql} | created=${result.created.length} | skipped=${result.skipped.length}`);
+    return res.json({ success: true, weekStart: weekStartSql, ...result });
+  } catch (err) {
+    try { await conn.rollback(); } catch (_) {}
+    conn.release();
+    console.error(`❌ ${logLabel} error:`, err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+}
+
+// Save the shifts of a week as a named template
+app.post("/rota/templates", async (req, res) => {
+  const { db, name, weekStart, replace = false } = req.body;
+  const email = req.user.email;
+
+  const templateName = String(name || "").trim();
+  const weekStartSql = weekStartOf(weekStart);
+  if (!db || !templateName || !weekStartSql) {
+    return res.status(400).json({ success: false, message: "db, name and weekStart (YYYY-MM-DD) are required" });
+  }
+
+  const pool = getPool(db);
+  const conn = await pool.getConnection();
+
+  try {
+    await conn.beginTransaction();
+
+    const [existing] = await conn.query(`SELECT id FROM RotaTemplates WHERE name = ? FOR UPDATE`, [templateName]);
+    if (existing.length > 0 && !replace) {
+      await conn.rollback();
+      conn.release();
+      return res.status(409).json({ success: false, message: "A template with this name already exists" });
+    }
+    if (existing.length > 0) {
+      await conn.query(`DELETE FROM RotaTemplates WHERE id = ?`, [existing[0].id]);
+    }
+
+    const plan = await loadWeekPlan(conn, weekStartSql);
+    if (plan.length === 0) {
+      await conn.rollback();
+      conn.release();
+      return res.status(400).json({ success: false, message: "No shifts in that week to save" });
+    }
+
+    const [result] = await conn.query(
+      `INSERT INTO RotaTemplates (name, created_by_email) VALUES (?, ?)`,
+      [templateName, email]
+    );
+    await conn.query(
+      `INSERT INTO RotaTemplateShifts (template_id, employee_id, weekday, start_time, end_time, designation) VALUES ?`,
+      [plan.map(p => [result.insertId, p.employee_id, p.weekday, p.startTime, p.endTime, p.designation || null])]
+    );
+
+    await conn.commit();
+    conn.release();
+
+    return res.status(201).json({ success: true, message: "Template saved", id: result.insertId, shifts: plan.length });
+  } catch (err) {
+    try { await conn.rollback(); } catch (_) {}
+    conn.release();
+    console.error("❌ /rota/templates save error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// List templates
+app.get("/rota/templates", async (req, res) => {
+  const { db } = req.query;
+
+  if (!db) {
+    return res.status(400).json({ success: false, message: "db is required" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const [rows] = await pool.query(
+      `SELECT t.id, t.name, t.created_by_email AS createdBy, t.created_at AS createdAt, COUNT(s.id) AS shifts
+       FROM RotaTemplates t
+       LEFT JOIN RotaTemplateShifts s ON s.template_id = t.id
+       GROUP BY t.id
+       ORDER BY t.name`
+    );
+    return res.json({ success: true, templates: rows });
+  } catch (err) {
+    console.error("❌ /rota/templates list error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Template detail
+app.get("/rota/templates/:id", async (req, res) => {
+  const { db } = req.query;
+
+  if (!db) {
+    return res.status(400).json({ success: false, message: "db is required" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const [templates] = await pool.query(`SELECT id, name, created_by_email AS createdBy, created_at AS createdAt FROM RotaTemplates WHERE id = ?`, [req.params.id]);
+    if (templates.length === 0) {
+      return res.status(404).json({ success: false, message: "Template not found" });
+    }
+
+    const [shifts] = await pool.query(
+      `SELECT s.id, s.employee_id AS employeeId, e.name, e.lastName, s.weekday,
+              TIME_FORMAT(s.start_time, '%H:%i') AS startTime,
+              TIME_FORMAT(s.end_time, '%H:%i') AS endTime,
+              s.designation
+       FROM RotaTemplateShifts s
+       LEFT JOIN Employees e ON e.id = s.employee_id
+       WHERE s.template_id = ?
+       ORDER BY s.weekday, s.start_time`,
+      [req.params.id]
+    );
+    return res.json({ success: true, template: { ...templates[0], shifts } });
+  } catch (err) {
+    console.error("❌ /rota/templates detail error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Delete a template
+app.delete("/rota/templates/:id", async (req, res) => {
+  const db = req.body.db || req.query.db;
+
+  if (!db) {
+    return res.status(400).json({ success: false, message: "db is required" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const [result] = await pool.query(`DELETE FROM RotaTemplates WHERE id = ?`, [req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: "Template not found" });
+    }
+    return res.json({ success: true, message: "Template deleted" });
+  } catch (err) {
+    console.error("❌ /rota/templates delete error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Apply a template onto a week as draft shifts
+app.post("/rota/templates/:id/apply", async (req, res) => {
+  const { db, weekStart, overridePendingLeave } = req.body;
+
+  const weekStartSql = weekStartOf(weekStart);
+  if (!db || !weekStartSql) {
+    return res.status(400).json({ success: false, message: "db and weekStart (YYYY-MM-DD) are required" });
+  }
+
+  const pool = getPool(db);
+  try {
+    const [templates] = await pool.query(`SELECT id FROM RotaTemplates WHERE id = ?`, [req.params.id]);
+    if (templates.length === 0) {
+      return res.status(404).json({ success: false, message: "Template not found" });
+    }
+  } catch (err) {
+    console.error("❌ /rota/templates apply error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+
+  return respondWithAppliedPlan(res, pool, async conn => {
+    const [rows] = await conn.query(
+      `SELECT employee_id, weekday, start_time AS startTime, end_time AS endTime, designation
+       FROM RotaTemplateShifts WHERE template_id = ? ORDER BY weekday, start_time`,
+      [req.params.id]
+    );
+    return rows;
+  }, weekStartSql, `Template ${req.params.id} applied`, { overridePendingLeave });
+});
+
+// Copy one week's shifts (default: the previous week) onto another as drafts
+app.post("/rota/copy-week", async (req, res) => {
+  const { db, weekStart, fromWeekStart, overridePendingLeave } = req.body;
+
+  const weekStartSql = weekStartOf(weekStart);
+  if (!db || !weekStartSql) {
+    return res.status(400).json({ success: false, message: "db and weekStart (YYYY-MM-DD) are required" });
+  }
+
+  const fromSql = fromWeekStart
+    ? weekStartOf(fromWeekStart)
+    : moment.tz(weekStartSql, 'Europe/London').subtract(7, 'days').format('YYYY-MM-DD');
+  if (!fromSql) {
+    return res.status(400).json({ success: false, message: "fromWeekStart must be YYYY-MM-DD" });
+  }
+  if (fromSql === weekStartSql) {
+    return res.status(400).json({ success: false, message: "Cannot copy a week onto itself" });
+  }
+
+  const pool = getPool(db);
+  return respondWithAppliedPlan(res, pool, conn => loadWeekPlan(conn, fromSql), weekStartSql, `Week ${fromSql} copied`, { overridePendingLeave });
+});
+
+// Holidays endpoint
+app.get("/holidays", async (req, res) => {
+  const { db, yearStart, yearEnd } = req.query;
+  const email = req.user.email;
+
+  if (!db || !email) {
+    return res.status(400).json({ success: false, message: "Database and email are required" });
+  }
+
+  try {
+    const pool = getPool(db);
+
+    // 1) Employee
+    const [employeeRows] = await pool.query(
+      "SELECT id, name, lastName, startHoliday FROM Employees WHERE email = ? LIMIT 1",
+      [email]
+    );
+
+    if (!employeeRows.length) {
+      return res.status(404).json({ success: false, message: "Employee not found" });
+    }
+
+    const { id: employeeId, name, lastName } = employeeRows[0];
+    const allowanceDays = Number(employeeRows[0].startHoliday ?? 0) || 0;
+
+    // 2) Determine year window
+    let selectedYearStart = null;
+    let selectedYearEnd = null;
+
+    if (yearStart && yearEnd) {
+      selectedYearStart = yearStart;
+      selectedYearEnd = yearEnd;
+    } else {
+      // current year from settings
+      const [currentYearRows] = await pool.query(`
+        SELECT HolidayYearStart AS start, HolidayYearEnd AS end
+        FROM HolidayYearSettings
+        WHERE CURDATE() BETWEEN HolidayYearStart AND HolidayYearEnd
+        LIMIT 1
+      `);
+
+      if (!currentYearRows.length) {
         return res.json({
           success: true,
           employee: { name, lastName, allowanceDays },
@@ -3913,371 +6965,2744 @@ app.get("/holidays", async (req, res) => {
         });
       }
 
-      selectedYearStart = currentYearRows[0].start;
-      selectedYearEnd = currentYearRows[0].end;
+      selectedYearStart = currentYearRows[0].start;
+      selectedYearEnd = currentYearRows[0].end;
+    }
+
+    // 3) Helpers
+    const requestDateSql = `STR_TO_DATE(SUBSTRING_INDEX(requestDate, ' ', 1), '%d/%m/%Y')`;
+
+    // accrual for this year only
+    const calcAccrued = (ys, ye) => {
+      if (!allowanceDays) return 0;
+
+      const today = new Date();
+      const yStart = new Date(ys);
+      const yEnd = new Date(ye);
+
+      yStart.setHours(0, 0, 0, 0);
+      yEnd.setHours(23, 59, 59, 999);
+
+      if (today < yStart) return 0;
+      if (today > yEnd) return allowanceDays;
+
+      const msPerDay = 86400000;
+      const totalDays = Math.floor((yEnd - yStart) / msPerDay) + 1;
+      const elapsedDays = Math.floor((today - yStart) / msPerDay) + 1;
+
+      return Math.min(allowanceDays, (allowanceDays * elapsedDays) / totalDays);
+    };
+
+    const normalizeRow = (row) => {
+      const acceptedRaw = (row.accepted ?? "").toString().trim().toLowerCase();
+      const who = (row.who ?? "").toString();
+      const isApproved = who.trim() !== "";
+      const isUnpaid = acceptedRaw === "unpaid" || Number(row.is_unpaid) === 1;
+      const isDeclined = acceptedRaw === "false";
+
+      const type = isUnpaid ? "Unpaid" : "Paid";
+
+      let status = "Pending";
+      if (isDeclined) status = "Declined";
+      else if (isApproved) status = isUnpaid ? "Approved (Unpaid)" : "Approved (Paid)";
+
+      return {
+        startDate: row.startDate ?? "",
+        endDate: row.endDate ?? "",
+        requestDate: row.requestDate ?? "",
+        days: Number(row.days ?? 0) || 0,
+        who: who ?? "",
+        notes: row.notes ?? "",
+        status,
+        type,
+      };
+    };
+
+    // 4) Pull only holidays in the selected year (based on startDate)
+    const [rows] = await pool.query(
+      `
+      SELECT *
+      FROM Holiday
+      WHERE employee_id = ?
+      AND start_date BETWEEN ? AND ?
+      ORDER BY ${requestDateSql} DESC
+      `,
+      [employeeId, selectedYearStart, selectedYearEnd]
+    );
+
+    // 5) Split lists + totals
+    const pending = [];
+    const approved = [];
+    const declined = [];
+
+    let takenPaid = 0;
+    let takenUnpaid = 0;
+    let pendingPaid = 0;
+    let pendingUnpaid = 0;
+    let declinedDays = 0;
+
+    for (const r of rows) {
+      const item = normalizeRow(r);
+      const d = item.days || 0;
+
+      if (item.status.toLowerCase().startsWith("approved")) {
+        approved.push(item);
+        if (item.type.toLowerCase() === "paid") takenPaid += d;
+        else takenUnpaid += d;
+      } else if (item.status.toLowerCase() === "declined") {
+        declined.push(item);
+        declinedDays += d;
+      } else {
+        pending.push(item);
+        if (item.type.toLowerCase() === "paid") pendingPaid += d;
+        else pendingUnpaid += d;
+      }
+    }
+
+    const accrued = Number(calcAccrued(selectedYearStart, selectedYearEnd).toFixed(2));
+    const remainingYear = Math.max(0, allowanceDays - takenPaid);
+    const availableNow = Math.max(0, Math.min(accrued, allowanceDays) - takenPaid);
+
+    res.json({
+      success: true,
+      employee: { name, lastName, allowanceDays },
+      year: { start: selectedYearStart, end: selectedYearEnd },
+      summary: {
+        allowanceDays,
+        accruedDays: accrued,
+        takenPaidDays: takenPaid,
+        takenUnpaidDays: takenUnpaid,
+        pendingPaidDays: pendingPaid,
+        pendingUnpaidDays: pendingUnpaid,
+        declinedDays,
+        remainingYearDays: Number(remainingYear.toFixed(2)),
+        availableNowDays: Number(availableNow.toFixed(2)),
+      },
+      approvedHolidays: approved,
+      pendingHolidays: pending,
+      declinedHolidays: declined,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Holiday Request endpoint
+app.post("/holidays/request", async (req, res) => {
+  const { db, startDate, endDate, notes = "", type = "Paid" } = req.body;
+  const email = req.user.email;
+
+  if (!db || !email || !startDate || !endDate) {
+    return res.status(400).json({
+      success: false,
+      message: "db, email, startDate and endDate are required",
+    });
+  }
+
+  try {
+    const pool = getPool(db);
+
+    const employee = await findEmployeeByEmail(pool, email);
+
+    if (!employee) {
+      return res.status(404).json({ success: false, message: "Employee not found" });
+    }
+
+    const parseToUTCDate = (input) => {
+      const s = String(input).trim();
+      const m = s.match(/^(\d{2})\/(\d{2})\/(\d{4})/);
+      if (m) {
+        const dd = parseInt(m[1], 10);
+        const mm = parseInt(m[2], 10);
+        const yyyy = parseInt(m[3], 10);
+        return new Date(Date.UTC(yyyy, mm - 1, dd));
+      }
+      const d = new Date(s);
+      if (isNaN(d.getTime())) return null;
+      return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+    };
+
+    const sUTC = parseToUTCDate(startDate);
+    const eUTC = parseToUTCDate(endDate);
+
+    if (!sUTC || !eUTC) {
+      return res.status(400).json({ success: false, message: "Invalid date format" });
+    }
+
+    const diff = Math.round((eUTC - sUTC) / (1000 * 60 * 60 * 24)) + 1;
+    if (diff <= 0) {
+      return res.status(400).json({ success: false, message: "Invalid holiday period" });
+    }
+
+    const acceptedValue = String(type).toLowerCase() === "unpaid" ? "unpaid" : "";
+
+    const formattedStart = formatDateWithDay(startDate);
+    const formattedEnd = formatDateWithDay(endDate);
+
+    const requestDate = new Date();
+
+    await pool.query(
+      `INSERT INTO Holiday 
+        (employee_id, name, lastName, startDate, endDate, start_date, end_date, requestDate, days, accepted, is_unpaid, who, notes)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        employee.id,
+        employee.name,
+        employee.lastName,
+        formattedStart,
+        formattedEnd,
+        sUTC.toISOString().slice(0, 10),
+        eUTC.toISOString().slice(0, 10),
+        requestDate,
+        diff,
+        acceptedValue,
+        acceptedValue === "unpaid" ? 1 : 0,
+        "",
+        notes,
+      ]
+    );
+
+    const title = "New Holiday Request";
+    const message =
+      `${employee.name} ${employee.lastName} requested holiday from ` +
+      `${formattedStart} to ${formattedEnd} (${diff} days) - ${type}`;
+
+    await pool.query(
+      `INSERT INTO Notifications (targetRole, title, message, type)
+       VALUES (?, ?, ?, ?), (?, ?, ?, ?)`,
+      ["AM", title, message, "HOLIDAY", "Manager", title, message, "HOLIDAY"]
+    );
+
+    return res.json({ success: true, message: "Holiday request submitted" });
+  } catch (err) {
+    console.error("Error requesting holiday:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Server error requesting holiday",
+      error: err.message,
+    });
+  }
+});
+
+// Get pending holiday requests
+app.get("/holidays/pending", async (req, res) => {
+  const { db } = req.query;
+
+  if (!db) {
+    return res.status(400).json({ success: false, message: "db is required" });
+  }
+
+  try {
+    const pool = getPool(db);
+
+    const [rows] = await pool.query(
+      `SELECT id, name, lastName, startDate, endDate, requestDate, days, accepted, who, notes
+       FROM Holiday
+       WHERE (accepted IS NULL OR accepted = '' OR accepted = 'unpaid')
+       ORDER BY requestDate DESC`
+    );
+
+    return res.json({ success: true, holidays: rows });
+  } catch (err) {
+    console.error("Error fetching pending holidays:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Holiday Decision endpoint
+app.post("/holidays/decide", async (req, res) => {
+  const { db, id, decision, reason = "" } = req.body;
+  const actorEmail = req.user.email;
+
+  if (!db || !id || !decision || !actorEmail) {
+    return res.status(400).json({
+      success: false,
+      message: "db, id, decision, actorEmail are required",
+    });
+  }
+
+  const dec = String(decision).trim().toLowerCase();
+  if (dec !== "approve" && dec !== "decline") {
+    return res.status(400).json({
+      success: false,
+      message: "decision must be 'approve' or 'decline'",
+    });
+  }
+
+  try {
+    const tenantPool = getPool(db);
+
+    // approver rights checked by enforceRouteCapabilities (holiday.approve)
+    let who = actorEmail.trim();
+    const [actorEmpRows] = await tenantPool.query(
+      `SELECT name, lastName
+       FROM Employees
+       WHERE email = ?
+       LIMIT 1`,
+      [actorEmail.trim()]
+    );
+
+    if (actorEmpRows && actorEmpRows.length > 0) {
+      const a = actorEmpRows[0];
+      const full = `${a.name || ""} ${a.lastName || ""}`.trim();
+      if (full) who = full;
+    }
+
+    const [holidayRows] = await tenantPool.query(
+      `SELECT id, name, lastName, startDate, endDate, accepted, notes
+       FROM Holiday
+       WHERE id = ?
+       LIMIT 1`,
+      [id]
+    );
+
+    if (!holidayRows || holidayRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Holiday request not found",
+      });
+    }
+
+    const holiday = holidayRows[0];
+
+    const currentAccepted = String(holiday.accepted || "").trim().toLowerCase();
+    const stillPendingOrUnpaid = currentAccepted === "" || currentAccepted === "unpaid";
+
+    if (!stillPendingOrUnpaid) {
+      return res.status(409).json({
+        success: false,
+        message: "This request was already decided",
+      });
+    }
+
+    const acceptedValue = dec === "approve" ? "true" : "false";
+    const declineReason = String(reason || "").trim();
+    const updatedNotes = dec === "decline" && declineReason ? declineReason : (holiday.notes || "");
+
+    await tenantPool.query(
+      `UPDATE Holiday
+       SET accepted = ?, who = ?, notes = ?
+       WHERE id = ?`,
+      [acceptedValue, who, updatedNotes, id]
+    );
+
+    const title = dec === "approve" ? "Holiday Approved" : "Holiday Declined";
+    const msg =
+      dec === "approve"
+        ? `${holiday.name} ${holiday.lastName} holiday approved (${holiday.startDate} → ${holiday.endDate}) by ${who}`
+        : `${holiday.name} ${holiday.lastName} holiday declined (${holiday.startDate} → ${holiday.endDate}) by ${who}${declineReason ? ` | Reason: ${declineReason}` : ""}`;
+
+    await tenantPool.query(
+      `INSERT INTO Notifications (targetRole, title, message, type)
+       VALUES (?, ?, ?, ?), (?, ?, ?, ?)`,
+      ["AM", title, msg, "HOLIDAY", "Manager", title, msg, "HOLIDAY"]
+    );
+
+    return res.json({ success: true, message: "Decision saved" });
+  } catch (err) {
+    console.error("Error deciding holiday:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Server error deciding holiday",
+      error: err.message,
+    });
+  }
+});
+
+// ==================== TIME & ATTENDANCE ====================
+// Clock events are tied to a published rota shift and stamped with server time.
+// ShiftAttendance keeps the running summary per shift:
+// clocked_in <-> on_break -> clocked_out
+
+// Minutes after the scheduled start/before the scheduled end that still count as on time
+const ATTENDANCE_GRACE_MINUTES = Number(process.env.ATTENDANCE_GRACE_MINUTES) || 5;
+// How early before the scheduled start clocking in is allowed
+const CLOCK_IN_OPENS_MINUTES = 60;
+
+const CLOCK_EVENTS = {
+  clock_in: { from: [null], to: "clocked_in", label: "clock in" },
+  break_start: { from: ["clocked_in"], to: "on_break", label: "start a break" },
+  break_end: { from: ["on_break"], to: "clocked_in", label: "end a break" },
+  clock_out: { from: ["clocked_in", "on_break"], to: "clocked_out", label: "clock out" },
+};
+
+// Scheduled start/end of a rota shift as London moments (end moves to the next day past midnight)
+function shiftSchedule(shift) {
+  const start = moment.tz(`${shift.dayDate} ${String(shift.startTime).substring(0, 5)}`, 'YYYY-MM-DD HH:mm', 'Europe/London');
+  const end = moment.tz(`${shift.dayDate} ${String(shift.endTime).substring(0, 5)}`, 'YYYY-MM-DD HH:mm', 'Europe/London');
+  if (!end.isAfter(start)) end.add(1, 'day');
+  return { start, end };
+}
+
+// API shape of a ShiftAttendance row (null row = not clocked in yet)
+function formatAttendance(row) {
+  if (!row) {
+    return { status: "not_started", clockIn: null, clockInMethod: null, clockOut: null, breakMinutes: 0, workedMinutes: null, lateMinutes: 0, earlyLeaveMinutes: 0, late: false, leftEarly: false };
+  }
+
+  const clockIn = row.clock_in_at ? moment(row.clock_in_at).tz('Europe/London') : null;
+  const clockOut = row.clock_out_at ? moment(row.clock_out_at).tz('Europe/London') : null;
+
+  return {
+    status: row.status,
+    clockIn: clockIn ? clockIn.format('HH:mm') : null,
+    clockInAt: clockIn ? clockIn.toISOString() : null,
+    clockInMethod: row.clock_in_method || null,
+    clockOut: clockOut ? clockOut.format('HH:mm') : null,
+    clockOutAt: clockOut ? clockOut.toISOString() : null,
+    breakMinutes: Number(row.break_minutes) || 0,
+    workedMinutes: clockIn && clockOut ? Math.max(0, clockOut.diff(clockIn, 'minutes') - (Number(row.break_minutes) || 0)) : null,
+    lateMinutes: Number(row.late_minutes) || 0,
+    earlyLeaveMinutes: Number(row.early_leave_minutes) || 0,
+    late: Number(row.late_minutes) > ATTENDANCE_GRACE_MINUTES,
+    leftEarly: Number(row.early_leave_minutes) > ATTENDANCE_GRACE_MINUTES,
+  };
+}
+
+// ---- Clock-in verification (geofence / rotating kiosk QR) ----
+// When a workspace has a site fence or a QR secret configured, a clock-in is
+// only accepted if the device is inside the fence or sends the current QR token.
+// Every verified attempt is written to ClockAttempts: accepted, rejected by the
+// verification, or failed when the clock event itself was then refused.
+
+const VERIFIED_CLOCK_EVENTS = ["clock_in"];
+
+async function loadAttendanceSettings(conn) {
+  const [rows] = await conn.query(`SELECT * FROM AttendanceSettings WHERE id = 1 LIMIT 1`);
+  return rows[0] || null;
+}
+
+function hasGeofence(settings) {
+  return !!settings && settings.site_latitude !== null && settings.site_longitude !== null && Number(settings.radius_meters) > 0;
+}
+
+// Great-circle distance in metres
+function distanceMeters(lat1, lon1, lat2, lon2) {
+  const rad = d => (d * Math.PI) / 180;
+  const dLat = rad(lat2 - lat1);
+  const dLon = rad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function qrWindow(settings, at = Date.now()) {
+  const seconds = Number(settings.qr_rotation_seconds) || 30;
+  return { index: Math.floor(at / 1000 / seconds), seconds };
+}
+
+function qrTokenFor(secret, windowIndex) {
+  return crypto.createHmac("sha256", secret).update(String(windowIndex)).digest("hex").substring(0, 16);
+}
+
+// The current token, or the previous one (a scan that straddles a rotation still counts)
+function isCurrentQrToken(settings, token) {
+  if (!settings || !settings.qr_secret || !token) return false;
+  const given = Buffer.from(String(token).trim());
+  const { index } = qrWindow(settings);
+  return [index, index - 1].some(i => {
+    const expected = Buffer.from(qrTokenFor(settings.qr_secret, i));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  });
+}
+
+// -> { accepted, method, reason, distance }
+function verifyClockAttempt(settings, { latitude, longitude, qrToken }) {
+  const geofence = hasGeofence(settings);
+  const qr = !!(settings && settings.qr_secret);
+
+  if (!geofence && !qr) {
+    return { accepted: true, method: "none", reason: "Verification not configured", distance: null };
+  }
+
+  if (qrToken) {
+    if (qr && isCurrentQrToken(settings, qrToken)) {
+      return { accepted: true, method: "qr", reason: null, distance: null };
+    }
+    // A stale QR still gets a chance on location below
+    if (!geofence || latitude === undefined || latitude === null) {
+      return { accepted: false, method: "qr", reason: qr ? "QR code expired or invalid" : "QR clock-in is not enabled", distance: null };
+    }
+  }
+
+  if (latitude === undefined || latitude === null || longitude === undefined || longitude === null) {
+    return { accepted: false, method: "none", reason: "Location or QR code is required to clock in", distance: null };
+  }
+
+  const lat = Number(latitude);
+  const lon = Number(longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return { accepted: false, method: "geofence", reason: "Invalid coordinates", distance: null };
+  }
+  if (!geofence) {
+    return { accepted: false, method: "geofence", reason: "Location clock-in is not enabled, scan the QR code", distance: null };
+  }
+
+  const distance = Math.round(distanceMeters(lat, lon, Number(settings.site_latitude), Number(settings.site_longitude)));
+  if (distance > Number(settings.radius_meters)) {
+    return { accepted: false, method: "geofence", reason: `Outside the site (${distance}m away, limit ${settings.radius_meters}m)`, distance };
+  }
+  return { accepted: true, method: "geofence", reason: null, distance };
+}
+
+async function logClockAttempt(conn, req, shift, employeeId, eventType, verification) {
+  const { latitude, longitude, accuracy } = req.body;
+  const num = v => (v === undefined || v === null || v === "" || !Number.isFinite(Number(v)) ? null : Number(v));
+
+  const [result] = await conn.query(
+    `INSERT INTO ClockAttempts
+       (shift_id, employee_id, event_type, method, result, reason, latitude, longitude, accuracy_meters, distance_meters, ip_address, user_agent)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      shift.id, employeeId, eventType, verification.method,
+      verification.accepted ? "accepted" : "rejected", verification.reason,
+      num(latitude), num(longitude), num(accuracy) === null ? null : Math.round(num(accuracy)),
+      verification.distance, String(req.ip || "").substring(0, 64) || null,
+      String(req.get("user-agent") || "").substring(0, 255) || null,
+    ]
+  );
+  return result.insertId;
+}
+
+// A verified attempt whose clock event was then refused (already clocked in,
+// outside the shift window, ...) is logged as failed with the reason
+async function markClockAttemptFailed(pool, attemptId, reason) {
+  if (!attemptId) return;
+  try {
+    await pool.query(`UPDATE ClockAttempts SET result = 'failed', reason = ? WHERE id = ?`, [String(reason).substring(0, 255), attemptId]);
+  } catch (err) {
+    console.error(`❌ Error updating clock attempt ${attemptId}:`, err.message);
+  }
+}
+
+// Shared handler for the four clock routes
+async function recordClockEvent(req, res, eventType) {
+  const { db, shiftId } = req.body;
+  const event = CLOCK_EVENTS[eventType];
+
+  if (!db || !shiftId) {
+    return res.status(400).json({ success: false, message: "db and shiftId are required" });
+  }
+
+  const pool = getPool(db);
+  const conn = await pool.getConnection();
+  let attemptId = null;
+
+  try {
+    const me = await findEmployeeByEmail(conn, req.user.email);
+    const shift = await findRotaShift(conn, shiftId);
+    if (!me || !shift || shift.employee_id !== me.id || shift.Published !== ROTA_PUBLISHED) {
+      conn.release();
+      return res.status(404).json({ success: false, message: "Shift not found in your rota" });
+    }
+    if (await timesheetApproved(conn, shift.id)) {
+      conn.release();
+      return res.status(409).json(TIMESHEET_LOCKED);
+    }
+
+    // Verified outside the transaction so rejected attempts stay in the log
+    let verification = null;
+    if (VERIFIED_CLOCK_EVENTS.includes(eventType)) {
+      verification = verifyClockAttempt(await loadAttendanceSettings(conn), req.body);
+      attemptId = await logClockAttempt(conn, req, shift, me.id, eventType, verification);
+
+      if (!verification.accepted) {
+        conn.release();
+        console.warn(`🚫 ${eventType} rejected | db=${db} | shift=${shift.id} | ${me.name} ${me.lastName} | ${verification.reason}`);
+        return res.status(403).json({
+          success: false,
+          code: "CLOCK_VERIFICATION_FAILED",
+          method: verification.method,
+          message: verification.reason,
+        });
+      }
+    }
+
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(`SELECT * FROM ShiftAttendance WHERE shift_id = ? FOR UPDATE`, [shift.id]);
+    const current = rows[0] || null;
+    const status = current ? current.status : null;
+
+    if (!event.from.includes(status)) {
+      await conn.rollback();
+      conn.release();
+      const message = `Can't ${event.label} now (status: ${status || "not_started"})`;
+      await markClockAttemptFailed(pool, attemptId, message);
+      return res.status(409).json({
+        success: false,
+        code: "INVALID_CLOCK_EVENT",
+        message,
+      });
+    }
+
+    const now = moment.tz('Europe/London');
+    const nowDate = now.toDate();
+    const schedule = shiftSchedule(shift);
+
+    if (eventType === "clock_in") {
+      if (now.isBefore(schedule.start.clone().subtract(CLOCK_IN_OPENS_MINUTES, 'minutes')) || now.isAfter(schedule.end)) {
+        await conn.rollback();
+        conn.release();
+        const message = `Clock-in opens ${CLOCK_IN_OPENS_MINUTES} minutes before the shift starts (${schedule.start.format('DD/MM HH:mm')}) and closes when it ends`;
+        await markClockAttemptFailed(pool, attemptId, message);
+        return res.status(409).json({
+          success: false,
+          code: "OUTSIDE_SHIFT_WINDOW",
+          message,
+        });
+      }
+
+      await conn.query(
+        `INSERT INTO ShiftAttendance (shift_id, employee_id, day_date, status, clock_in_at, clock_in_method, late_minutes)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [shift.id, me.id, shift.dayDate, event.to, nowDate, verification ? verification.method : null,
+         Math.max(0, now.diff(schedule.start, 'minutes'))]
+      );
+
+      // A late-start alert already raised for this shift is closed by the clock-in
+      await conn.query(
+        `UPDATE AttendanceIncidents SET resolved_at = ?, minutes_late = ? WHERE shift_id = ? AND resolved_at IS NULL`,
+        [nowDate, Math.max(0, now.diff(schedule.start, 'minutes')), shift.id]
+      );
+    } else if (eventType === "break_start") {
+      await conn.query(
+        `UPDATE ShiftAttendance SET status = ?, break_started_at = ? WHERE shift_id = ?`,
+        [event.to, nowDate, shift.id]
+      );
+    } else {
+      // break_end and clock_out both close an open break
+      const breakMinutes = (Number(current.break_minutes) || 0) +
+        (current.break_started_at ? Math.max(0, now.diff(moment(current.break_started_at), 'minutes')) : 0);
+
+      if (eventType === "break_end") {
+        await conn.query(
+          `UPDATE ShiftAttendance SET status = ?, break_started_at = NULL, break_minutes = ? WHERE shift_id = ?`,
+          [event.to, breakMinutes, shift.id]
+        );
+      } else {
+        await conn.query(
+          `UPDATE ShiftAttendance
+           SET status = ?, break_started_at = NULL, break_minutes = ?, clock_out_at = ?, early_leave_minutes = ?
+           WHERE shift_id = ?`,
+          [event.to, breakMinutes, nowDate, Math.max(0, schedule.end.diff(now, 'minutes')), shift.id]
+        );
+      }
+    }
+
+    await conn.query(
+      `INSERT INTO ClockEvents (shift_id, employee_id, event_type, occurred_at) VALUES (?, ?, ?, ?)`,
+      [shift.id, me.id, eventType, nowDate]
+    );
+
+    const [updated] = await conn.query(`SELECT * FROM ShiftAttendance WHERE shift_id = ?`, [shift.id]);
+
+    await conn.commit();
+    conn.release();
+
+    console.log(`⏱️ ${eventType} | db=${db} | shift=${shift.id} | ${me.name} ${me.lastName} | ${now.format('HH:mm')}`);
+
+    return res.json({
+      success: true,
+      event: eventType,
+      at: now.toISOString(),
+      shiftId: String(shift.id),
+      attendance: formatAttendance(updated[0]),
+    });
+  } catch (err) {
+    try { await conn.rollback(); } catch (_) {}
+    conn.release();
+
+    // Two clock-ins racing on a shift with no ShiftAttendance row yet: the FOR UPDATE
+    // above has no row to lock, so the loser hits the primary key (or a gap-lock deadlock)
+    if (eventType === "clock_in" && (err.code === "ER_DUP_ENTRY" || err.code === "ER_LOCK_DEADLOCK")) {
+      await markClockAttemptFailed(pool, attemptId, "Already clocked in to this shift");
+      return res.status(409).json({
+        success: false,
+        code: "INVALID_CLOCK_EVENT",
+        message: "Already clocked in to this shift",
+      });
+    }
+    await markClockAttemptFailed(pool, attemptId, `Server error: ${err.message}`);
+    console.error(`❌ Error recording ${eventType}:`, err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+}
+
+app.post("/attendance/clock-in", (req, res) => recordClockEvent(req, res, "clock_in"));
+app.post("/attendance/break-start", (req, res) => recordClockEvent(req, res, "break_start"));
+app.post("/attendance/break-end", (req, res) => recordClockEvent(req, res, "break_end"));
+app.post("/attendance/clock-out", (req, res) => recordClockEvent(req, res, "clock_out"));
+
+// Caller's shifts for a day (default today) with their attendance
+app.get("/attendance/me", async (req, res) => {
+  const { db, date } = req.query;
+
+  const daySql = date ? toSqlDate(date) : moment.tz('Europe/London').format('YYYY-MM-DD');
+  if (!db || !daySql) {
+    return res.status(400).json({ success: false, message: "db is required, date must be YYYY-MM-DD" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const me = await findEmployeeByEmail(pool, req.user.email);
+    if (!me) {
+      return res.status(404).json({ success: false, message: "Employee not found" });
+    }
+
+    const [rows] = await pool.query(
+      `SELECT r.id, TIME_FORMAT(r.startTime, '%H:%i') AS startTime, TIME_FORMAT(r.endTime, '%H:%i') AS endTime,
+              r.designation, a.*
+       FROM rota r
+       LEFT JOIN ShiftAttendance a ON a.shift_id = r.id
+       WHERE r.employee_id = ? AND r.day_date = ? AND r.Published = ?
+       ORDER BY r.startTime`,
+      [me.id, daySql, ROTA_PUBLISHED]
+    );
+
+    return res.json({
+      success: true,
+      date: daySql,
+      shifts: rows.map(r => ({
+        shiftId: String(r.id),
+        startTime: r.startTime,
+        endTime: r.endTime,
+        designation: r.designation,
+        attendance: formatAttendance(r.shift_id ? r : null),
+      })),
+    });
+  } catch (err) {
+    console.error("❌ /attendance/me error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Planned vs actual for every published shift on a day (managers)
+app.get("/attendance/day", async (req, res) => {
+  const { db, date } = req.query;
+
+  const daySql = date ? toSqlDate(date) : moment.tz('Europe/London').format('YYYY-MM-DD');
+  if (!db || !daySql) {
+    return res.status(400).json({ success: false, message: "db is required, date must be YYYY-MM-DD" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const [rows] = await pool.query(
+      `SELECT r.id, r.employee_id AS employeeId, r.name, r.lastName, r.designation,
+              DATE_FORMAT(r.day_date, '%Y-%m-%d') AS dayDate, r.startTime AS plannedStart, r.endTime AS plannedEnd,
+              a.*
+       FROM rota r
+       LEFT JOIN ShiftAttendance a ON a.shift_id = r.id
+       WHERE r.day_date = ? AND r.Published = ?
+       ORDER BY r.startTime, r.lastName, r.name`,
+      [daySql, ROTA_PUBLISHED]
+    );
+
+    const now = moment.tz('Europe/London');
+    const shifts = rows.map(r => {
+      const schedule = shiftSchedule({ dayDate: r.dayDate, startTime: r.plannedStart, endTime: r.plannedEnd });
+      const attendance = formatAttendance(r.shift_id ? r : null);
+      return {
+        shiftId: String(r.id),
+        employeeId: r.employeeId,
+        name: r.name,
+        lastName: r.lastName,
+        designation: r.designation,
+        plannedStart: String(r.plannedStart).substring(0, 5),
+        plannedEnd: String(r.plannedEnd).substring(0, 5),
+        plannedMinutes: schedule.end.diff(schedule.start, 'minutes'),
+        ...attendance,
+        notClockedIn: attendance.status === "not_started" &&
+          now.isAfter(schedule.start.clone().add(ATTENDANCE_GRACE_MINUTES, 'minutes')),
+      };
+    });
+
+    return res.json({
+      success: true,
+      date: daySql,
+      shifts,
+      summary: {
+        planned: shifts.length,
+        clockedIn: shifts.filter(s => s.status !== "not_started").length,
+        late: shifts.filter(s => s.late).length,
+        leftEarly: shifts.filter(s => s.leftEarly).length,
+        notClockedIn: shifts.filter(s => s.notClockedIn).length,
+      },
+    });
+  } catch (err) {
+    console.error("❌ /attendance/day error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// ---- Clock-in verification settings, kiosk QR and attempt log (managers) ----
+
+function formatAttendanceSettings(settings) {
+  return {
+    geofence: hasGeofence(settings)
+      ? { latitude: Number(settings.site_latitude), longitude: Number(settings.site_longitude), radiusMeters: Number(settings.radius_meters) }
+      : null,
+    qrEnabled: !!(settings && settings.qr_secret),
+    qrRotationSeconds: settings ? Number(settings.qr_rotation_seconds) : 30,
+    lateAlertMinutes: lateAlertMinutesFor(settings),
+    verificationRequired: hasGeofence(settings) || !!(settings && settings.qr_secret),
+    updatedBy: settings ? settings.updated_by_email : null,
+    updatedAt: settings ? settings.updated_at : null,
+  };
+}
+
+app.get("/attendance/settings", async (req, res) => {
+  const { db } = req.query;
+  if (!db) {
+    return res.status(400).json({ success: false, message: "db is required" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const settings = await loadAttendanceSettings(pool);
+    return res.json({ success: true, settings: formatAttendanceSettings(settings) });
+  } catch (err) {
+    console.error("❌ /attendance/settings error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Body: { db, geofence: { latitude, longitude, radiusMeters } | null, qrEnabled, qrRotationSeconds, rotateQrSecret, lateAlertMinutes }
+// Fields left out keep their current value.
+app.put("/attendance/settings", async (req, res) => {
+  const { db, geofence, qrEnabled, qrRotationSeconds, rotateQrSecret, lateAlertMinutes } = req.body;
+  if (!db) {
+    return res.status(400).json({ success: false, message: "db is required" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const current = await loadAttendanceSettings(pool);
+
+    let latitude = current ? current.site_latitude : null;
+    let longitude = current ? current.site_longitude : null;
+    let radius = current ? current.radius_meters : null;
+
+    if (geofence === null) {
+      latitude = longitude = radius = null;
+    } else if (geofence !== undefined) {
+      latitude = Number(geofence.latitude);
+      longitude = Number(geofence.longitude);
+      radius = Number(geofence.radiusMeters);
+      if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        return res.status(400).json({ success: false, message: "geofence latitude/longitude are invalid" });
+      }
+      if (!Number.isInteger(radius) || radius < 10 || radius > 5000) {
+        return res.status(400).json({ success: false, message: "geofence radiusMeters must be a whole number between 10 and 5000" });
+      }
+    }
+
+    let rotation = current ? current.qr_rotation_seconds : 30;
+    if (qrRotationSeconds !== undefined) {
+      rotation = Number(qrRotationSeconds);
+      if (!Number.isInteger(rotation) || rotation < 10 || rotation > 3600) {
+        return res.status(400).json({ success: false, message: "qrRotationSeconds must be a whole number between 10 and 3600" });
+      }
+    }
+
+    let lateAlert = lateAlertMinutesFor(current);
+    if (lateAlertMinutes !== undefined) {
+      lateAlert = Number(lateAlertMinutes);
+      if (!Number.isInteger(lateAlert) || lateAlert < 1 || lateAlert > 240) {
+        return res.status(400).json({ success: false, message: "lateAlertMinutes must be a whole number between 1 and 240" });
+      }
+    }
+
+    let secret = current ? current.qr_secret : null;
+    if (qrEnabled === false) {
+      secret = null;
+    } else if ((qrEnabled === true && !secret) || (rotateQrSecret && secret)) {
+      secret = crypto.randomBytes(32).toString("hex");
+    }
+
+    await pool.query(
+      `INSERT INTO AttendanceSettings
+         (id, site_latitude, site_longitude, radius_meters, qr_secret, qr_rotation_seconds, late_alert_minutes, updated_by_email)
+       VALUES (1, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         site_latitude = VALUES(site_latitude), site_longitude = VALUES(site_longitude),
+         radius_meters = VALUES(radius_meters), qr_secret = VALUES(qr_secret),
+         qr_rotation_seconds = VALUES(qr_rotation_seconds), late_alert_minutes = VALUES(late_alert_minutes),
+         updated_by_email = VALUES(updated_by_email)`,
+      [latitude, longitude, radius, secret, rotation, lateAlert, req.user.email]
+    );
+
+    console.log(`📍 Attendance settings updated | db=${db} | by=${req.user.email}`);
+
+    return res.json({ success: true, settings: formatAttendanceSettings(await loadAttendanceSettings(pool)) });
+  } catch (err) {
+    console.error("❌ PUT /attendance/settings error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Kiosk polls this and shows the token as a QR code
+app.get("/attendance/qr-token", async (req, res) => {
+  const { db } = req.query;
+  if (!db) {
+    return res.status(400).json({ success: false, message: "db is required" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const settings = await loadAttendanceSettings(pool);
+    if (!settings || !settings.qr_secret) {
+      return res.status(404).json({ success: false, message: "QR clock-in is not enabled for this workspace" });
+    }
+
+    const { index, seconds } = qrWindow(settings);
+    return res.json({
+      success: true,
+      token: qrTokenFor(settings.qr_secret, index),
+      rotationSeconds: seconds,
+      expiresAt: new Date((index + 1) * seconds * 1000).toISOString(),
+    });
+  } catch (err) {
+    console.error("❌ /attendance/qr-token error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Audit log of verified clock attempts
+// Query: db, from, to (YYYY-MM-DD, default last 7 days), result (accepted|rejected|failed), employeeId
+app.get("/attendance/attempts", async (req, res) => {
+  const { db, result, employeeId } = req.query;
+
+  const today = moment.tz('Europe/London');
+  const from = req.query.from ? toSqlDate(req.query.from) : today.clone().subtract(6, 'days').format('YYYY-MM-DD');
+  const to = req.query.to ? toSqlDate(req.query.to) : today.format('YYYY-MM-DD');
+
+  if (!db || !from || !to) {
+    return res.status(400).json({ success: false, message: "db is required, from/to must be YYYY-MM-DD" });
+  }
+  if (result && !["accepted", "rejected", "failed"].includes(result)) {
+    return res.status(400).json({ success: false, message: "result must be accepted, rejected or failed" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const where = [`a.created_at >= ?`, `a.created_at < DATE_ADD(?, INTERVAL 1 DAY)`];
+    const params = [from, to];
+    if (result) { where.push(`a.result = ?`); params.push(result); }
+    if (employeeId) { where.push(`a.employee_id = ?`); params.push(employeeId); }
+
+    const [rows] = await pool.query(
+      `SELECT a.*, e.name, e.lastName
+       FROM ClockAttempts a
+       LEFT JOIN Employees e ON e.id = a.employee_id
+       WHERE ${where.join(" AND ")}
+       ORDER BY a.created_at DESC
+       LIMIT 500`,
+      params
+    );
+
+    return res.json({
+      success: true,
+      from,
+      to,
+      attempts: rows.map(a => ({
+        id: a.id,
+        shiftId: String(a.shift_id),
+        employeeId: a.employee_id,
+        name: a.name,
+        lastName: a.lastName,
+        event: a.event_type,
+        method: a.method,
+        result: a.result,
+        reason: a.reason,
+        latitude: a.latitude === null ? null : Number(a.latitude),
+        longitude: a.longitude === null ? null : Number(a.longitude),
+        accuracyMeters: a.accuracy_meters,
+        distanceMeters: a.distance_meters,
+        ipAddress: a.ip_address,
+        userAgent: a.user_agent,
+        at: a.created_at,
+      })),
+    });
+  } catch (err) {
+    console.error("❌ /attendance/attempts error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// ---- Late start / no-show detection ----
+// Every minute, published shifts whose start is more than the workspace's
+// lateAlertMinutes ago with no clock-in (and not confirmed via /save-shift)
+// get an AttendanceIncidents row, an alert to the managers on duty and a
+// reminder to the employee. If the shift ends without a clock-in the incident
+// becomes a no-show and managers are told again.
+
+const DEFAULT_LATE_ALERT_MINUTES = 10;
+// Shifts that already ended longer ago than this are not reported for the first time
+const NO_SHOW_LOOKBACK_MINUTES = 60;
+
+function lateAlertMinutesFor(settings) {
+  return settings && Number(settings.late_alert_minutes) > 0 ? Number(settings.late_alert_minutes) : DEFAULT_LATE_ALERT_MINUTES;
+}
+
+// Managers of a workspace who are working right now (published shift covering
+// now, or clocked in); every manager when nobody is on duty
+async function onDutyManagerEmails(dbName, dbPool, now) {
+  const [users] = await pool.query(
+    `SELECT LOWER(TRIM(email)) AS email, TRIM(LOWER(COALESCE(\`Access\`, ''))) AS access
+     FROM users WHERE TRIM(LOWER(db_name)) = TRIM(LOWER(?))`,
+    [dbName]
+  );
+  const managers = [...new Set(users.filter(u => u.email && roleHasCapability(u.access, "attendance.manage")).map(u => u.email))];
+  if (managers.length === 0) return [];
+
+  const [shifts] = await dbPool.query(
+    `SELECT LOWER(TRIM(e.email)) AS email, DATE_FORMAT(r.day_date, '%Y-%m-%d') AS dayDate, r.startTime, r.endTime,
+            a.status AS attendanceStatus
+     FROM rota r
+     JOIN Employees e ON e.id = r.employee_id
+     LEFT JOIN ShiftAttendance a ON a.shift_id = r.id
+     WHERE r.day_date BETWEEN ? AND ? AND r.Published = ? AND LOWER(TRIM(e.email)) IN (?)`,
+    [now.clone().subtract(1, 'day').format('YYYY-MM-DD'), now.format('YYYY-MM-DD'), ROTA_PUBLISHED, managers]
+  );
+
+  const onDuty = new Set(
+    shifts
+      .filter(s => {
+        if (["clocked_in", "on_break"].includes(s.attendanceStatus)) return true;
+        const { start, end } = shiftSchedule(s);
+        return now.isBetween(start, end, null, '[]');
+      })
+      .map(s => s.email)
+  );
+
+  return onDuty.size > 0 ? [...onDuty] : managers;
+}
+
+async function detectLateStarts(dbName) {
+  const dbPool = getPool(dbName);
+  const now = moment.tz('Europe/London');
+  const lateAfter = lateAlertMinutesFor(await loadAttendanceSettings(dbPool));
+
+  const [rows] = await dbPool.query(
+    `SELECT r.id, r.employee_id, r.name, r.lastName, DATE_FORMAT(r.day_date, '%Y-%m-%d') AS dayDate,
+            r.startTime, r.endTime, e.email, i.id AS incidentId, i.type AS incidentType
+     FROM rota r
+     LEFT JOIN Employees e ON e.id = r.employee_id
+     LEFT JOIN ShiftAttendance a ON a.shift_id = r.id
+     LEFT JOIN AttendanceIncidents i ON i.shift_id = r.id
+     WHERE r.day_date BETWEEN ? AND ? AND r.Published = ?
+       AND a.shift_id IS NULL
+       AND (r.ConfirmedByTM IS NULL OR r.ConfirmedByTM != 'yes')
+       AND (i.id IS NULL OR (i.type = 'late_start' AND i.resolved_at IS NULL))`,
+    [now.clone().subtract(1, 'day').format('YYYY-MM-DD'), now.format('YYYY-MM-DD'), ROTA_PUBLISHED]
+  );
+
+  const alerts = [];
+  for (const shift of rows) {
+    const { start, end } = shiftSchedule(shift);
+    const ended = !now.isBefore(end);
+
+    if (!shift.incidentId) {
+      if (now.isBefore(start.clone().add(lateAfter, 'minutes'))) continue;
+      if (ended && now.diff(end, 'minutes') > NO_SHOW_LOOKBACK_MINUTES) continue;
+
+      const [result] = await dbPool.query(
+        `INSERT IGNORE INTO AttendanceIncidents (shift_id, employee_id, day_date, type, scheduled_start, detected_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [shift.id, shift.employee_id, shift.dayDate, ended ? "no_show" : "late_start", shift.startTime, now.toDate()]
+      );
+      if (result.affectedRows === 1) alerts.push({ shift, type: ended ? "no_show" : "late_start", start, remind: !ended });
+    } else if (ended) {
+      // only the instance whose update wins sends the alert
+      const [result] = await dbPool.query(
+        `UPDATE AttendanceIncidents SET type = 'no_show' WHERE id = ? AND type = 'late_start' AND resolved_at IS NULL`,
+        [shift.incidentId]
+      );
+      if (result.affectedRows === 1) alerts.push({ shift, type: "no_show", start, remind: false });
+    }
+  }
+  if (alerts.length === 0) return;
+
+  const managers = await onDutyManagerEmails(dbName, dbPool, now);
+
+  for (const { shift, type, start, remind } of alerts) {
+    const who = `${shift.name} ${shift.lastName}`;
+    const when = `${formatDayLabel(shift.dayDate)} ${String(shift.startTime).substring(0, 5)}–${String(shift.endTime).substring(0, 5)}`;
+    const title = type === "no_show" ? "No-show" : "Late start";
+    const message = type === "no_show"
+      ? `${who} did not clock in for their shift on ${when}`
+      : `${who} has not clocked in, shift started ${now.diff(start, 'minutes')} minutes ago (${when})`;
+
+    for (const email of managers) {
+      await notifyEmployee(dbPool, email, {
+        title, message, type: "ATTENDANCE", authorEmail: "no-reply@solura.com",
+        data: { shiftId: String(shift.id), incident: type },
+      });
+    }
+
+    let reminded = false;
+    if (remind && shift.email) {
+      await notifyEmployee(dbPool, shift.email, {
+        title: "Did you forget to clock in?",
+        message: `Your shift started at ${String(shift.startTime).substring(0, 5)}. Clock in now or let your manager know`,
+        type: "ATTENDANCE",
+        authorEmail: "no-reply@solura.com",
+        data: { shiftId: String(shift.id) },
+      });
+      reminded = true;
+    }
+
+    await dbPool.query(
+      `UPDATE AttendanceIncidents
+       SET managers_notified = managers_notified + ?, employee_reminded = employee_reminded OR ?
+       WHERE shift_id = ?`,
+      [managers.length, reminded, shift.id]
+    );
+  }
+
+  console.log(`🚨 ${alerts.length} attendance alert(s) in ${dbName} sent to ${managers.length} manager(s)`);
+}
+
+// Runs every minute; a slow run is never overlapped by the next one
+let lateStartCheckRunning = false;
+cron.schedule('* * * * *', async () => {
+  if (lateStartCheckRunning) return;
+  lateStartCheckRunning = true;
+  try {
+    for (const { db_name } of listTenants()) {
+      try {
+        await detectLateStarts(db_name);
+      } catch (err) {
+        console.error(`Error checking late starts in ${db_name}:`, err.message);
+      }
+    }
+  } catch (err) {
+    console.error('Error in late start cron job:', err);
+  } finally {
+    lateStartCheckRunning = false;
+  }
+}, {
+  timezone: 'Europe/London'
+});
+
+// Late starts and no-shows for attendance reports
+// Query: db, from, to (YYYY-MM-DD, default last 30 days), type (late_start|no_show), employeeId
+app.get("/attendance/incidents", async (req, res) => {
+  const { db, type, employeeId } = req.query;
+
+  const today = moment.tz('Europe/London');
+  const from = req.query.from ? toSqlDate(req.query.from) : today.clone().subtract(29, 'days').format('YYYY-MM-DD');
+  const to = req.query.to ? toSqlDate(req.query.to) : today.format('YYYY-MM-DD');
+
+  if (!db || !from || !to) {
+    return res.status(400).json({ success: false, message: "db is required, from/to must be YYYY-MM-DD" });
+  }
+  if (type && !["late_start", "no_show"].includes(type)) {
+    return res.status(400).json({ success: false, message: "type must be late_start or no_show" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const where = [`i.day_date BETWEEN ? AND ?`];
+    const params = [from, to];
+    if (type) { where.push(`i.type = ?`); params.push(type); }
+    if (employeeId) { where.push(`i.employee_id = ?`); params.push(employeeId); }
+
+    const [rows] = await pool.query(
+      `SELECT i.*, DATE_FORMAT(i.day_date, '%Y-%m-%d') AS dayDate, e.name, e.lastName
+       FROM AttendanceIncidents i
+       LEFT JOIN Employees e ON e.id = i.employee_id
+       WHERE ${where.join(" AND ")}
+       ORDER BY i.day_date DESC, i.scheduled_start DESC`,
+      params
+    );
+
+    const incidents = rows.map(i => ({
+      id: i.id,
+      shiftId: String(i.shift_id),
+      employeeId: i.employee_id,
+      name: i.name,
+      lastName: i.lastName,
+      day: formatDayLabel(i.dayDate),
+      type: i.type,
+      scheduledStart: String(i.scheduled_start).substring(0, 5),
+      detectedAt: i.detected_at,
+      resolvedAt: i.resolved_at,
+      minutesLate: i.minutes_late,
+      managersNotified: i.managers_notified,
+      employeeReminded: !!i.employee_reminded,
+    }));
+
+    const byEmployee = new Map();
+    for (const i of incidents) {
+      const key = String(i.employeeId);
+      if (!byEmployee.has(key)) byEmployee.set(key, { employeeId: i.employeeId, name: i.name, lastName: i.lastName, lateStarts: 0, noShows: 0 });
+      byEmployee.get(key)[i.type === "no_show" ? "noShows" : "lateStarts"]++;
+    }
+
+    return res.json({
+      success: true,
+      from,
+      to,
+      incidents,
+      employees: [...byEmployee.values()].sort((a, b) => (b.noShows + b.lateStarts) - (a.noShows + a.lateStarts)),
+    });
+  } catch (err) {
+    console.error("❌ /attendance/incidents error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// ==================== TIMESHEETS ====================
+// Weekly review of published shifts: planned rota times, times confirmed through
+// /save-shift, clock events and manager adjustments are merged into one proposed
+// entry per shift. Approval writes ConfirmedRota (same id as the rota shift),
+// after which the shift can no longer be edited, deleted or clocked.
+
+const TIMESHEET_LOCKED = {
+  success: false,
+  code: "TIMESHEET_APPROVED",
+  message: "This shift's timesheet has been approved and can no longer be changed",
+};
+
+async function timesheetApproved(conn, shiftId) {
+  const [rows] = await conn.query(`SELECT id FROM ConfirmedRota WHERE id = ? LIMIT 1`, [shiftId]);
+  return rows.length > 0;
+}
+
+// Paid minutes between two times (end at or before start = past midnight)
+function timesheetMinutes(startTime, endTime, breakMinutes = 0) {
+  let span = timeToMinutes(endTime) - timeToMinutes(startTime);
+  if (span <= 0) span += 24 * 60;
+  return Math.max(0, span - (Number(breakMinutes) || 0));
+}
+
+const hhmm = time => (time ? String(time).substring(0, 5) : null);
+const londonHHMM = at => (at ? moment(at).tz('Europe/London').format('HH:mm') : null);
+
+// Published shifts with their attendance, approval and latest adjustment
+// filter: { from, to, employeeId, shiftId }
+async function loadTimesheetEntries(conn, { from, to, employeeId, shiftId }, { lock = false } = {}) {
+  const where = [`r.Published = ?`];
+  const params = [ROTA_PUBLISHED];
+  if (from && to) { where.push(`r.day_date BETWEEN ? AND ?`); params.push(from, to); }
+  if (employeeId) { where.push(`r.employee_id = ?`); params.push(employeeId); }
+  if (shiftId) { where.push(`r.id = ?`); params.push(shiftId); }
+
+  const [rows] = await conn.query(
+    `SELECT r.id, r.employee_id, r.name, r.lastName, r.designation, r.wage,
+            DATE_FORMAT(r.day_date, '%Y-%m-%d') AS dayDate, r.startTime, r.endTime, r.ConfirmedByTM,
+            a.status AS attendanceStatus, a.clock_in_at, a.clock_out_at, a.break_minutes AS clockBreakMinutes,
+            c.id AS approvedId, c.startTime AS approvedStart, c.endTime AS approvedEnd,
+            c.break_minutes AS approvedBreakMinutes, c.source AS approvedSource,
+            c.approved_by_email, c.approved_at, i.type AS incidentType
+     FROM rota r
+     LEFT JOIN ShiftAttendance a ON a.shift_id = r.id
+     LEFT JOIN ConfirmedRota c ON c.id = r.id
+     LEFT JOIN AttendanceIncidents i ON i.shift_id = r.id
+     WHERE ${where.join(" AND ")}
+     ORDER BY r.lastName, r.name, r.day_date, r.startTime
+     ${lock ? "FOR UPDATE" : ""}`,
+    params
+  );
+  if (rows.length === 0) return [];
+
+  const [adjustments] = await conn.query(
+    `SELECT t.*, counts.total
+     FROM TimesheetAdjustments t
+     JOIN (SELECT shift_id, MAX(id) AS id, COUNT(*) AS total
+           FROM TimesheetAdjustments WHERE shift_id IN (?) GROUP BY shift_id) counts
+       ON counts.id = t.id`,
+    [rows.map(r => r.id)]
+  );
+  const latestAdjustment = new Map(adjustments.map(a => [String(a.shift_id), a]));
+
+  return rows.map(r => timesheetEntry(r, latestAdjustment.get(String(r.id)) || null));
+}
+
+function timesheetEntry(row, adjustment) {
+  const clock = row.clock_in_at
+    ? {
+        status: row.attendanceStatus,
+        clockIn: londonHHMM(row.clock_in_at),
+        clockOut: londonHHMM(row.clock_out_at),
+        breakMinutes: Number(row.clockBreakMinutes) || 0,
+      }
+    : null;
+
+  const adjusted = adjustment
+    ? {
+        startTime: hhmm(adjustment.new_start),
+        endTime: hhmm(adjustment.new_end),
+        breakMinutes: adjustment.new_break_minutes,
+        reason: adjustment.reason,
+        adjustedBy: adjustment.adjusted_by_email,
+        adjustedAt: adjustment.created_at,
+        count: Number(adjustment.total),
+      }
+    : null;
+
+  // Approved values win, then the latest adjustment, then a completed clock, then the rota
+  let final;
+  if (row.approvedId) {
+    final = { startTime: hhmm(row.approvedStart), endTime: hhmm(row.approvedEnd), breakMinutes: Number(row.approvedBreakMinutes) || 0, source: row.approvedSource || "rota" };
+  } else if (adjusted) {
+    final = { startTime: adjusted.startTime, endTime: adjusted.endTime, breakMinutes: adjusted.breakMinutes, source: "adjusted" };
+  } else if (clock && clock.clockOut) {
+    final = { startTime: clock.clockIn, endTime: clock.clockOut, breakMinutes: clock.breakMinutes, source: "clock" };
+  } else {
+    final = { startTime: hhmm(row.startTime), endTime: hhmm(row.endTime), breakMinutes: 0, source: row.ConfirmedByTM === "yes" ? "confirmed" : "rota" };
+  }
+  final.minutes = timesheetMinutes(final.startTime, final.endTime, final.breakMinutes);
+
+  // Nothing shows the shift was worked: only the rostered times, or an employee
+  // confirmation the attendance scheduler contradicts with a no-show
+  const noShow = row.incidentType === "no_show";
+  const noAttendance = !row.approvedId &&
+    (final.source === "rota" || (final.source === "confirmed" && noShow));
+
+  return {
+    shiftId: String(row.id),
+    employeeId: row.employee_id,
+    name: row.name,
+    lastName: row.lastName,
+    designation: row.designation,
+    wage: Number(row.wage) || 0,
+    dayDate: row.dayDate,
+    day: formatDayLabel(row.dayDate),
+    planned: {
+      startTime: hhmm(row.startTime),
+      endTime: hhmm(row.endTime),
+      minutes: timesheetMinutes(row.startTime, row.endTime),
+      confirmedByEmployee: row.ConfirmedByTM === "yes",
+    },
+    clock,
+    adjusted,
+    final,
+    openClock: !!clock && ["clocked_in", "on_break"].includes(clock.status),
+    noShow,
+    noAttendance,
+    approved: !!row.approvedId,
+    approvedBy: row.approved_by_email || null,
+    approvedAt: row.approved_at || null,
+  };
+}
+
+function groupTimesheetsByEmployee(entries) {
+  const byEmployee = new Map();
+  for (const entry of entries) {
+    const key = String(entry.employeeId ?? `${entry.name} ${entry.lastName}`);
+    if (!byEmployee.has(key)) {
+      byEmployee.set(key, { employeeId: entry.employeeId, name: entry.name, lastName: entry.lastName, shifts: [] });
+    }
+    byEmployee.get(key).shifts.push(entry);
+  }
+
+  return [...byEmployee.values()].map(e => ({
+    ...e,
+    plannedMinutes: e.shifts.reduce((sum, s) => sum + s.planned.minutes, 0),
+    finalMinutes: e.shifts.reduce((sum, s) => sum + s.final.minutes, 0),
+    approved: e.shifts.every(s => s.approved),
+  }));
+}
+
+function weekRangeFrom(input) {
+  const weekStart = weekStartOf(input || moment.tz('Europe/London').format('YYYY-MM-DD'));
+  if (!weekStart) return null;
+  return { from: weekStart, to: moment.tz(weekStart, 'Europe/London').add(6, 'days').format('YYYY-MM-DD') };
+}
+
+// Query: db, weekStart (any day in the week, default this week), employeeId
+app.get("/timesheets/week", async (req, res) => {
+  const { db, weekStart, employeeId } = req.query;
+
+  const week = weekRangeFrom(weekStart);
+  if (!db || !week) {
+    return res.status(400).json({ success: false, message: "db is required, weekStart must be dd/mm/yyyy or YYYY-MM-DD" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const entries = await loadTimesheetEntries(pool, { ...week, employeeId });
+    const employees = groupTimesheetsByEmployee(entries);
+
+    return res.json({
+      success: true,
+      weekStart: week.from,
+      weekEnd: week.to,
+      employees,
+      summary: {
+        shifts: entries.length,
+        approved: entries.filter(e => e.approved).length,
+        adjusted: entries.filter(e => e.adjusted).length,
+        openClock: entries.filter(e => e.openClock).length,
+        noAttendance: entries.filter(e => e.noAttendance).length,
+        plannedMinutes: employees.reduce((sum, e) => sum + e.plannedMinutes, 0),
+        finalMinutes: employees.reduce((sum, e) => sum + e.finalMinutes, 0),
+      },
+    });
+  } catch (err) {
+    console.error("❌ /timesheets/week error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Body: { db, shiftId, startTime, endTime, breakMinutes, reason }
+app.post("/timesheets/adjust", async (req, res) => {
+  const { db, shiftId, startTime, endTime, breakMinutes = 0, reason } = req.body;
+  const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+  if (!db || !shiftId || !startTime || !endTime) {
+    return res.status(400).json({ success: false, message: "db, shiftId, startTime and endTime are required" });
+  }
+  if (!timeRegex.test(startTime) || !timeRegex.test(endTime)) {
+    return res.status(400).json({ success: false, message: "Time must be in HH:mm format" });
+  }
+  if (!reason || !String(reason).trim() || String(reason).length > 255) {
+    return res.status(400).json({ success: false, message: "A reason (up to 255 characters) is required for every adjustment" });
+  }
+  const breakMins = Number(breakMinutes);
+  if (!Number.isInteger(breakMins) || breakMins < 0 || breakMins >= timesheetMinutes(startTime, endTime)) {
+    return res.status(400).json({ success: false, message: "breakMinutes must be a whole number shorter than the shift" });
+  }
+
+  const pool = getPool(db);
+  const conn = await pool.getConnection();
+
+  try {
+    await conn.beginTransaction();
+
+    const [entry] = await loadTimesheetEntries(conn, { shiftId }, { lock: true });
+    if (!entry) {
+      await conn.rollback();
+      conn.release();
+      return res.status(404).json({ success: false, message: "Published shift not found" });
+    }
+    if (entry.approved) {
+      await conn.rollback();
+      conn.release();
+      return res.status(409).json(TIMESHEET_LOCKED);
+    }
+
+    await conn.query(
+      `INSERT INTO TimesheetAdjustments
+         (shift_id, employee_id, day_date, previous_start, previous_end, previous_break_minutes,
+          new_start, new_end, new_break_minutes, reason, adjusted_by_email)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        entry.shiftId, entry.employeeId, entry.dayDate,
+        ensureTimeWithSeconds(entry.final.startTime), ensureTimeWithSeconds(entry.final.endTime), entry.final.breakMinutes,
+        ensureTimeWithSeconds(startTime), ensureTimeWithSeconds(endTime), breakMins,
+        String(reason).trim(), req.user.email,
+      ]
+    );
+
+    const [updated] = await loadTimesheetEntries(conn, { shiftId });
+
+    await conn.commit();
+    conn.release();
+
+    console.log(`✏️ Timesheet adjusted | db=${db} | shift=${shiftId} | ${entry.final.startTime}-${entry.final.endTime} -> ${startTime}-${endTime} | by=${req.user.email}`);
+
+    return res.json({ success: true, message: "Timesheet adjusted", entry: updated });
+  } catch (err) {
+    try { await conn.rollback(); } catch (_) {}
+    conn.release();
+    console.error("❌ /timesheets/adjust error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Body: { db, weekStart, employeeId?, overrideShiftIds? } - without employeeId the whole week is approved.
+// Shifts still clocked in, not finished yet, or with no attendance at all (no clock,
+// confirmation or adjustment) are skipped and reported. No-attendance shifts are only
+// approved at their rostered times when listed in overrideShiftIds; otherwise adjust them first.
+app.post("/timesheets/approve", async (req, res) => {
+  const { db, weekStart, employeeId, overrideShiftIds = [] } = req.body;
+
+  const week = weekRangeFrom(weekStart);
+  if (!db || !weekStart || !week) {
+    return res.status(400).json({ success: false, message: "db and weekStart (dd/mm/yyyy or YYYY-MM-DD) are required" });
+  }
+
+  const pool = getPool(db);
+  const conn = await pool.getConnection();
+
+  try {
+    await conn.beginTransaction();
+
+    const entries = await loadTimesheetEntries(conn, { ...week, employeeId }, { lock: true });
+    const overrides = new Set((Array.isArray(overrideShiftIds) ? overrideShiftIds : []).map(String));
+    const now = moment.tz('Europe/London');
+    const approved = [];
+    const skipped = [];
+
+    for (const entry of entries) {
+      if (entry.approved) continue;
+
+      if (entry.openClock) {
+        skipped.push({ shiftId: entry.shiftId, name: entry.name, lastName: entry.lastName, day: entry.day, reason: "still_clocked_in" });
+        continue;
+      }
+      if (shiftSchedule({ dayDate: entry.dayDate, startTime: entry.planned.startTime, endTime: entry.planned.endTime }).end.isAfter(now)) {
+        skipped.push({ shiftId: entry.shiftId, name: entry.name, lastName: entry.lastName, day: entry.day, reason: "not_finished" });
+        continue;
+      }
+      if (entry.noAttendance && !overrides.has(entry.shiftId)) {
+        skipped.push({ shiftId: entry.shiftId, name: entry.name, lastName: entry.lastName, day: entry.day, reason: "no_attendance", noShow: entry.noShow });
+        continue;
+      }
+
+      await conn.query(
+        `INSERT INTO ConfirmedRota
+           (id, employee_id, name, lastName, day, day_date, startTime, endTime, designation, wage,
+            break_minutes, source, approved_by_email, approved_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [
+          entry.shiftId, entry.employeeId, entry.name, entry.lastName, entry.day, entry.dayDate,
+          ensureTimeWithSeconds(entry.final.startTime), ensureTimeWithSeconds(entry.final.endTime),
+          entry.designation, entry.wage, entry.final.breakMinutes, entry.final.source, req.user.email,
+        ]
+      );
+      approved.push(entry.shiftId);
+    }
+
+    await conn.commit();
+    conn.release();
+
+    console.log(`✅ Timesheets approved | db=${db} | week=${week.from} | employee=${employeeId || "all"} | approved=${approved.length} skipped=${skipped.length} | by=${req.user.email}`);
+
+    return res.json({
+      success: true,
+      message: `${approved.length} shift(s) approved`,
+      weekStart: week.from,
+      approved,
+      skipped,
+    });
+  } catch (err) {
+    try { await conn.rollback(); } catch (_) {}
+    conn.release();
+    console.error("❌ /timesheets/approve error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Adjustment audit. Query: db, shiftId, or weekStart (default this week)
+app.get("/timesheets/adjustments", async (req, res) => {
+  const { db, shiftId, weekStart } = req.query;
+
+  const week = weekRangeFrom(weekStart);
+  if (!db || (!shiftId && !week)) {
+    return res.status(400).json({ success: false, message: "db is required, weekStart must be dd/mm/yyyy or YYYY-MM-DD" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const [rows] = shiftId
+      ? await pool.query(
+          `SELECT t.*, DATE_FORMAT(t.day_date, '%Y-%m-%d') AS dayDate, e.name, e.lastName
+           FROM TimesheetAdjustments t LEFT JOIN Employees e ON e.id = t.employee_id
+           WHERE t.shift_id = ? ORDER BY t.id DESC`,
+          [shiftId]
+        )
+      : await pool.query(
+          `SELECT t.*, DATE_FORMAT(t.day_date, '%Y-%m-%d') AS dayDate, e.name, e.lastName
+           FROM TimesheetAdjustments t LEFT JOIN Employees e ON e.id = t.employee_id
+           WHERE t.day_date BETWEEN ? AND ? ORDER BY t.id DESC`,
+          [week.from, week.to]
+        );
+
+    return res.json({
+      success: true,
+      adjustments: rows.map(t => ({
+        id: t.id,
+        shiftId: String(t.shift_id),
+        employeeId: t.employee_id,
+        name: t.name,
+        lastName: t.lastName,
+        day: formatDayLabel(t.dayDate),
+        previous: { startTime: hhmm(t.previous_start), endTime: hhmm(t.previous_end), breakMinutes: t.previous_break_minutes },
+        adjusted: { startTime: hhmm(t.new_start), endTime: hhmm(t.new_end), breakMinutes: t.new_break_minutes },
+        reason: t.reason,
+        adjustedBy: t.adjusted_by_email,
+        adjustedAt: t.created_at,
+      })),
+    });
+  } catch (err) {
+    console.error("❌ /timesheets/adjustments error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// ==================== PAY RULES ====================
+// Premium pay on top of wage x hours, configured per workspace. Each active
+// rule marks the minutes it covers and pays them at its multiplier:
+//   overtime      minutes past threshold_hours in the ISO week (default: the employee's contractHours)
+//   sunday        minutes falling on a Sunday
+//   bank_holiday  minutes falling on a date in BankHolidays
+//   night         minutes inside start_time-end_time (may run past midnight)
+// Minutes past contractHours are overtime even without an overtime rule (paid at
+// PAYROLL_OVERTIME_MULTIPLIER), and stay overtime when a Sunday/bank holiday/night
+// rule also covers them. Money does not stack: a minute is paid at the highest
+// multiplier covering it, the premium only adding what overtime doesn't already pay.
+// Breaks are spread evenly over the shift. Salaried staff get no overtime or premiums.
+
+const PAY_RULE_TYPES = ["overtime", "sunday", "bank_holiday", "night"];
+const PAYROLL_OVERTIME_MULTIPLIER = Number(process.env.PAYROLL_OVERTIME_MULTIPLIER) || 1;
+// overtime past contractHours when no overtime rule covers the minute
+const CONTRACT_OVERTIME = { id: null, name: "Overtime", type: "overtime", multiplier: PAYROLL_OVERTIME_MULTIPLIER };
+const PAY_RULE_APPLIES_TO = ["all", "FOH", "BOH"];
+
+async function loadPayRules(conn) {
+  const [rows] = await conn.query(`SELECT * FROM PayRules WHERE active = 1 ORDER BY id`);
+  return rows;
+}
+
+async function loadBankHolidays(conn, from, to) {
+  const [rows] = await conn.query(
+    `SELECT DATE_FORMAT(holiday_date, '%Y-%m-%d') AS holidayDate FROM BankHolidays WHERE holiday_date BETWEEN ? AND ?`,
+    [from, to]
+  );
+  return new Set(rows.map(r => r.holidayDate));
+}
+
+function formatPayRule(rule) {
+  return {
+    id: rule.id,
+    name: rule.name,
+    type: rule.type,
+    multiplier: Number(rule.multiplier),
+    thresholdHours: rule.threshold_hours === null ? null : Number(rule.threshold_hours),
+    startTime: rule.start_time ? String(rule.start_time).substring(0, 5) : null,
+    endTime: rule.end_time ? String(rule.end_time).substring(0, 5) : null,
+    appliesTo: rule.applies_to,
+    active: !!rule.active,
+    updatedBy: rule.updated_by_email,
+    updatedAt: rule.updated_at,
+  };
+}
+
+// Does `rule` cover one minute of a shift? at: { date, weekday, minuteOfDay, workedInWeek }
+function payRuleCovers(rule, at, contractHours, bankHolidays) {
+  switch (rule.type) {
+    case "overtime": {
+      const threshold = rule.threshold_hours !== null ? Number(rule.threshold_hours) : Number(contractHours);
+      return threshold > 0 && at.workedInWeek > threshold * 60;
+    }
+    case "sunday":
+      return at.weekday === 7;
+    case "bank_holiday":
+      return bankHolidays.has(at.date);
+    case "night": {
+      const start = timeToMinutes(rule.start_time);
+      const end = timeToMinutes(rule.end_time);
+      return start < end
+        ? at.minuteOfDay >= start && at.minuteOfDay < end
+        : at.minuteOfDay >= start || at.minuteOfDay < end;
+    }
+    default:
+      return false;
+  }
+}
+
+// Pay for one employee's shifts. Overtime counts from the first shift passed
+// in each ISO week, so pass whole weeks when overtime matters.
+// shifts: [{ id, dayDate, startTime, endTime, breakMinutes, wage, designation }]
+// employee: { wage, contractHours, salaried }
+// -> Map shiftId -> { minutes, rate, basePay, premiums, premiumPay, totalPay }
+function priceShifts(shifts, employee, rules, bankHolidays) {
+  const priced = new Map();
+  const weekMinutes = new Map();
+  const ordered = [...shifts].sort((a, b) =>
+    `${a.dayDate} ${ensureTimeWithSeconds(String(a.startTime).substring(0, 5))}`
+      .localeCompare(`${b.dayDate} ${ensureTimeWithSeconds(String(b.startTime).substring(0, 5))}`));
+
+  for (const s of ordered) {
+    const rate = Number(s.wage) > 0 ? Number(s.wage) : Number(employee.wage) || 0;
+    const startMin = timeToMinutes(s.startTime);
+    let span = timeToMinutes(s.endTime) - startMin;
+    if (span <= 0) span += 24 * 60;
+    const paid = Math.max(0, span - (Number(s.breakMinutes) || 0));
+    const weight = paid / span;
+
+    const week = weekStartOf(s.dayDate);
+    const workedBefore = weekMinutes.get(week) || 0;
+    weekMinutes.set(week, workedBefore + paid);
+
+    const applicable = employee.salaried ? [] : rules.filter(r =>
+      r.applies_to === "all" || r.applies_to === labourDesignation(s.designation));
+    const overtimeRules = applicable.filter(r => r.type === "overtime");
+    const premiumRules = applicable.filter(r => r.type !== "overtime" && Number(r.multiplier) > 1);
+    const contractMinutes = Number(employee.contractHours) > 0 ? Number(employee.contractHours) * 60 : null;
+
+    // per rule: minutes (break-weighted) it covers, and minutes x multiplier it adds on top of the wage
+    const byRule = new Map();
+    const addMinutes = (rule, minutes, uplift) => {
+      const entry = byRule.get(rule) || { minutes: 0, uplift: 0 };
+      entry.minutes += minutes;
+      entry.uplift += minutes * uplift;
+      byRule.set(rule, entry);
+    };
+
+    if (!employee.salaried) {
+      const days = [0, 1].map(i => {
+        const d = moment.tz(s.dayDate, 'Europe/London').add(i, 'days');
+        return { date: d.format('YYYY-MM-DD'), weekday: d.isoWeekday() };
+      });
+
+      for (let m = 0; m < span; m++) {
+        const day = days[Math.floor((startMin + m) / (24 * 60))];
+        const at = { ...day, minuteOfDay: (startMin + m) % (24 * 60), workedInWeek: workedBefore + (m + 1) * weight };
+
+        let overtime = null;
+        for (const rule of overtimeRules) {
+          if (overtime && Number(rule.multiplier) <= Number(overtime.multiplier)) continue;
+          if (payRuleCovers(rule, at, employee.contractHours, bankHolidays)) overtime = rule;
+        }
+        if (!overtime && contractMinutes !== null && at.workedInWeek > contractMinutes) overtime = CONTRACT_OVERTIME;
+
+        let premium = null;
+        for (const rule of premiumRules) {
+          if (premium && Number(rule.multiplier) <= Number(premium.multiplier)) continue;
+          if (payRuleCovers(rule, at, employee.contractHours, bankHolidays)) premium = rule;
+        }
+
+        const overtimeMultiplier = overtime ? Math.max(1, Number(overtime.multiplier)) : 1;
+        if (overtime) addMinutes(overtime, weight, overtimeMultiplier - 1);
+        if (premium) addMinutes(premium, weight, Math.max(0, Number(premium.multiplier) - overtimeMultiplier));
+      }
+    }
+
+    const premiums = [...byRule.entries()].map(([rule, { minutes, uplift }]) => ({
+      ruleId: rule.id,
+      name: rule.name,
+      type: rule.type,
+      multiplier: Number(rule.multiplier),
+      minutes: Math.round(minutes),
+      amount: round2((uplift / 60) * rate),
+    }));
+    const basePay = round2((paid / 60) * rate);
+    const premiumPay = round2(premiums.reduce((sum, p) => sum + p.amount, 0));
+
+    priced.set(String(s.id), { minutes: paid, rate, basePay, premiums, premiumPay, totalPay: round2(basePay + premiumPay) });
+  }
+  return priced;
+}
+
+// Prices rows shaped like
+// { id, employee_id, name, lastName, dayDate, startTime, endTime, breakMinutes,
+//   shiftWage, designation, employeeWage, contractHours, Salary }
+// -> Map shiftId -> priceShifts result
+async function priceShiftRows(conn, rows, period) {
+  if (rows.length === 0) return new Map();
+
+  const rules = await loadPayRules(conn);
+  // overnight shifts can run into the day after the period
+  const bankHolidays = await loadBankHolidays(conn, period.from,
+    moment.tz(period.to, 'Europe/London').add(1, 'day').format('YYYY-MM-DD'));
+
+  const byEmployee = new Map();
+  for (const r of rows) {
+    const key = String(r.employee_id ?? `${r.name} ${r.lastName}`);
+    if (!byEmployee.has(key)) byEmployee.set(key, []);
+    byEmployee.get(key).push(r);
+  }
+
+  const priced = new Map();
+  for (const group of byEmployee.values()) {
+    const first = group[0];
+    const result = priceShifts(
+      group.map(r => ({
+        id: r.id, dayDate: r.dayDate, startTime: r.startTime, endTime: r.endTime,
+        breakMinutes: r.breakMinutes, wage: r.shiftWage, designation: r.designation,
+      })),
+      { wage: first.employeeWage, contractHours: first.contractHours, salaried: first.employee_id !== null && isSalaried(first) },
+      rules,
+      bankHolidays
+    );
+    result.forEach((value, key) => priced.set(key, value));
+  }
+  return priced;
+}
+
+function validatePayRule({ name, type, multiplier, thresholdHours, startTime, endTime, appliesTo }) {
+  const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+  if (!name || !String(name).trim() || String(name).length > 100) return "name is required (up to 100 characters)";
+  if (!PAY_RULE_TYPES.includes(type)) return `type must be one of ${PAY_RULE_TYPES.join(", ")}`;
+  const m = Number(multiplier);
+  if (!Number.isFinite(m) || m < 1 || m > 5) return "multiplier must be between 1 and 5";
+  if (thresholdHours !== undefined && thresholdHours !== null) {
+    const t = Number(thresholdHours);
+    if (type !== "overtime") return "thresholdHours only applies to overtime rules";
+    if (!Number.isFinite(t) || t <= 0 || t > 168) return "thresholdHours must be between 0 and 168";
+  }
+  if (type === "night" && (!timeRegex.test(startTime || "") || !timeRegex.test(endTime || "") || startTime === endTime)) {
+    return "night rules need startTime and endTime (HH:mm) that differ";
+  }
+  if (appliesTo !== undefined && !PAY_RULE_APPLIES_TO.includes(appliesTo)) {
+    return `appliesTo must be one of ${PAY_RULE_APPLIES_TO.join(", ")}`;
+  }
+  return null;
+}
+
+app.get("/pay-rules", async (req, res) => {
+  const { db } = req.query;
+  if (!db) {
+    return res.status(400).json({ success: false, message: "db is required" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const [rules] = await pool.query(`SELECT * FROM PayRules ORDER BY active DESC, type, id`);
+    const [bankHolidays] = await pool.query(
+      `SELECT DATE_FORMAT(holiday_date, '%Y-%m-%d') AS date, name FROM BankHolidays
+       WHERE holiday_date >= ? ORDER BY holiday_date`,
+      [moment.tz('Europe/London').subtract(1, 'year').format('YYYY-MM-DD')]
+    );
+    return res.json({ success: true, rules: rules.map(formatPayRule), bankHolidays });
+  } catch (err) {
+    console.error("❌ /pay-rules error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Body: { db, name, type, multiplier, thresholdHours?, startTime?, endTime?, appliesTo? }
+app.post("/pay-rules", async (req, res) => {
+  const { db, name, type, multiplier, thresholdHours, startTime, endTime, appliesTo = "all" } = req.body;
+  if (!db) {
+    return res.status(400).json({ success: false, message: "db is required" });
+  }
+  const invalid = validatePayRule({ name, type, multiplier, thresholdHours, startTime, endTime, appliesTo });
+  if (invalid) {
+    return res.status(400).json({ success: false, message: invalid });
+  }
+
+  try {
+    const pool = getPool(db);
+    const [result] = await pool.query(
+      `INSERT INTO PayRules (name, type, multiplier, threshold_hours, start_time, end_time, applies_to, updated_by_email)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        String(name).trim(), type, Number(multiplier),
+        type === "overtime" && thresholdHours != null ? Number(thresholdHours) : null,
+        type === "night" ? ensureTimeWithSeconds(startTime) : null,
+        type === "night" ? ensureTimeWithSeconds(endTime) : null,
+        appliesTo, req.user.email,
+      ]
+    );
+
+    const [rows] = await pool.query(`SELECT * FROM PayRules WHERE id = ?`, [result.insertId]);
+    console.log(`💷 Pay rule created | db=${db} | ${type} x${multiplier} | by=${req.user.email}`);
+    return res.json({ success: true, rule: formatPayRule(rows[0]) });
+  } catch (err) {
+    console.error("❌ POST /pay-rules error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// Body: { db, ...any of name, multiplier, thresholdHours, startTime, endTime, appliesTo, active }
+app.patch("/pay-rules/:id", async (req, res) => {
+  const { db } = req.body;
+  if (!db) {
+    return res.status(400).json({ success: false, message: "db is required" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const [rows] = await pool.query(`SELECT * FROM PayRules WHERE id = ?`, [req.params.id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Pay rule not found" });
     }
 
-    // 3) Helpers
-    const startDateSql = `STR_TO_DATE(SUBSTRING_INDEX(startDate, ' ', 1), '%d/%m/%Y')`;
-    const requestDateSql = `STR_TO_DATE(SUBSTRING_INDEX(requestDate, ' ', 1), '%d/%m/%Y')`;
+    const current = formatPayRule(rows[0]);
+    const next = { ...current };
+    for (const key of ["name", "multiplier", "thresholdHours", "startTime", "endTime", "appliesTo", "active"]) {
+      if (req.body[key] !== undefined) next[key] = req.body[key];
+    }
 
-    // accrual for this year only
-    const calcAccrued = (ys, ye) => {
-      if (!allowanceDays) return 0;
+    const invalid = validatePayRule({ ...next, type: current.type });
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
 
-      const today = new Date();
-      const yStart = new Date(ys);
-      const yEnd = new Date(ye);
+    await pool.query(
+      `UPDATE PayRules
+       SET name = ?, multiplier = ?, threshold_hours = ?, start_time = ?, end_time = ?, applies_to = ?, active = ?, updated_by_email = ?
+       WHERE id = ?`,
+      [
+        String(next.name).trim(), Number(next.multiplier),
+        current.type === "overtime" && next.thresholdHours != null ? Number(next.thresholdHours) : null,
+        current.type === "night" ? ensureTimeWithSeconds(next.startTime) : null,
+        current.type === "night" ? ensureTimeWithSeconds(next.endTime) : null,
+        next.appliesTo, next.active ? 1 : 0, req.user.email, current.id,
+      ]
+    );
 
-      yStart.setHours(0, 0, 0, 0);
-      yEnd.setHours(23, 59, 59, 999);
+    const [updated] = await pool.query(`SELECT * FROM PayRules WHERE id = ?`, [current.id]);
+    return res.json({ success: true, rule: formatPayRule(updated[0]) });
+  } catch (err) {
+    console.error("❌ PATCH /pay-rules error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
 
-      if (today < yStart) return 0;
-      if (today > yEnd) return allowanceDays;
+app.delete("/pay-rules/:id", async (req, res) => {
+  const { db } = req.query;
+  if (!db) {
+    return res.status(400).json({ success: false, message: "db is required" });
+  }
 
-      const msPerDay = 86400000;
-      const totalDays = Math.floor((yEnd - yStart) / msPerDay) + 1;
-      const elapsedDays = Math.floor((today - yStart) / msPerDay) + 1;
+  try {
+    const pool = getPool(db);
+    const [result] = await pool.query(`DELETE FROM PayRules WHERE id = ?`, [req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: "Pay rule not found" });
+    }
+    return res.json({ success: true, message: "Pay rule deleted" });
+  } catch (err) {
+    console.error("❌ DELETE /pay-rules error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
 
-      return Math.min(allowanceDays, (allowanceDays * elapsedDays) / totalDays);
-    };
+// Body: { db, bankHolidays: [{ date, name }] } - adds or renames dates
+app.put("/pay-rules/bank-holidays", async (req, res) => {
+  const { db, bankHolidays } = req.body;
+  if (!db || !Array.isArray(bankHolidays) || bankHolidays.length === 0) {
+    return res.status(400).json({ success: false, message: "db and a non-empty bankHolidays array are required" });
+  }
 
-    const normalizeRow = (row) => {
-      const acceptedRaw = (row.accepted ?? "").toString().trim().toLowerCase();
-      const who = (row.who ?? "").toString();
-      const isApproved = who.trim() !== "";
-      const isUnpaid = acceptedRaw === "unpaid";
-      const isDeclined = acceptedRaw === "false";
+  const entries = [];
+  for (const h of bankHolidays) {
+    const date = toSqlDate(h && h.date);
+    const name = String((h && h.name) || "Bank holiday").trim().substring(0, 100);
+    if (!date) {
+      return res.status(400).json({ success: false, message: "Every bank holiday needs a date (dd/mm/yyyy or YYYY-MM-DD)" });
+    }
+    entries.push([date, name]);
+  }
 
-      const type = isUnpaid ? "Unpaid" : "Paid";
+  try {
+    const pool = getPool(db);
+    await pool.query(
+      `INSERT INTO BankHolidays (holiday_date, name) VALUES ?
+       ON DUPLICATE KEY UPDATE name = VALUES(name)`,
+      [entries]
+    );
+    return res.json({ success: true, message: `${entries.length} bank holiday(s) saved` });
+  } catch (err) {
+    console.error("❌ PUT /pay-rules/bank-holidays error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
 
-      let status = "Pending";
-      if (isDeclined) status = "Declined";
-      else if (isApproved) status = isUnpaid ? "Approved (Unpaid)" : "Approved (Paid)";
+app.delete("/pay-rules/bank-holidays/:date", async (req, res) => {
+  const { db } = req.query;
+  const date = toSqlDate(req.params.date);
+  if (!db || !date) {
+    return res.status(400).json({ success: false, message: "db is required, date must be YYYY-MM-DD" });
+  }
 
-      return {
-        startDate: row.startDate ?? "",
-        endDate: row.endDate ?? "",
-        requestDate: row.requestDate ?? "",
-        days: Number(row.days ?? 0) || 0,
-        who: who ?? "",
-        notes: row.notes ?? "",
-        status,
-        type,
-      };
+  try {
+    const pool = getPool(db);
+    const [result] = await pool.query(`DELETE FROM BankHolidays WHERE holiday_date = ?`, [date]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: "Bank holiday not found" });
+    }
+    return res.json({ success: true, message: "Bank holiday removed" });
+  } catch (err) {
+    console.error("❌ DELETE /pay-rules/bank-holidays error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// ==================== LABOUR COST ====================
+// Forecast = the week's rota priced at the shift wage (Employees.wage when the
+// shift has none) plus PAY RULES premiums. Actual = approved ConfirmedRota rows
+// priced the same way, breaks deducted.
+// Salaried staff (Employees.Salary = yes, SalaryPrice = annual salary) are
+// prorated per day instead of per shift (taken from the current staff list,
+// also for past weeks). Overnight shifts are counted on the day they start,
+// the same trading day their sales are entered against.
+
+const SALARY_WEEKS_PER_YEAR = 52;
+
+const round2 = n => Math.round(n * 100) / 100;
+
+function isSalaried(employee) {
+  return String(employee.Salary ?? "").trim().toLowerCase() === "yes" || Number(employee.Salary) === 1;
+}
+
+function labourDesignation(designation) {
+  const d = String(designation || "").trim().toUpperCase();
+  return d === "FOH" || d === "BOH" ? d : "Other";
+}
+
+// Per-day salary cost of a salaried employee
+function dailySalaryCost(employee) {
+  return (Number(employee.SalaryPrice) || 0) / SALARY_WEEKS_PER_YEAR / 7;
+}
+
+function emptyLabour() {
+  return { minutes: 0, hourlyCost: 0, salariedCost: 0 };
+}
+
+function addLabour(target, { minutes = 0, hourlyCost = 0, salariedCost = 0 }) {
+  target.minutes += minutes;
+  target.hourlyCost += hourlyCost;
+  target.salariedCost += salariedCost;
+}
+
+function formatLabour(l) {
+  return {
+    hours: round2(l.minutes / 60),
+    hourlyCost: round2(l.hourlyCost),
+    salariedCost: round2(l.salariedCost),
+    cost: round2(l.hourlyCost + l.salariedCost),
+  };
+}
+
+function labourPercent(labour, sales) {
+  return sales > 0 ? round2(((labour.hourlyCost + labour.salariedCost) / sales) * 100) : null;
+}
+
+// Shifts of a week priced per employee. source: "rota" (forecast) or "confirmed" (actual)
+async function loadCostedShifts(conn, week, source, { publishedOnly = false } = {}) {
+  const table = source === "confirmed" ? "ConfirmedRota" : "rota";
+  const breakColumn = source === "confirmed" ? "s.break_minutes" : "0";
+  const where = [`s.day_date BETWEEN ? AND ?`];
+  const params = [week.from, week.to];
+  if (source === "rota" && publishedOnly) { where.push(`s.Published = ?`); params.push(ROTA_PUBLISHED); }
+
+  const [rows] = await conn.query(
+    `SELECT s.id, s.employee_id, s.name, s.lastName, s.designation, s.wage AS shiftWage,
+            DATE_FORMAT(s.day_date, '%Y-%m-%d') AS dayDate, s.startTime, s.endTime, ${breakColumn} AS breakMinutes,
+            e.wage AS employeeWage, e.Salary, e.SalaryPrice, e.contractHours, e.designation AS employeeDesignation
+     FROM ${table} s
+     LEFT JOIN Employees e ON e.id = s.employee_id
+     WHERE ${where.join(" AND ")}`,
+    params
+  );
+
+  const priced = await priceShiftRows(conn, rows, week);
+
+  return rows.map(s => {
+    const pay = priced.get(String(s.id));
+    const salaried = s.employee_id !== null && isSalaried(s);
+    return {
+      ...s,
+      minutes: pay.minutes,
+      salaried,
+      hourlyRate: salaried ? 0 : pay.rate,
+      // salaried hours are already paid for by the prorated salary
+      hourlyCost: salaried ? 0 : pay.totalPay,
+      premiumCost: salaried ? 0 : pay.premiumPay,
     };
+  });
+}
 
-    // 4) Pull only holidays in the selected year (based on startDate)
-    const [rows] = await pool.query(
-      `
-      SELECT *
-      FROM Holiday
-      WHERE name = ? AND lastName = ?
-      AND ${startDateSql} BETWEEN ? AND ?
-      ORDER BY ${requestDateSql} DESC
-      `,
-      [name, lastName, selectedYearStart, selectedYearEnd]
-    );
+// Forecast and actual labour for a week, by day, designation and employee
+async function labourForWeek(conn, week, options = {}) {
+  const forecastShifts = await loadCostedShifts(conn, week, "rota", options);
+  const actualShifts = await loadCostedShifts(conn, week, "confirmed");
 
-    // 5) Split lists + totals
-    const pending = [];
-    const approved = [];
-    const declined = [];
+  // Employees has no start/leaving dates, so salaried cost uses today's staff
+  // list for every week: past weeks leave out leavers and include later starters
+  const [salariedStaff] = await conn.query(
+    `SELECT id, name, lastName, designation, Salary, SalaryPrice FROM Employees
+     WHERE (situation IS NULL OR TRIM(situation) = '')`
+  );
+  const salaried = salariedStaff.filter(isSalaried);
 
-    let takenPaid = 0;
-    let takenUnpaid = 0;
-    let pendingPaid = 0;
-    let pendingUnpaid = 0;
-    let declinedDays = 0;
+  const [salesRows] = await conn.query(
+    `SELECT DATE_FORMAT(sales_date, '%Y-%m-%d') AS salesDate, amount FROM DailySales WHERE sales_date BETWEEN ? AND ?`,
+    [week.from, week.to]
+  );
+  const sales = new Map(salesRows.map(s => [s.salesDate, Number(s.amount)]));
 
-    for (const r of rows) {
-      const item = normalizeRow(r);
-      const d = item.days || 0;
+  const todaySql = moment.tz('Europe/London').format('YYYY-MM-DD');
+  const days = [];
+  for (let i = 0; i < 7; i++) {
+    const date = moment.tz(week.from, 'Europe/London').add(i, 'days').format('YYYY-MM-DD');
+    days.push({ date, forecast: emptyLabour(), actual: emptyLabour() });
+  }
+  const dayFor = date => days.find(d => d.date === date);
 
-      if (item.status.toLowerCase().startsWith("approved")) {
-        approved.push(item);
-        if (item.type.toLowerCase() === "paid") takenPaid += d;
-        else takenUnpaid += d;
-      } else if (item.status.toLowerCase() === "declined") {
-        declined.push(item);
-        declinedDays += d;
-      } else {
-        pending.push(item);
-        if (item.type.toLowerCase() === "paid") pendingPaid += d;
-        else pendingUnpaid += d;
+  const designations = new Map();
+  const designationFor = key => {
+    if (!designations.has(key)) designations.set(key, { designation: key, forecast: emptyLabour(), actual: emptyLabour() });
+    return designations.get(key);
+  };
+
+  const employees = new Map();
+  const employeeFor = s => {
+    const key = String(s.employee_id ?? `${s.name} ${s.lastName}`);
+    if (!employees.has(key)) {
+      employees.set(key, {
+        employeeId: s.employee_id ?? null, name: s.name, lastName: s.lastName,
+        designation: labourDesignation(s.employeeDesignation ?? s.designation),
+        salaried: !!s.salaried, forecast: emptyLabour(), actual: emptyLabour(),
+      });
+    }
+    return employees.get(key);
+  };
+
+  const missingWage = [];
+  for (const [kind, shifts] of [["forecast", forecastShifts], ["actual", actualShifts]]) {
+    for (const s of shifts) {
+      const amount = { minutes: s.minutes, hourlyCost: s.hourlyCost };
+      addLabour(dayFor(s.dayDate)[kind], amount);
+      addLabour(designationFor(labourDesignation(s.designation))[kind], amount);
+      addLabour(employeeFor(s)[kind], amount);
+      if (kind === "forecast" && !s.salaried && s.hourlyRate === 0) {
+        missingWage.push({ shiftId: String(s.id), name: s.name, lastName: s.lastName, day: formatDayLabel(s.dayDate) });
       }
     }
+  }
 
-    const accrued = Number(calcAccrued(selectedYearStart, selectedYearEnd).toFixed(2));
-    const remainingYear = Math.max(0, allowanceDays - takenPaid);
-    const availableNow = Math.max(0, Math.min(accrued, allowanceDays) - takenPaid);
+  // Salaries: every day in the forecast, days up to today in the actuals
+  for (const e of salaried) {
+    const perDay = dailySalaryCost(e);
+    const employee = employeeFor({ ...e, employee_id: e.id, employeeDesignation: e.designation, salaried: true });
+    const designation = designationFor(labourDesignation(e.designation));
+    for (const day of days) {
+      addLabour(day.forecast, { salariedCost: perDay });
+      addLabour(designation.forecast, { salariedCost: perDay });
+      addLabour(employee.forecast, { salariedCost: perDay });
+      if (day.date <= todaySql) {
+        addLabour(day.actual, { salariedCost: perDay });
+        addLabour(designation.actual, { salariedCost: perDay });
+        addLabour(employee.actual, { salariedCost: perDay });
+      }
+    }
+  }
 
-    res.json({
-      success: true,
-      employee: { name, lastName, allowanceDays },
-      year: { start: selectedYearStart, end: selectedYearEnd },
-      summary: {
-        allowanceDays,
-        accruedDays: accrued,
-        takenPaidDays: takenPaid,
-        takenUnpaidDays: takenUnpaid,
-        pendingPaidDays: pendingPaid,
-        pendingUnpaidDays: pendingUnpaid,
-        declinedDays,
-        remainingYearDays: Number(remainingYear.toFixed(2)),
-        availableNowDays: Number(availableNow.toFixed(2)),
+  const totals = { forecast: emptyLabour(), actual: emptyLabour() };
+  days.forEach(d => { addLabour(totals.forecast, d.forecast); addLabour(totals.actual, d.actual); });
+  const totalSales = days.reduce((sum, d) => sum + (sales.get(d.date) || 0), 0);
+
+  return {
+    weekStart: week.from,
+    weekEnd: week.to,
+    days: days.map(d => ({
+      date: d.date,
+      day: formatDayLabel(d.date),
+      sales: sales.has(d.date) ? sales.get(d.date) : null,
+      forecast: formatLabour(d.forecast),
+      actual: formatLabour(d.actual),
+      labourPercent: {
+        forecast: labourPercent(d.forecast, sales.get(d.date) || 0),
+        actual: labourPercent(d.actual, sales.get(d.date) || 0),
       },
-      approvedHolidays: approved,
-      pendingHolidays: pending,
-      declinedHolidays: declined,
-    });
+    })),
+    designations: [...designations.values()].map(d => ({
+      designation: d.designation, forecast: formatLabour(d.forecast), actual: formatLabour(d.actual),
+    })),
+    employees: [...employees.values()]
+      .map(e => ({ ...e, forecast: formatLabour(e.forecast), actual: formatLabour(e.actual) }))
+      .sort((a, b) => b.forecast.cost - a.forecast.cost),
+    totals: {
+      sales: round2(totalSales),
+      forecast: formatLabour(totals.forecast),
+      actual: formatLabour(totals.actual),
+      labourPercent: {
+        forecast: labourPercent(totals.forecast, totalSales),
+        actual: labourPercent(totals.actual, totalSales),
+      },
+    },
+    missingWage,
+  };
+}
+
+// Query: db, weekStart (any day in the week, default this week), publishedOnly=true to ignore drafts
+app.get("/labour/week", async (req, res) => {
+  const { db, weekStart, publishedOnly } = req.query;
+
+  const week = weekRangeFrom(weekStart);
+  if (!db || !week) {
+    return res.status(400).json({ success: false, message: "db is required, weekStart must be dd/mm/yyyy or YYYY-MM-DD" });
+  }
+
+  try {
+    const pool = getPool(db);
+    const labour = await labourForWeek(pool, week, { publishedOnly: publishedOnly === "true" });
+    return res.json({ success: true, ...labour });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ success: false, message: "Server error", error: err.message });
+    console.error("❌ /labour/week error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
   }
 });
 
-// Holiday Request endpoint
-app.post("/holidays/request", async (req, res) => {
-  const { db, email, startDate, endDate, notes = "", type = "Paid" } = req.body;
+// Body: { db, sales: [{ date, amount }] } - amount null removes the figure for that day
+app.put("/labour/sales", async (req, res) => {
+  const { db, sales } = req.body;
 
-  if (!db || !email || !startDate || !endDate) {
-    return res.status(400).json({
-      success: false,
-      message: "db, email, startDate and endDate are required",
-    });
+  if (!db || !Array.isArray(sales) || sales.length === 0) {
+    return res.status(400).json({ success: false, message: "db and a non-empty sales array are required" });
+  }
+
+  const entries = [];
+  for (const entry of sales) {
+    const date = toSqlDate(entry && entry.date);
+    const amount = entry && entry.amount !== null && entry.amount !== undefined ? Number(entry.amount) : null;
+    if (!date) {
+      return res.status(400).json({ success: false, message: "Every sales entry needs a date (dd/mm/yyyy or YYYY-MM-DD)" });
+    }
+    if (amount !== null && (!Number.isFinite(amount) || amount < 0)) {
+      return res.status(400).json({ success: false, message: `Sales amount for ${date} must be a positive number` });
+    }
+    entries.push({ date, amount });
   }
 
   try {
     const pool = getPool(db);
+    for (const { date, amount } of entries) {
+      if (amount === null) {
+        await pool.query(`DELETE FROM DailySales WHERE sales_date = ?`, [date]);
+      } else {
+        await pool.query(
+          `INSERT INTO DailySales (sales_date, amount, entered_by_email) VALUES (?, ?, ?)
+           ON DUPLICATE KEY UPDATE amount = VALUES(amount), entered_by_email = VALUES(entered_by_email)`,
+          [date, round2(amount), req.user.email]
+        );
+      }
+    }
 
-    const [employeeRows] = await pool.query(
-      "SELECT name, lastName FROM Employees WHERE email = ?",
-      [email]
-    );
+    console.log(`💷 Daily sales saved | db=${db} | days=${entries.length} | by=${req.user.email}`);
+    return res.json({ success: true, message: `Sales saved for ${entries.length} day(s)` });
+  } catch (err) {
+    console.error("❌ PUT /labour/sales error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
+
+// ==================== PAYROLL EXPORT ====================
+// Per-employee hours and pay for a pay period, from approved ConfirmedRota rows
+// priced with the PAY RULES, and approved Holiday (paid and unpaid). Exported as JSON or CSV through a
+// column layout so the file matches whichever payroll software reads it.
+
+// Hours paid per holiday day when the employee has no contractHours
+const PAYROLL_HOLIDAY_DAY_HOURS = Number(process.env.PAYROLL_HOLIDAY_DAY_HOURS) || 8;
+// Unpaid leave is deducted from salaries at SalaryPrice / this per day
+const SALARY_WORKING_DAYS_PER_YEAR = 260;
+
+// field -> description, for building layouts
+const PAYROLL_FIELDS = {
+  employeeId: "Employee id",
+  name: "First name",
+  lastName: "Last name",
+  fullName: "First and last name",
+  email: "Email",
+  nin: "National Insurance number",
+  designation: "FOH / BOH",
+  salaried: "Salaried (Yes/No)",
+  wageRate: "Hourly wage",
+  annualSalary: "Annual salary",
+  periodStart: "Pay period start (YYYY-MM-DD)",
+  periodEnd: "Pay period end (YYYY-MM-DD)",
+  hoursWorked: "Hours worked (breaks deducted)",
+  basicHours: "Hours worked minus overtime",
+  overtimeHours: "Hours over contract (or an overtime rule's threshold) in a week",
+  basicPay: "Pay for basic hours / salary for the period",
+  overtimePay: "Pay for overtime hours, premium included",
+  premiumPay: "Sunday, bank holiday and night premiums",
+  holidayDays: "Approved paid holiday days",
+  holidayHours: "Paid holiday hours",
+  holidayPay: "Holiday pay",
+  unpaidLeaveDays: "Approved unpaid leave days",
+  unpaidLeaveDeduction: "Salary deducted for unpaid leave",
+  grossPay: "Gross pay",
+};
+
+const DEFAULT_PAYROLL_LAYOUT = {
+  name: "standard",
+  columns: [
+    { header: "Employee ID", field: "employeeId" },
+    { header: "First Name", field: "name" },
+    { header: "Last Name", field: "lastName" },
+    { header: "NI Number", field: "nin" },
+    { header: "Salaried", field: "salaried" },
+    { header: "Hourly Rate", field: "wageRate" },
+    { header: "Annual Salary", field: "annualSalary" },
+    { header: "Hours Worked", field: "hoursWorked" },
+    { header: "Overtime Hours", field: "overtimeHours" },
+    { header: "Holiday Days", field: "holidayDays" },
+    { header: "Unpaid Leave Days", field: "unpaidLeaveDays" },
+    { header: "Basic Pay", field: "basicPay" },
+    { header: "Overtime Pay", field: "overtimePay" },
+    { header: "Premium Pay", field: "premiumPay" },
+    { header: "Holiday Pay", field: "holidayPay" },
+    { header: "Gross Pay", field: "grossPay" },
+  ],
+};
+
+// Approved holiday, same rule as the holiday summary: someone signed it off
+// (who) and it was not declined. is_unpaid marks unpaid leave (accepted only
+// says 'unpaid' while the request is pending).
+function isApprovedLeave(row) {
+  const accepted = String(row.accepted ?? "").trim().toLowerCase();
+  return accepted !== "false" && (accepted === "true" || String(row.who ?? "").trim() !== "");
+}
+
+// Holiday days falling inside the period (rows spanning the edge are prorated)
+function leaveDaysInPeriod(row, period) {
+  const start = moment.tz(row.startDate, 'Europe/London');
+  const end = moment.tz(row.endDate, 'Europe/London');
+  const spanDays = end.diff(start, 'days') + 1;
+  const overlapStart = moment.max(start, moment.tz(period.from, 'Europe/London'));
+  const overlapEnd = moment.min(end, moment.tz(period.to, 'Europe/London'));
+  const overlapDays = overlapEnd.diff(overlapStart, 'days') + 1;
+  if (spanDays <= 0 || overlapDays <= 0) return 0;
+  const days = Number(row.days) || spanDays;
+  return (days * overlapDays) / spanDays;
+}
+
+// Share of an annual salary for the period: whole calendar months count as
+// twelfths, anything else is prorated by calendar days
+function salaryForPeriod(annual, period) {
+  const from = moment.tz(period.from, 'Europe/London');
+  const to = moment.tz(period.to, 'Europe/London');
+  if (from.date() === 1 && to.isSame(to.clone().endOf('month'), 'day')) {
+    return (annual * (to.diff(from, 'months') + 1)) / 12;
+  }
+  return (annual * (to.diff(from, 'days') + 1)) / 365;
+}
+
+async function payrollForPeriod(conn, period) {
+  const [employees] = await conn.query(
+    `SELECT id, name, lastName, email, nin, wage, Salary, SalaryPrice, designation, contractHours, situation
+     FROM Employees ORDER BY lastName, name`
+  );
+  // Whole ISO weeks around the period so weekly overtime matches /confirmedRota,
+  // then only the period's shifts are paid
+  const weeks = {
+    from: weekStartOf(period.from),
+    to: moment.tz(weekStartOf(period.to), 'Europe/London').add(6, 'days').format('YYYY-MM-DD'),
+  };
+  const [weekRows] = await conn.query(
+    `SELECT c.id, c.employee_id, c.name, c.lastName, c.designation, DATE_FORMAT(c.day_date, '%Y-%m-%d') AS dayDate,
+            c.startTime, c.endTime, c.break_minutes AS breakMinutes, c.wage AS shiftWage,
+            e.wage AS employeeWage, e.contractHours, e.Salary
+     FROM ConfirmedRota c
+     JOIN Employees e ON e.id = c.employee_id
+     WHERE c.day_date BETWEEN ? AND ?`,
+    [weeks.from, weeks.to]
+  );
+  const priced = await priceShiftRows(conn, weekRows, weeks);
+  const confirmed = weekRows.filter(r => r.dayDate >= period.from && r.dayDate <= period.to);
+  const [leave] = await conn.query(
+    `SELECT employee_id, DATE_FORMAT(start_date, '%Y-%m-%d') AS startDate, DATE_FORMAT(end_date, '%Y-%m-%d') AS endDate,
+            days, accepted, is_unpaid, who
+     FROM Holiday WHERE start_date <= ? AND end_date >= ? AND employee_id IS NOT NULL`,
+    [period.to, period.from]
+  );
 
-    if (!employeeRows || employeeRows.length === 0) {
-      return res.status(404).json({ success: false, message: "Employee not found" });
+  const records = [];
+  for (const e of employees) {
+    const shifts = confirmed
+      .filter(s => s.employee_id === e.id)
+      .map(s => priced.get(String(s.id)));
+    const approvedLeave = leave.filter(l => l.employee_id === e.id && isApprovedLeave(l));
+    const unpaidDays = approvedLeave
+      .filter(l => Number(l.is_unpaid) === 1)
+      .reduce((sum, l) => sum + leaveDaysInPeriod(l, period), 0);
+    const holidayDays = approvedLeave
+      .filter(l => Number(l.is_unpaid) !== 1)
+      .reduce((sum, l) => sum + leaveDaysInPeriod(l, period), 0);
+
+    const active = e.situation === null || String(e.situation).trim() === "";
+    const salaried = isSalaried(e);
+    if (shifts.length === 0 && holidayDays === 0 && unpaidDays === 0 && !(salaried && active)) continue;
+
+    const rate = Number(e.wage) || 0;
+    const workedMinutes = shifts.reduce((sum, s) => sum + s.minutes, 0);
+    const premiumsOf = type => shifts.flatMap(s => s.premiums.map(p => ({ ...p, rate: s.rate })))
+      .filter(p => (type === "overtime") === (p.type === "overtime"));
+    const overtimeMinutes = premiumsOf("overtime").reduce((sum, p) => sum + p.minutes, 0);
+    const holidayHours = holidayDays * (Number(e.contractHours) > 0 ? Number(e.contractHours) / 5 : PAYROLL_HOLIDAY_DAY_HOURS);
+
+    let basicPay, overtimePay, premiumPay, holidayPay, unpaidDeduction;
+    if (salaried) {
+      const annual = Number(e.SalaryPrice) || 0;
+      unpaidDeduction = (annual / SALARY_WORKING_DAYS_PER_YEAR) * unpaidDays;
+      basicPay = salaryForPeriod(annual, period) - unpaidDeduction;
+      overtimePay = 0;
+      premiumPay = 0;
+      holidayPay = 0; // paid through the salary
+    } else {
+      // each shift at the wage it was approved with, overtime hours moved to overtimePay
+      const workedPay = shifts.reduce((sum, s) => sum + s.basePay, 0);
+      const overtimeBase = premiumsOf("overtime").reduce((sum, p) => sum + (p.minutes / 60) * p.rate, 0);
+      basicPay = workedPay - overtimeBase;
+      overtimePay = overtimeBase + premiumsOf("overtime").reduce((sum, p) => sum + p.amount, 0);
+      premiumPay = premiumsOf("other").reduce((sum, p) => sum + p.amount, 0);
+      holidayPay = holidayHours * rate;
+      unpaidDeduction = 0;
     }
 
-    const employee = employeeRows[0];
+    records.push({
+      employeeId: e.id,
+      name: e.name,
+      lastName: e.lastName,
+      fullName: `${e.name} ${e.lastName}`.trim(),
+      email: e.email,
+      nin: e.nin || "",
+      designation: labourDesignation(e.designation),
+      salaried: salaried ? "Yes" : "No",
+      wageRate: salaried ? null : round2(rate),
+      annualSalary: salaried ? round2(Number(e.SalaryPrice) || 0) : null,
+      periodStart: period.from,
+      periodEnd: period.to,
+      hoursWorked: round2(workedMinutes / 60),
+      basicHours: round2((workedMinutes - overtimeMinutes) / 60),
+      overtimeHours: round2(overtimeMinutes / 60),
+      basicPay: round2(basicPay),
+      overtimePay: round2(overtimePay),
+      premiumPay: round2(premiumPay),
+      holidayDays: round2(holidayDays),
+      holidayHours: round2(holidayHours),
+      holidayPay: round2(holidayPay),
+      unpaidLeaveDays: round2(unpaidDays),
+      unpaidLeaveDeduction: round2(unpaidDeduction),
+      grossPay: round2(basicPay + overtimePay + premiumPay + holidayPay),
+    });
+  }
+  return records;
+}
 
-    const parseToUTCDate = (input) => {
-      const s = String(input).trim();
-      const m = s.match(/^(\d{2})\/(\d{2})\/(\d{4})/);
-      if (m) {
-        const dd = parseInt(m[1], 10);
-        const mm = parseInt(m[2], 10);
-        const yyyy = parseInt(m[3], 10);
-        return new Date(Date.UTC(yyyy, mm - 1, dd));
-      }
-      const d = new Date(s);
-      if (isNaN(d.getTime())) return null;
-      return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
-    };
+// Layout by name: a saved PayrollLayouts row, or the built-in "standard"
+async function loadPayrollLayout(conn, name) {
+  if (!name || name === DEFAULT_PAYROLL_LAYOUT.name) return DEFAULT_PAYROLL_LAYOUT;
+  const [rows] = await conn.query(`SELECT name, columns_json FROM PayrollLayouts WHERE name = ? LIMIT 1`, [name]);
+  return rows.length > 0 ? { name: rows[0].name, columns: JSON.parse(rows[0].columns_json) } : null;
+}
 
-    const sUTC = parseToUTCDate(startDate);
-    const eUTC = parseToUTCDate(endDate);
+// Returns an error message or null
+function validatePayrollColumns(columns) {
+  if (!Array.isArray(columns) || columns.length === 0) return "columns must be a non-empty array";
+  for (const c of columns) {
+    if (!c || typeof c.header !== "string" || !c.header.trim()) return "Every column needs a header";
+    if (c.field !== undefined && !PAYROLL_FIELDS[c.field]) return `Unknown field "${c.field}"`;
+    if (c.field === undefined && c.value === undefined) return `Column "${c.header}" needs a field or a fixed value`;
+  }
+  return null;
+}
 
-    if (!sUTC || !eUTC) {
-      return res.status(400).json({ success: false, message: "Invalid date format" });
-    }
+function payrollRow(record, columns) {
+  return columns.map(c => (c.field !== undefined ? record[c.field] : c.value) ?? "");
+}
 
-    const diff = Math.round((eUTC - sUTC) / (1000 * 60 * 60 * 24)) + 1;
-    if (diff <= 0) {
-      return res.status(400).json({ success: false, message: "Invalid holiday period" });
-    }
+// Text starting with = + - @ is prefixed with ' so spreadsheets don't run it as a formula
+// (numbers are left alone so negative amounts stay numeric)
+function csvCell(value) {
+  let s = String(value ?? "");
+  if (typeof value !== "number" && /^[=+\-@]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
 
-    const acceptedValue = String(type).toLowerCase() === "unpaid" ? "unpaid" : "";
+// Pay period from ?month=YYYY-MM or ?from=&to=
+function payPeriodFrom({ month, from, to }) {
+  if (month) {
+    const start = moment.tz(`${month}-01`, 'YYYY-MM-DD', true, 'Europe/London');
+    if (!start.isValid()) return null;
+    return { from: start.format('YYYY-MM-DD'), to: start.clone().endOf('month').format('YYYY-MM-DD') };
+  }
+  const fromSql = toSqlDate(from);
+  const toSql = toSqlDate(to);
+  if (!fromSql || !toSql || toSql < fromSql) return null;
+  return { from: fromSql, to: toSql };
+}
 
-    const formattedStart = formatDateWithDay(startDate);
-    const formattedEnd = formatDateWithDay(endDate);
+// Query: db, month=YYYY-MM or from/to, format=json|csv (default json), layout (default "standard")
+app.get("/payroll/export", async (req, res) => {
+  const { db, format = "json", layout } = req.query;
 
-    const requestDate = new Date();
+  const period = payPeriodFrom(req.query);
+  if (!db || !period) {
+    return res.status(400).json({ success: false, message: "db and a pay period (month=YYYY-MM, or from and to) are required" });
+  }
+  if (!["json", "csv"].includes(format)) {
+    return res.status(400).json({ success: false, message: "format must be json or csv" });
+  }
 
-    await pool.query(
-      `INSERT INTO Holiday 
-        (name, lastName, startDate, endDate, requestDate, days, accepted, who, notes)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        employee.name,
-        employee.lastName,
-        formattedStart,
-        formattedEnd,
-        requestDate,
-        diff,
-        acceptedValue,
-        "",
-        notes,
-      ]
-    );
+  try {
+    const pool = getPool(db);
+    const chosen = await loadPayrollLayout(pool, layout);
+    if (!chosen) {
+      return res.status(404).json({ success: false, message: `Payroll layout "${layout}" not found` });
+    }
 
-    const title = "New Holiday Request";
-    const message =
-      `${employee.name} ${employee.lastName} requested holiday from ` +
-      `${formattedStart} to ${formattedEnd} (${diff} days) - ${type}`;
+    const records = await payrollForPeriod(pool, period);
+    const headers = chosen.columns.map(c => c.header);
+    const rows = records.map(r => payrollRow(r, chosen.columns));
 
-    await pool.query(
-      `INSERT INTO Notifications (targetRole, title, message, type)
-       VALUES (?, ?, ?, ?), (?, ?, ?, ?)`,
-      ["AM", title, message, "HOLIDAY", "Manager", title, message, "HOLIDAY"]
-    );
+    console.log(`📤 Payroll export | db=${db} | ${period.from}..${period.to} | layout=${chosen.name} | ${format} | employees=${records.length} | by=${req.user.email}`);
 
-    return res.json({ success: true, message: "Holiday request submitted" });
-  } catch (err) {
-    console.error("Error requesting holiday:", err);
-    return res.status(500).json({
-      success: false,
-      message: "Server error requesting holiday",
-      error: err.message,
+    if (format === "csv") {
+      const csv = [headers, ...rows].map(row => row.map(csvCell).join(",")).join("\r\n");
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="payroll_${db}_${period.from}_${period.to}.csv"`);
+      return res.send(csv);
+    }
+
+    return res.json({
+      success: true,
+      period,
+      layout: chosen.name,
+      headers,
+      rows,
+      employees: records,
+      totals: {
+        hoursWorked: round2(records.reduce((sum, r) => sum + r.hoursWorked, 0)),
+        overtimeHours: round2(records.reduce((sum, r) => sum + r.overtimeHours, 0)),
+        grossPay: round2(records.reduce((sum, r) => sum + r.grossPay, 0)),
+      },
     });
+  } catch (err) {
+    console.error("❌ /payroll/export error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
   }
 });
 
-// Get pending holiday requests
-app.get("/holidays/pending", async (req, res) => {
+app.get("/payroll/layouts", async (req, res) => {
   const { db } = req.query;
-
   if (!db) {
     return res.status(400).json({ success: false, message: "db is required" });
   }
 
   try {
     const pool = getPool(db);
-
     const [rows] = await pool.query(
-      `SELECT id, name, lastName, startDate, endDate, requestDate, days, accepted, who, notes
-       FROM Holiday
-       WHERE (accepted IS NULL OR accepted = '' OR accepted = 'unpaid')
-       ORDER BY requestDate DESC`
+      `SELECT name, columns_json, updated_by_email, updated_at FROM PayrollLayouts ORDER BY name`
     );
 
-    return res.json({ success: true, holidays: rows });
+    return res.json({
+      success: true,
+      fields: PAYROLL_FIELDS,
+      layouts: [
+        { ...DEFAULT_PAYROLL_LAYOUT, builtIn: true },
+        ...rows.map(r => ({
+          name: r.name,
+          columns: JSON.parse(r.columns_json),
+          builtIn: false,
+          updatedBy: r.updated_by_email,
+          updatedAt: r.updated_at,
+        })),
+      ],
+    });
   } catch (err) {
-    console.error("Error fetching pending holidays:", err);
+    console.error("❌ /payroll/layouts error:", err);
     return res.status(500).json({ success: false, message: "Server error", error: err.message });
   }
 });
 
-// Holiday Decision endpoint
-app.post("/holidays/decide", async (req, res) => {
-  const { db, id, decision, actorEmail, reason = "" } = req.body;
+// Body: { db, name, columns: [{ header, field } | { header, value }] }
+app.put("/payroll/layouts", async (req, res) => {
+  const { db, name, columns } = req.body;
+  const layoutName = String(name || "").trim();
 
-  if (!db || !id || !decision || !actorEmail) {
-    return res.status(400).json({
-      success: false,
-      message: "db, id, decision, actorEmail are required",
-    });
+  if (!db || !layoutName || layoutName.length > 50) {
+    return res.status(400).json({ success: false, message: "db and a layout name (up to 50 characters) are required" });
   }
-
-  const dec = String(decision).trim().toLowerCase();
-  if (dec !== "approve" && dec !== "decline") {
-    return res.status(400).json({
-      success: false,
-      message: "decision must be 'approve' or 'decline'",
-    });
+  if (layoutName === DEFAULT_PAYROLL_LAYOUT.name) {
+    return res.status(400).json({ success: false, message: `"${DEFAULT_PAYROLL_LAYOUT.name}" is built in, pick another name` });
+  }
+  const invalid = validatePayrollColumns(columns);
+  if (invalid) {
+    return res.status(400).json({ success: false, message: invalid, fields: Object.keys(PAYROLL_FIELDS) });
   }
 
   try {
-    const tenantPool = getPool(db);
+    const pool = getPool(db);
+    const cleaned = columns.map(c => (c.field !== undefined
+      ? { header: c.header.trim(), field: c.field }
+      : { header: c.header.trim(), value: String(c.value) }));
 
-    const [userRows] = await pool.query(
-      `SELECT Access 
-       FROM users 
-       WHERE Email = ? AND db_name = ?`,
-      [actorEmail.trim(), db]
+    await pool.query(
+      `INSERT INTO PayrollLayouts (name, columns_json, updated_by_email) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE columns_json = VALUES(columns_json), updated_by_email = VALUES(updated_by_email)`,
+      [layoutName, JSON.stringify(cleaned), req.user.email]
     );
 
-    if (!userRows || userRows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: "Not allowed (no access for this database)",
-      });
-    }
+    console.log(`🧾 Payroll layout saved | db=${db} | ${layoutName} | by=${req.user.email}`);
+    return res.json({ success: true, layout: { name: layoutName, columns: cleaned } });
+  } catch (err) {
+    console.error("❌ PUT /payroll/layouts error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
 
-    const accessList = userRows.map(r => String(r.Access || "").trim().toLowerCase());
-    const isApprover = accessList.some(a => a === "am" || a === "manager");
+app.delete("/payroll/layouts/:name", async (req, res) => {
+  const { db } = req.query;
+  if (!db) {
+    return res.status(400).json({ success: false, message: "db is required" });
+  }
 
-    if (!isApprover) {
-      return res.status(403).json({
-        success: false,
-        message: "Not allowed",
-      });
+  try {
+    const pool = getPool(db);
+    const [result] = await pool.query(`DELETE FROM PayrollLayouts WHERE name = ?`, [req.params.name]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: "Payroll layout not found" });
     }
+    return res.json({ success: true, message: "Payroll layout deleted" });
+  } catch (err) {
+    console.error("❌ DELETE /payroll/layouts error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+});
 
-    let who = actorEmail.trim();
-    const [actorEmpRows] = await tenantPool.query(
-      `SELECT name, lastName
-       FROM Employees
-       WHERE email = ?
-       LIMIT 1`,
-      [actorEmail.trim()]
-    );
+// ==================== EARNINGS ====================
+// The caller's own hours and pay: scheduled (published rota, estimated) and
+// confirmed (approved ConfirmedRota), priced with the PAY RULES. Overnight
+// shifts count on the day they start. Breaks come from ConfirmedRota, or from
+// clock events while a shift is not approved yet. Salaried staff earn their
+// prorated salary per calendar day instead of per shift.
 
-    if (actorEmpRows && actorEmpRows.length > 0) {
-      const a = actorEmpRows[0];
-      const full = `${a.name || ""} ${a.lastName || ""}`.trim();
-      if (full) who = full;
-    }
+const EARNINGS_MAX_RANGE_DAYS = 92;
 
-    const [holidayRows] = await tenantPool.query(
-      `SELECT id, name, lastName, startDate, endDate, notes
-       FROM Holiday
-       WHERE id = ?
-       LIMIT 1`,
-      [id]
-    );
+function emptyEarnings() {
+  return { scheduledMinutes: 0, scheduledPay: 0, confirmedMinutes: 0, confirmedPay: 0 };
+}
 
-    if (!holidayRows || holidayRows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "Holiday request not found",
-      });
-    }
+function formatEarnings(e) {
+  return {
+    scheduledHours: round2(e.scheduledMinutes / 60),
+    scheduledPay: round2(e.scheduledPay),
+    confirmedHours: round2(e.confirmedMinutes / 60),
+    confirmedPay: round2(e.confirmedPay),
+  };
+}
 
-    const holiday = holidayRows[0];
+// Query: db, from, to (dd/mm/yyyy or YYYY-MM-DD, default this week)
+app.get("/earnings", async (req, res) => {
+  const { db } = req.query;
 
-    const currentAccepted = String(holiday.accepted || "").trim().toLowerCase();
-    const stillPendingOrUnpaid = currentAccepted === "" || currentAccepted === "unpaid";
+  const thisWeek = weekRangeFrom();
+  const from = req.query.from ? toSqlDate(req.query.from) : thisWeek.from;
+  const to = req.query.to ? toSqlDate(req.query.to) : thisWeek.to;
 
-    if (!stillPendingOrUnpaid) {
-      return res.status(409).json({
-        success: false,
-        message: "This request was already decided",
-      });
+  if (!db || !from || !to || to < from) {
+    return res.status(400).json({ success: false, message: "db is required, from/to must be dates with from <= to" });
+  }
+  if (moment.tz(to, 'Europe/London').diff(moment.tz(from, 'Europe/London'), 'days') >= EARNINGS_MAX_RANGE_DAYS) {
+    return res.status(400).json({ success: false, message: `The range can be at most ${EARNINGS_MAX_RANGE_DAYS} days` });
+  }
+
+  try {
+    const pool = getPool(db);
+    const [employees] = await pool.query(
+      `SELECT id, name, lastName, wage, Salary, SalaryPrice, contractHours FROM Employees
+       WHERE LOWER(TRIM(email)) = LOWER(TRIM(?)) LIMIT 1`,
+      [req.user.email]
+    );
+    const employee = employees[0];
+    if (!employee) {
+      return res.status(404).json({ success: false, message: "Employee not found" });
     }
 
-    const acceptedValue = dec === "approve" ? "true" : "false";
-    const declineReason = String(reason || "").trim();
-    const updatedNotes = dec === "decline" && declineReason ? declineReason : (holiday.notes || "");
+    const today = moment.tz('Europe/London').format('YYYY-MM-DD');
+    const weekToDate = { from: weekStartOf(today), to: today };
+    const monthToDate = { from: moment.tz('Europe/London').startOf('month').format('YYYY-MM-DD'), to: today };
 
-    await tenantPool.query(
-      `UPDATE Holiday
-       SET accepted = ?, who = ?, notes = ?
-       WHERE id = ?`,
-      [acceptedValue, who, updatedNotes, id]
+    // Whole ISO weeks around everything reported, so weekly overtime is right
+    const loadFrom = weekStartOf([from, weekToDate.from, monthToDate.from].sort()[0]);
+    const loadTo = moment.tz(weekStartOf([to, today].sort()[1]), 'Europe/London').add(6, 'days').format('YYYY-MM-DD');
+
+    const [scheduledRows] = await pool.query(
+      `SELECT r.id, r.employee_id, r.name, r.lastName, r.designation, DATE_FORMAT(r.day_date, '%Y-%m-%d') AS dayDate,
+              r.startTime, r.endTime, COALESCE(a.break_minutes, 0) AS breakMinutes, r.wage AS shiftWage,
+              ? AS employeeWage, ? AS contractHours, ? AS Salary
+       FROM rota r
+       LEFT JOIN ShiftAttendance a ON a.shift_id = r.id
+       WHERE r.employee_id = ? AND r.Published = ? AND r.day_date BETWEEN ? AND ?
+       ORDER BY r.day_date, r.startTime`,
+      [employee.wage, employee.contractHours, employee.Salary, employee.id, ROTA_PUBLISHED, loadFrom, loadTo]
+    );
+    const [confirmedRows] = await pool.query(
+      `SELECT id, employee_id, name, lastName, designation, DATE_FORMAT(day_date, '%Y-%m-%d') AS dayDate,
+              startTime, endTime, break_minutes AS breakMinutes, wage AS shiftWage,
+              ? AS employeeWage, ? AS contractHours, ? AS Salary
+       FROM ConfirmedRota
+       WHERE employee_id = ? AND day_date BETWEEN ? AND ?
+       ORDER BY day_date, startTime`,
+      [employee.wage, employee.contractHours, employee.Salary, employee.id, loadFrom, loadTo]
     );
 
-    const title = dec === "approve" ? "Holiday Approved" : "Holiday Declined";
-    const msg =
-      dec === "approve"
-        ? `${holiday.name} ${holiday.lastName} holiday approved (${holiday.startDate} → ${holiday.endDate}) by ${who}`
-        : `${holiday.name} ${holiday.lastName} holiday declined (${holiday.startDate} → ${holiday.endDate}) by ${who}${declineReason ? ` | Reason: ${declineReason}` : ""}`;
+    const period = { from: loadFrom, to: loadTo };
+    const scheduledPay = await priceShiftRows(pool, scheduledRows, period);
+    const confirmedPay = await priceShiftRows(pool, confirmedRows, period);
+    const confirmedById = new Map(confirmedRows.map(r => [String(r.id), r]));
+
+    const salaried = isSalaried(employee);
+    const perDay = salaried ? dailySalaryCost(employee) : 0;
+    const inRange = (date, range) => date >= range.from && date <= range.to;
+
+    const totals = { range: emptyEarnings(), weekToDate: emptyEarnings(), monthToDate: emptyEarnings() };
+    const ranges = { range: { from, to }, weekToDate, monthToDate };
+    const add = (date, values) => {
+      for (const key of Object.keys(ranges)) {
+        if (!inRange(date, ranges[key])) continue;
+        for (const [field, value] of Object.entries(values)) totals[key][field] += value;
+      }
+    };
 
-    await tenantPool.query(
-      `INSERT INTO Notifications (targetRole, title, message, type)
-       VALUES (?, ?, ?, ?), (?, ?, ?, ?)`,
-      ["AM", title, msg, "HOLIDAY", "Manager", title, msg, "HOLIDAY"]
-    );
+    for (const r of scheduledRows) {
+      const pay = scheduledPay.get(String(r.id));
+      add(r.dayDate, { scheduledMinutes: pay.minutes, scheduledPay: salaried ? 0 : pay.totalPay });
+    }
+    for (const r of confirmedRows) {
+      const pay = confirmedPay.get(String(r.id));
+      add(r.dayDate, { confirmedMinutes: pay.minutes, confirmedPay: salaried ? 0 : pay.totalPay });
+    }
+    if (salaried) {
+      for (const key of Object.keys(ranges)) {
+        for (let d = moment.tz(ranges[key].from, 'Europe/London'); d.format('YYYY-MM-DD') <= ranges[key].to; d.add(1, 'day')) {
+          totals[key].scheduledPay += perDay;
+          if (d.format('YYYY-MM-DD') <= today) totals[key].confirmedPay += perDay;
+        }
+      }
+    }
 
-    return res.json({ success: true, message: "Decision saved" });
-  } catch (err) {
-    console.error("Error deciding holiday:", err);
-    return res.status(500).json({
-      success: false,
-      message: "Server error deciding holiday",
-      error: err.message,
+    // Shift list for the requested range: confirmed values win over the rota
+    const describe = (r, pay, status) => ({
+      shiftId: String(r.id),
+      day: formatDayLabel(r.dayDate),
+      dayDate: r.dayDate,
+      startTime: String(r.startTime).substring(0, 5),
+      endTime: String(r.endTime).substring(0, 5),
+      breakMinutes: Number(r.breakMinutes) || 0,
+      hours: round2(pay.minutes / 60),
+      status,
+      pay: salaried
+        ? null
+        : { rate: pay.rate, basePay: pay.basePay, premiums: pay.premiums, premiumPay: pay.premiumPay, totalPay: pay.totalPay },
     });
+
+    const shifts = [
+      ...scheduledRows
+        .filter(r => inRange(r.dayDate, ranges.range) && !confirmedById.has(String(r.id)))
+        .map(r => describe(r, scheduledPay.get(String(r.id)), "scheduled")),
+      ...confirmedRows
+        .filter(r => inRange(r.dayDate, ranges.range))
+        .map(r => describe(r, confirmedPay.get(String(r.id)), "confirmed")),
+    ].sort((a, b) => `${a.dayDate} ${a.startTime}`.localeCompare(`${b.dayDate} ${b.startTime}`));
+
+    return res.json({
+      success: true,
+      from,
+      to,
+      salaried,
+      wage: salaried ? null : Number(employee.wage) || 0,
+      shifts,
+      totals: formatEarnings(totals.range),
+      weekToDate: { ...weekToDate, ...formatEarnings(totals.weekToDate) },
+      monthToDate: { ...monthToDate, ...formatEarnings(totals.monthToDate) },
+    });
+  } catch (err) {
+    console.error("❌ /earnings error:", err);
+    return res.status(500).json({ success: false, message: "Server error", error: err.message });
   }
 });
 
@@ -4729,9 +10154,61 @@ async function sendFCMNotification(token, { title, body, data }) {
   }
 }
 
+// Push to every device registered for an email; tokens FCM reports as
+// unregistered are removed. Returns how many devices it reached.
+async function pushToEmail(pool, email, { title, body, data = {} }) {
+  try {
+    const [devices] = await pool.query(
+      `SELECT fcm_token FROM user_devices WHERE email = ? AND fcm_token IS NOT NULL AND fcm_token != ''`,
+      [email]
+    );
+
+    let sent = 0;
+    for (const { fcm_token } of devices) {
+      try {
+        await sendFCMNotification(fcm_token, { title, body, data });
+        sent++;
+      } catch (error) {
+        if (error.code === 'messaging/registration-token-not-registered') {
+          await pool.query("DELETE FROM user_devices WHERE fcm_token = ?", [fcm_token]);
+        }
+      }
+    }
+    return sent;
+  } catch (err) {
+    console.error(`❌ Push to ${email} failed:`, err.message);
+    return 0;
+  }
+}
+
+// In-app Notifications row for one employee plus a push to their devices
+async function notifyEmployee(pool, email, { title, message, type, authorEmail = null, data = {} }) {
+  await pool.query(
+    `INSERT INTO Notifications (targetEmail, authorEmail, title, message, type) VALUES (?, ?, ?, ?, ?)`,
+    [email, authorEmail, title, message, type]
+  );
+  return pushToEmail(pool, email, { title, body: message, data: { type, ...data } });
+}
+
+// targetRole values (upper-case) addressed to the caller: their workspace access
+// (re-read like enforceRouteCapabilities, with its spellings) and their designation.
+// Client-supplied roles are ignored.
+async function notificationRolesFor(req, db, workspacePool) {
+  const { access } = await getUserAccessFromMainDB({ authPool: pool, email: req.user.email, db });
+  const role = normalizeRole(access);
+  const names = [access, role, ...Object.keys(ROLE_ALIASES).filter(alias => ROLE_ALIASES[alias] === role)];
+
+  const employee = await findEmployeeByEmail(workspacePool, req.user.email);
+  if (employee && employee.designation) names.push(employee.designation);
+
+  // "" never matches a real targetRole but keeps IN (?) valid
+  return [...new Set(names.map(n => String(n).trim().toUpperCase()).filter(Boolean)), ""];
+}
+
 // Get notifications
 app.get("/notifications", async (req, res) => {
-  const { db, role, userEmail } = req.query;
+  const { db } = req.query;
+  const userEmail = req.user.email;
 
   if (!db) {
     return res.status(400).json({ success: false, message: "db is required" });
@@ -4739,6 +10216,7 @@ app.get("/notifications", async (req, res) => {
 
   try {
     const pool = getPool(db);
+    const roles = await notificationRolesFor(req, db, pool);
     
     let query = `
       SELECT id, targetRole, targetEmail, authorEmail, title, message, type, 
@@ -4748,20 +10226,9 @@ app.get("/notifications", async (req, res) => {
     `;
     const params = [];
 
-    // ✅ CORREZIONE: Raggruppa le condizioni con le parentesi
-    if (role && userEmail) {
-      // Se abbiamo sia ruolo che email: (targetRole = ? OR targetRole = 'ALL' OR targetEmail = ?)
-      query += ` AND (targetRole = ? OR targetRole = 'ALL' OR targetEmail = ?)`;
-      params.push(role, userEmail);
-    } else if (role) {
-      // Solo ruolo
-      query += ` AND (targetRole = ? OR targetRole = 'ALL')`;
-      params.push(role);
-    } else if (userEmail) {
-      // Solo email
-      query += ` AND targetEmail = ?`;
-      params.push(userEmail);
-    }
+    // role and email from the session, never from the query
+    query += ` AND (UPPER(targetRole) IN (?) OR targetRole = 'ALL' OR targetEmail = ?)`;
+    params.push(roles, userEmail);
 
     query += ` ORDER BY id DESC LIMIT 50`;
 
@@ -4795,7 +10262,8 @@ app.get("/notifications", async (req, res) => {
 
 // Get unread count - VERSIONE CORRETTA
 app.get("/notifications/unread-count", async (req, res) => {
-  const { db, role, userEmail } = req.query;
+  const { db } = req.query;
+  const userEmail = req.user.email;
 
   if (!db) {
     return res.status(400).json({ success: false, message: "db is required" });
@@ -4803,21 +10271,14 @@ app.get("/notifications/unread-count", async (req, res) => {
 
   try {
     const pool = getPool(db);
+    const roles = await notificationRolesFor(req, db, pool);
     
     let query = `SELECT COUNT(*) as count FROM Notifications WHERE isRead = 0`;
     let params = [];
 
     // ✅ CORREZIONE: Stessa logica delle notifiche
-    if (role && userEmail) {
-      query += ` AND (targetRole = ? OR targetRole = 'ALL' OR targetEmail = ?)`;
-      params.push(role, userEmail);
-    } else if (role) {
-      query += ` AND (targetRole = ? OR targetRole = 'ALL')`;
-      params.push(role);
-    } else if (userEmail) {
-      query += ` AND targetEmail = ?`;
-      params.push(userEmail);
-    }
+    query += ` AND (UPPER(targetRole) IN (?) OR targetRole = 'ALL' OR targetEmail = ?)`;
+    params.push(roles, userEmail);
 
     console.log("🔍 Unread count query:", query);
     console.log("🔍 Unread count params:", params);
@@ -4866,7 +10327,8 @@ app.post("/notifications/read", async (req, res) => {
 
 // Mark all notifications as read - VERSIONE CORRETTA (con gestione NULL)
 app.post("/notifications/mark-all-read", async (req, res) => {
-  const { db, role, userEmail } = req.body;
+  const { db } = req.body;
+  const userEmail = req.user.email;
 
   if (!db) {
     return res.status(400).json({
@@ -4877,25 +10339,17 @@ app.post("/notifications/mark-all-read", async (req, res) => {
 
   try {
     const pool = getPool(db);
+    const roles = await notificationRolesFor(req, db, pool);
     
-    console.log(`📝 Marking all as read for role: ${role}, email: ${userEmail}`);
+    console.log(`📝 Marking all as read for roles: ${roles.filter(Boolean).join(",")}, email: ${userEmail}`);
     
     // Costruisci le condizioni per selezionare le notifiche DA AGGIORNARE
     let conditions = ["isRead = 0"]; // Solo notifiche non lette
     let params = [];
 
-    // Condizioni per ruolo O email (con gestione CORRETTA di NULL)
-    if (role && userEmail) {
-      // Gestione speciale per targetEmail NULL
-      conditions.push("(targetRole = ? OR targetRole = 'ALL' OR (targetEmail = ? OR targetEmail IS NULL))");
-      params.push(role, userEmail);
-    } else if (role) {
-      conditions.push("(targetRole = ? OR targetRole = 'ALL')");
-      params.push(role);
-    } else if (userEmail) {
-      conditions.push("(targetEmail = ? OR targetEmail IS NULL)");
-      params.push(userEmail);
-    }
+    // Same notifications GET /notifications returns for the caller
+    conditions.push("(UPPER(targetRole) IN (?) OR targetRole = 'ALL' OR targetEmail = ?)");
+    params.push(roles, userEmail);
 
     // Crea la query UPDATE con le condizioni
     const query = `UPDATE Notifications SET isRead = 1 WHERE ${conditions.join(' AND ')}`;
@@ -4923,5 +10377,24 @@ app.post("/notifications/mark-all-read", async (req, res) => {
   }
 });
 
+// Schema: MIGRATE_ON_START=true applies pending migrations, otherwise just warn
+if (process.env.MIGRATE_ON_START === "true") {
+  try {
+    await migrateAll();
+  } catch (err) {
+    console.error("❌ Error running startup migrations:", err.message);
+  }
+}
+
+await startTenantRegistry();
+
+migrationStatus()
+  .then(status => {
+    if (status.behind.length > 0) {
+      console.log(`⚠️ Schema behind for: ${status.behind.join(", ")} (run npm run migrate)`);
+    }
+  })
+  .catch(err => console.error("❌ Error checking schema versions:", err.message));
+
 const PORT = process.env.PORT || 10000;
 app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
\ No newline at end of file
@@ -1,30 +1,19 @@
 // backend/config/db.js
+import "dotenv/config";
 import mysql from "mysql2/promise";
 
-// Main access database (users table)
+// Main access database (users table + tenants registry)
+// Credentials come from the environment, see .env.example
 export const pool = mysql.createPool({
-  host: "sv41.byethost41.org",
-  user: "yassir_yassir",
-  password: "Qazokm123890",
-  database: "yassir_access",
+  host: process.env.MAIN_DB_HOST,
+  port: Number(process.env.MAIN_DB_PORT) || 3306,
+  user: process.env.MAIN_DB_USER,
+  password: process.env.MAIN_DB_PASSWORD,
+  database: process.env.MAIN_DB_NAME || "yassir_access",
   waitForConnections: true,
   connectionLimit: 10,
   queueLimit: 0,
 });
 
-// Config for multiple databases
-export const databasesConfig = {
-  "100%pastaoxford": {
-    host: "sv41.byethost41.org",
-    user: "yassir_100pastaoxford",
-    password: "Qazokm123890",
-    database: "yassir_100%pastaoxford",
-  },
-  "bbuonaoxford": {
-    host: "sv41.byethost41.org",
-    user: "yassir_bbuonaoxford",
-    password: "Qazokm123890",
-    database: "yassir_bbuonaoxford",
-  },
-  // add more dynamically in the future
-};
+// Workspace databases are no longer configured here: they live in the
+// `tenants` table of the main DB (see migrations/main and dbManager.js)
@@ -1,27 +1,128 @@
 // backend/dbManager.js
 import mysql from "mysql2/promise";
-import { databasesConfig } from "./db.js";
+import fs from "fs";
+import { pool as mainPool } from "./db.js";
 
-const poolMap = {};
+// How often the tenants table is re-read so added/changed/disabled workspaces
+// are picked up without a restart
+const REFRESH_MS = Number(process.env.TENANT_REFRESH_MS) || 60000;
+
+let tenants = new Map(); // key(db_name) -> tenant row
+const poolMap = {};      // key(db_name) -> { pool, fingerprint }
+let refreshTimer = null;
+
+function key(dbName) {
+  return String(dbName || "").trim().toLowerCase();
+}
+
+// password_ref is either "env:VAR_NAME" or "file:/run/secrets/name"
+function resolveSecret(ref) {
+  const s = String(ref || "").trim();
+
+  if (s.startsWith("env:")) {
+    const name = s.slice(4);
+    if (process.env[name] === undefined) throw new Error(`Secret env var ${name} is not set`);
+    return process.env[name];
+  }
+
+  if (s.startsWith("file:")) {
+    return fs.readFileSync(s.slice(5), "utf8").trim();
+  }
+
+  throw new Error(`Unsupported secret reference '${s}' (use env:NAME or file:/path)`);
+}
+
+function fingerprint(t) {
+  return [t.db_host, t.db_port, t.db_user, t.db_database, t.password_ref].join("|");
+}
+
+function closePool(k, reason) {
+  const entry = poolMap[k];
+  if (!entry) return;
+  delete poolMap[k];
+  entry.pool.end().catch(err => console.error(`❌ Error closing pool ${k}:`, err.message));
+  console.log(`🔌 Closed pool for ${k} (${reason})`);
+}
+
+// Re-read the tenants table and drop pools whose config changed or that were disabled/removed
+export async function reloadTenantRegistry() {
+  const [rows] = await mainPool.query(
+    `SELECT db_name, display_name, db_host, db_port, db_user, db_database, password_ref, status
+     FROM tenants`
+  );
+
+  const next = new Map();
+  for (const row of rows) {
+    if (String(row.status).toLowerCase() !== "active") continue;
+    next.set(key(row.db_name), row);
+  }
+
+  for (const k of Object.keys(poolMap)) {
+    const t = next.get(k);
+    if (!t) closePool(k, "tenant disabled or removed");
+    else if (poolMap[k].fingerprint !== fingerprint(t)) closePool(k, "tenant config changed");
+  }
+
+  tenants = next;
+  return [...next.values()];
+}
+
+// Load the registry once and keep it fresh in the background
+export async function startTenantRegistry() {
+  try {
+    const loaded = await reloadTenantRegistry();
+    console.log(`🏢 Tenant registry loaded: ${loaded.map(t => t.db_name).join(", ") || "(none)"}`);
+  } catch (err) {
+    console.error("❌ Error loading tenant registry:", err.message);
+  }
+
+  if (!refreshTimer) {
+    refreshTimer = setInterval(() => {
+      reloadTenantRegistry().catch(err => console.error("❌ Error refreshing tenant registry:", err.message));
+    }, REFRESH_MS);
+    refreshTimer.unref();
+  }
+}
+
+// Close every workspace pool (CLI scripts call this before exiting)
+export async function closeAllPools() {
+  if (refreshTimer) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+  await Promise.all(Object.keys(poolMap).map(k => {
+    const { pool } = poolMap[k];
+    delete poolMap[k];
+    return pool.end();
+  }));
+}
+
+// Active tenants currently known to this process
+export function listTenants() {
+  return [...tenants.values()];
+}
 
 export function getPool(dbName) {
-  if (!databasesConfig[dbName]) {
+  const k = key(dbName);
+  const config = tenants.get(k);
+
+  if (!config) {
     throw new Error(`No configuration for database ${dbName}`);
   }
 
-  if (poolMap[dbName]) return poolMap[dbName];
+  if (poolMap[k]) return poolMap[k].pool;
 
-  const config = databasesConfig[dbName];
   const pool = mysql.createPool({
-    host: config.host,
-    user: config.user,
-    password: config.password,
-    database: config.database,
+    host: config.db_host,
+    port: config.db_port || 3306,
+    user: config.db_user,
+    password: resolveSecret(config.password_ref),
+    database: config.db_database,
     waitForConnections: true,
     connectionLimit: 10,
     queueLimit: 0,
   });
 
-  poolMap[dbName] = pool;
+  poolMap[k] = { pool, fingerprint: fingerprint(config) };
   return pool;
 }
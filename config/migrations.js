@@ -0,0 +1,180 @@
+// backend/config/migrations.js
+// Versioned schema: migrations/<scope>/NNN_name.js files, each exporting `up(conn)`.
+// Applied versions are recorded per database in `schema_migrations`.
+// Scopes: "main" (yassir_access) and "tenant" (every workspace DB).
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { pool as mainPool } from "./db.js";
+import { getPool, reloadTenantRegistry } from "./dbManager.js";
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "migrations");
+
+const cache = {};
+
+// Ordered list of { version, name, up } for a scope ("main" | "tenant")
+export async function loadMigrations(scope) {
+  if (cache[scope]) return cache[scope];
+
+  const dir = path.join(MIGRATIONS_DIR, scope);
+  const files = fs.readdirSync(dir).filter(f => /^\d+_.+\.js$/.test(f)).sort();
+
+  const migrations = [];
+  for (const file of files) {
+    const [, num, name] = file.match(/^(\d+)_(.+)\.js$/);
+    const mod = await import(pathToFileURL(path.join(dir, file)).href);
+    migrations.push({ version: parseInt(num, 10), name, up: mod.up });
+  }
+
+  cache[scope] = migrations;
+  return migrations;
+}
+
+export async function ensureMigrationsTable(conn) {
+  await conn.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version INT NOT NULL PRIMARY KEY,
+       name VARCHAR(255) NOT NULL,
+       applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+     )`
+  );
+}
+
+export async function currentVersion(conn) {
+  await ensureMigrationsTable(conn);
+  const [rows] = await conn.query(`SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations`);
+  return Number(rows[0].version) || 0;
+}
+
+const MIGRATION_LOCK_TIMEOUT_SECONDS = 120;
+
+// Apply every migration newer than the recorded version, in order.
+// Returns the list of versions applied. A named lock per database keeps two
+// instances starting together (MIGRATE_ON_START) from applying the same version;
+// the second one waits, then finds nothing left to do.
+export async function migrate(conn, scope, { label = scope } = {}) {
+  const [[{ lockName }]] = await conn.query(`SELECT CONCAT('solura_migrations_', MD5(DATABASE())) AS lockName`);
+  const [[{ locked }]] = await conn.query(`SELECT GET_LOCK(?, ?) AS locked`, [lockName, MIGRATION_LOCK_TIMEOUT_SECONDS]);
+  if (Number(locked) !== 1) {
+    throw new Error(`[${label}] timed out waiting for another process to finish migrating`);
+  }
+
+  try {
+    const migrations = await loadMigrations(scope);
+    const from = await currentVersion(conn);
+    const applied = [];
+
+    for (const m of migrations) {
+      if (m.version <= from) continue;
+
+      console.log(`🧱 [${label}] applying ${scope} migration ${m.version}_${m.name}`);
+      await m.up(conn);
+      await conn.query(`INSERT INTO schema_migrations (version, name) VALUES (?, ?)`, [m.version, m.name]);
+      applied.push(m.version);
+    }
+
+    return applied;
+  } finally {
+    await conn.query(`SELECT RELEASE_LOCK(?)`, [lockName]);
+  }
+}
+
+// Helpers for migrations that must cope with databases created by hand
+export async function hasColumn(conn, table, column) {
+  const [rows] = await conn.query(
+    `SELECT 1 FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+     LIMIT 1`,
+    [table, column]
+  );
+  return rows.length > 0;
+}
+
+export async function hasIndex(conn, table, index) {
+  const [rows] = await conn.query(
+    `SELECT 1 FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?
+     LIMIT 1`,
+    [table, index]
+  );
+  return rows.length > 0;
+}
+
+async function withConnection(pool, fn) {
+  const conn = await pool.getConnection();
+  try {
+    return await fn(conn);
+  } finally {
+    conn.release();
+  }
+}
+
+async function statusOf(pool, scope, label) {
+  const migrations = await loadMigrations(scope);
+  const latest = migrations.length ? migrations[migrations.length - 1].version : 0;
+
+  try {
+    const version = await withConnection(pool, conn => currentVersion(conn));
+    return {
+      db_name: label,
+      version,
+      latest,
+      behind: version < latest,
+      pending: migrations.filter(m => m.version > version).map(m => `${m.version}_${m.name}`),
+    };
+  } catch (err) {
+    return { db_name: label, version: null, latest, behind: true, pending: [], error: err.message };
+  }
+}
+
+// Schema version of the main DB and every active workspace
+export async function migrationStatus() {
+  const main = await statusOf(mainPool, "main", "main");
+
+  let tenants = [];
+  try {
+    tenants = await reloadTenantRegistry();
+  } catch (err) {
+    return { main, tenants: [], behind: [main].filter(s => s.behind).map(s => s.db_name), error: err.message };
+  }
+
+  const tenantStatus = [];
+  for (const t of tenants) {
+    let pool;
+    try {
+      pool = getPool(t.db_name);
+    } catch (err) {
+      tenantStatus.push({ db_name: t.db_name, version: null, behind: true, pending: [], error: err.message });
+      continue;
+    }
+    tenantStatus.push(await statusOf(pool, "tenant", t.db_name));
+  }
+
+  return {
+    main,
+    tenants: tenantStatus,
+    behind: [main, ...tenantStatus].filter(s => s.behind).map(s => s.db_name),
+  };
+}
+
+// Bring the main DB and then every workspace up to date.
+// One failing workspace does not stop the others.
+export async function migrateAll() {
+  const results = [];
+
+  const mainApplied = await withConnection(mainPool, conn => migrate(conn, "main", { label: "main" }));
+  results.push({ db_name: "main", applied: mainApplied });
+
+  const tenants = await reloadTenantRegistry();
+  for (const t of tenants) {
+    try {
+      const applied = await withConnection(getPool(t.db_name), conn => migrate(conn, "tenant", { label: t.db_name }));
+      results.push({ db_name: t.db_name, applied });
+    } catch (err) {
+      console.error(`❌ [${t.db_name}] migration failed:`, err.message);
+      results.push({ db_name: t.db_name, applied: [], error: err.message });
+    }
+  }
+
+  return results;
+}
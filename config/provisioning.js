@@ -0,0 +1,141 @@
+// backend/config/provisioning.js
+// Onboard a new workspace in one step: create its database and a DB user that
+// can only reach it, apply the tenant schema, seed the first admin user and
+// register it in `tenants`. The tenants row is written last, so a workspace
+// without one never finished: every earlier step is create-if-missing and
+// running the same provisioning again completes it.
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import mysql from "mysql2/promise";
+import bcrypt from "bcrypt";
+import { pool as mainPool } from "./db.js";
+import { reloadTenantRegistry } from "./dbManager.js";
+import { migrate, currentVersion } from "./migrations.js";
+
+const WORKSPACE_RE = /^[a-z0-9][a-z0-9_]{2,49}$/;
+
+function fail(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Server new workspace databases are created on (needs CREATE, CREATE USER
+// and GRANT OPTION). These credentials are only used here, never by a tenant.
+function provisioningServer() {
+  return {
+    host: process.env.PROVISION_DB_HOST || process.env.MAIN_DB_HOST,
+    port: Number(process.env.PROVISION_DB_PORT || process.env.MAIN_DB_PORT) || 3306,
+    user: process.env.PROVISION_DB_USER,
+    password: process.env.PROVISION_DB_PASSWORD,
+    userHost: process.env.PROVISION_DB_USER_HOST || "%",
+    secretsDir: process.env.PROVISION_SECRETS_DIR,
+    prefix: process.env.TENANT_DB_PREFIX ?? "yassir_",
+  };
+}
+
+// MySQL user names are limited to 32 characters
+function workspaceDbUser(database) {
+  if (database.length <= 32) return database;
+  const hash = crypto.createHash("sha1").update(database).digest("hex").slice(0, 8);
+  return `${database.slice(0, 23)}_${hash}`;
+}
+
+// New password for the workspace user, stored as a file:/ secret the registry can resolve
+function writeWorkspaceSecret(secretsDir, database, password) {
+  fs.mkdirSync(secretsDir, { recursive: true, mode: 0o700 });
+  const file = path.resolve(secretsDir, `${database}.password`);
+  fs.writeFileSync(file, password, { mode: 0o600 });
+  return `file:${file}`;
+}
+
+export async function provisionWorkspace({ workspace, displayName, admin = {} }) {
+  const ws = String(workspace || "").trim().toLowerCase();
+  const adminEmail = String(admin.email || "").trim();
+
+  if (!WORKSPACE_RE.test(ws)) {
+    throw fail(400, "workspace must be 3-50 chars: lower-case letters, digits, underscore");
+  }
+  if (!adminEmail || !admin.password) {
+    throw fail(400, "admin.email and admin.password are required");
+  }
+  if (String(admin.password).length < 8) {
+    throw fail(400, "admin.password must be at least 8 characters");
+  }
+
+  const [existing] = await mainPool.query(`SELECT db_name FROM tenants WHERE db_name = ? LIMIT 1`, [ws]);
+  if (existing.length > 0) {
+    throw fail(409, `Workspace '${ws}' already exists`);
+  }
+
+  const server = provisioningServer();
+  if (!server.host || !server.user) {
+    throw fail(500, "PROVISION_DB_HOST/PROVISION_DB_USER are not configured");
+  }
+  if (!server.secretsDir) {
+    throw fail(500, "PROVISION_SECRETS_DIR is not configured");
+  }
+
+  const database = `${server.prefix}${ws}`;
+  const dbUser = workspaceDbUser(database);
+
+  // 1) Database + schema
+  const conn = await mysql.createConnection({
+    host: server.host,
+    port: server.port,
+    user: server.user,
+    password: server.password,
+  });
+
+  let schemaVersion, passwordRef;
+  try {
+    await conn.query(`CREATE DATABASE IF NOT EXISTS ?? CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`, [database]);
+
+    // Workspace user with rights on this schema only; a re-run resets its password
+    const dbPassword = crypto.randomBytes(24).toString("base64url");
+    await conn.query(`CREATE USER IF NOT EXISTS ?@? IDENTIFIED BY ?`, [dbUser, server.userHost, dbPassword]);
+    await conn.query(`ALTER USER ?@? IDENTIFIED BY ?`, [dbUser, server.userHost, dbPassword]);
+    await conn.query(`GRANT ALL PRIVILEGES ON ??.* TO ?@?`, [database, dbUser, server.userHost]);
+    passwordRef = writeWorkspaceSecret(server.secretsDir, database, dbPassword);
+
+    await conn.query(`USE ??`, [database]);
+
+    await migrate(conn, "tenant", { label: ws });
+    schemaVersion = await currentVersion(conn);
+
+    // First admin also needs an Employees row: most routes resolve the caller there
+    await conn.query(
+      `INSERT IGNORE INTO Employees (name, lastName, email, designation) VALUES (?, ?, ?, 'AM')`,
+      [admin.name || "", admin.lastName || "", adminEmail]
+    );
+    await conn.query(`INSERT IGNORE INTO Users (email, Access) VALUES (?, 'admin')`, [adminEmail]);
+  } finally {
+    await conn.end();
+  }
+
+  // 2) Login, then the registry row that marks the workspace as provisioned
+  const [userRows] = await mainPool.query(
+    `SELECT id FROM users WHERE Email = ? AND db_name = ? LIMIT 1`,
+    [adminEmail, ws]
+  );
+  if (userRows.length === 0) {
+    const hash = await bcrypt.hash(String(admin.password), 10);
+    await mainPool.query(
+      `INSERT INTO users (Email, Password, Access, db_name) VALUES (?, ?, 'admin', ?)`,
+      [adminEmail, hash, ws]
+    );
+  }
+
+  await mainPool.query(
+    `INSERT INTO tenants (db_name, display_name, db_host, db_port, db_user, db_database, password_ref, status)
+     VALUES (?, ?, ?, ?, ?, ?, ?, 'active')`,
+    [ws, displayName || ws, server.host, server.port, dbUser, database, passwordRef]
+  );
+
+  await reloadTenantRegistry();
+
+  console.log(`🏗️ Workspace provisioned | ws=${ws} | db=${database} | user=${dbUser} | schema=v${schemaVersion} | admin=${adminEmail}`);
+
+  return { workspace: ws, database, schemaVersion, adminEmail };
+}
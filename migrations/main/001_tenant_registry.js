@@ -0,0 +1,27 @@
+// Tenant (workspace) registry. getPool() in config/dbManager.js resolves every
+// workspace through this table. password_ref never holds the password itself:
+// "env:VAR_NAME" or "file:/run/secrets/name".
+
+export async function up(conn) {
+  await conn.query(
+    `CREATE TABLE IF NOT EXISTS tenants (
+      db_name       VARCHAR(100) NOT NULL PRIMARY KEY, -- workspace key, matches users.db_name
+      display_name  VARCHAR(255) NULL,
+      db_host       VARCHAR(255) NOT NULL,
+      db_port       INT NOT NULL DEFAULT 3306,
+      db_user       VARCHAR(255) NOT NULL,
+      db_database   VARCHAR(255) NOT NULL,
+      password_ref  VARCHAR(255) NOT NULL,
+      status        ENUM('active', 'disabled') NOT NULL DEFAULT 'active',
+      created_at    TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at    TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )`
+  );
+
+  // Workspaces that used to be hardcoded in config/db.js
+  await conn.query(
+    `INSERT IGNORE INTO tenants (db_name, display_name, db_host, db_user, db_database, password_ref) VALUES
+      ('100%pastaoxford', '100% Pasta Oxford', 'sv41.byethost41.org', 'yassir_100pastaoxford', 'yassir_100%pastaoxford', 'env:TENANT_100PASTAOXFORD_DB_PASSWORD'),
+      ('bbuonaoxford', 'B Buona Oxford', 'sv41.byethost41.org', 'yassir_bbuonaoxford', 'yassir_bbuonaoxford', 'env:TENANT_BBUONAOXFORD_DB_PASSWORD')`
+  );
+}
@@ -0,0 +1,232 @@
+// Baseline workspace schema: every table App.js expects in a tenant DB.
+// Uses IF NOT EXISTS so it can be recorded against existing workspaces too.
+
+const TABLES = [
+  `CREATE TABLE IF NOT EXISTS Employees (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL DEFAULT '',
+    lastName VARCHAR(100) NOT NULL DEFAULT '',
+    email VARCHAR(255) NULL,
+    phone VARCHAR(50) NULL,
+    address VARCHAR(255) NULL,
+    nin VARCHAR(20) NULL,
+    wage DECIMAL(10,2) NULL,
+    Salary VARCHAR(10) NULL,
+    SalaryPrice DECIMAL(10,2) NULL,
+    designation VARCHAR(50) NULL,
+    position VARCHAR(100) NULL,
+    contractHours DECIMAL(5,2) NULL,
+    dateStart VARCHAR(20) NULL,
+    startHoliday DECIMAL(5,2) NULL DEFAULT 0,
+    situation VARCHAR(50) NULL,
+    profileImage LONGBLOB NULL,
+    profileImageMime VARCHAR(50) NULL,
+    UNIQUE KEY uq_employees_email (email)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS Users (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    Access VARCHAR(50) NULL,
+    UNIQUE KEY uq_users_email (email)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS rota (
+    id BIGINT NOT NULL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    lastName VARCHAR(100) NOT NULL,
+    day VARCHAR(30) NOT NULL,
+    startTime TIME NOT NULL,
+    endTime TIME NOT NULL,
+    designation VARCHAR(50) NULL,
+    wage DECIMAL(10,2) NULL DEFAULT 0,
+    Published VARCHAR(20) NULL,
+    ConfirmedByTM VARCHAR(10) NULL,
+    KEY idx_rota_name_day (name, lastName, day)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS ConfirmedRota (
+    id BIGINT NOT NULL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    lastName VARCHAR(100) NOT NULL,
+    day VARCHAR(30) NOT NULL,
+    startTime TIME NOT NULL,
+    endTime TIME NOT NULL,
+    designation VARCHAR(50) NULL,
+    wage DECIMAL(10,2) NULL DEFAULT 0,
+    KEY idx_confirmed_name_day (name, lastName, day)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS ShiftRequests (
+    id BIGINT NOT NULL PRIMARY KEY,
+    day_date DATE NOT NULL,
+    day_label VARCHAR(30) NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    needed_for VARCHAR(10) NOT NULL DEFAULT 'anyone',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    created_by_email VARCHAR(255) NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    accepted_by_email VARCHAR(255) NULL,
+    accepted_first_name VARCHAR(100) NULL,
+    accepted_last_name VARCHAR(100) NULL,
+    accepted_at DATETIME NULL,
+    KEY idx_shiftrequests_status_day (status, day_date)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS Holiday (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    lastName VARCHAR(100) NOT NULL,
+    startDate VARCHAR(30) NOT NULL,
+    endDate VARCHAR(30) NOT NULL,
+    requestDate VARCHAR(50) NULL,
+    days INT NOT NULL DEFAULT 0,
+    accepted VARCHAR(20) NULL DEFAULT '',
+    who VARCHAR(255) NULL DEFAULT '',
+    notes TEXT NULL
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS HolidayYearSettings (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    HolidayYearStart DATE NOT NULL,
+    HolidayYearEnd DATE NOT NULL
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS payslips (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NULL,
+    lastName VARCHAR(100) NULL,
+    email VARCHAR(255) NOT NULL,
+    Month VARCHAR(7) NOT NULL,
+    payslip_number INT NOT NULL DEFAULT 1,
+    date DATETIME NULL DEFAULT CURRENT_TIMESTAMP,
+    fileContent LONGBLOB NULL,
+    KEY idx_payslips_email_month (email, Month)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS Notifications (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    targetRole VARCHAR(50) NULL,
+    targetEmail VARCHAR(255) NULL,
+    authorEmail VARCHAR(255) NULL,
+    title VARCHAR(255) NOT NULL,
+    message TEXT NULL,
+    type VARCHAR(50) NULL,
+    postId VARCHAR(64) NULL,
+    isRead TINYINT(1) NOT NULL DEFAULT 0,
+    createdAt DATETIME NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_notifications_target (targetEmail, targetRole)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS user_devices (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NULL,
+    email VARCHAR(255) NOT NULL,
+    fcm_token VARCHAR(512) NOT NULL,
+    device_type VARCHAR(20) NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    KEY idx_user_devices_email (email)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS FeedPosts (
+    id VARCHAR(64) NOT NULL PRIMARY KEY,
+    authorName VARCHAR(255) NULL,
+    authorEmail VARCHAR(255) NOT NULL,
+    authorDesignation VARCHAR(50) NULL,
+    content TEXT NULL,
+    attachments LONGTEXT NULL,
+    visibility VARCHAR(255) NOT NULL DEFAULT 'all',
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expiresAt DATETIME NULL,
+    isPinned TINYINT(1) NOT NULL DEFAULT 0,
+    isActive TINYINT(1) NOT NULL DEFAULT 1
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS FeedPolls (
+    id VARCHAR(64) NOT NULL PRIMARY KEY,
+    postId VARCHAR(64) NOT NULL,
+    question VARCHAR(500) NOT NULL,
+    multipleChoice TINYINT(1) NOT NULL DEFAULT 0,
+    endsAt DATETIME NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_feedpolls_post (postId)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS FeedPollOptions (
+    id VARCHAR(64) NOT NULL PRIMARY KEY,
+    pollId VARCHAR(64) NOT NULL,
+    optionText VARCHAR(255) NOT NULL,
+    votes INT NOT NULL DEFAULT 0,
+    KEY idx_feedpolloptions_poll (pollId)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS FeedPollVotes (
+    id VARCHAR(64) NOT NULL PRIMARY KEY,
+    pollId VARCHAR(64) NOT NULL,
+    optionId VARCHAR(64) NOT NULL,
+    userEmail VARCHAR(255) NOT NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_feedpollvotes_poll_user (pollId, userEmail)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS FeedMedia (
+    id VARCHAR(64) NOT NULL PRIMARY KEY,
+    postId VARCHAR(64) NOT NULL,
+    type VARCHAR(20) NULL,
+    url LONGTEXT NULL,
+    filename VARCHAR(255) NULL,
+    filesize BIGINT NULL DEFAULT 0,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_feedmedia_post (postId)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS FeedPostMentions (
+    id VARCHAR(64) NOT NULL PRIMARY KEY,
+    postId VARCHAR(64) NOT NULL,
+    mentionedEmail VARCHAR(255) NOT NULL,
+    mentionedName VARCHAR(255) NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_feedmentions_post (postId)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS FeedLikes (
+    id BIGINT NOT NULL PRIMARY KEY,
+    postId VARCHAR(64) NOT NULL,
+    userEmail VARCHAR(255) NOT NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_feedlikes_post_user (postId, userEmail)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS FeedComments (
+    id BIGINT NOT NULL PRIMARY KEY,
+    postId VARCHAR(64) NOT NULL,
+    parentCommentId BIGINT NULL,
+    userEmail VARCHAR(255) NOT NULL,
+    userName VARCHAR(255) NULL,
+    userDesignation VARCHAR(50) NULL,
+    content TEXT NOT NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_feedcomments_post (postId),
+    CONSTRAINT fk_feedcomments_parent FOREIGN KEY (parentCommentId)
+      REFERENCES FeedComments (id) ON DELETE CASCADE
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS CommentReactions (
+    id VARCHAR(64) NOT NULL PRIMARY KEY,
+    commentId BIGINT NOT NULL,
+    userEmail VARCHAR(255) NOT NULL,
+    emoji VARCHAR(32) NOT NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_commentreactions_comment (commentId),
+    CONSTRAINT fk_commentreactions_comment FOREIGN KEY (commentId)
+      REFERENCES FeedComments (id) ON DELETE CASCADE
+  )`,
+];
+
+export async function up(conn) {
+  for (const sql of TABLES) {
+    await conn.query(sql);
+  }
+}
@@ -0,0 +1,24 @@
+// Schema drift seen in live workspaces:
+// - user_devices.device_type had a default that overwrote what the app sent,
+//   and the same (email, token) pair could be registered many times
+// - Employees.email values with stray whitespace broke exact email lookups
+import { hasIndex } from "../../config/migrations.js";
+
+export async function up(conn) {
+  await conn.query(`ALTER TABLE user_devices MODIFY device_type VARCHAR(20) NULL DEFAULT NULL`);
+
+  // keep the newest registration of each (email, token) before adding the unique key
+  await conn.query(
+    `DELETE d1 FROM user_devices d1
+     JOIN user_devices d2
+       ON d1.email = d2.email AND d1.fcm_token = d2.fcm_token AND d1.id < d2.id`
+  );
+
+  if (!(await hasIndex(conn, "user_devices", "uq_user_devices_email_token"))) {
+    await conn.query(
+      `ALTER TABLE user_devices ADD UNIQUE KEY uq_user_devices_email_token (email(191), fcm_token(255))`
+    );
+  }
+
+  await conn.query(`UPDATE Employees SET email = TRIM(email) WHERE email <> TRIM(email)`);
+}
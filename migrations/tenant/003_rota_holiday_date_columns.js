@@ -0,0 +1,51 @@
+// Real DATE columns next to the legacy "dd/mm/yyyy (Weekday)" strings.
+// rota/ConfirmedRota get day_date, Holiday gets start_date/end_date, all indexed
+// for week/month range queries. The string columns are kept (and normalised)
+// for older readers; the API builds the label from the DATE column.
+import { hasColumn, hasIndex } from "../../config/migrations.js";
+
+const DATE_PREFIX = `'^[0-9]{2}/[0-9]{2}/[0-9]{4}'`;
+
+async function addDayDate(conn, table, index) {
+  if (!(await hasColumn(conn, table, "day_date"))) {
+    await conn.query(`ALTER TABLE ${table} ADD COLUMN day_date DATE NULL AFTER day`);
+  }
+
+  await conn.query(
+    `UPDATE ${table}
+     SET day_date = STR_TO_DATE(SUBSTRING_INDEX(day, ' (', 1), '%d/%m/%Y')
+     WHERE day_date IS NULL AND day REGEXP ${DATE_PREFIX}`
+  );
+
+  await conn.query(
+    `UPDATE ${table} SET day = DATE_FORMAT(day_date, '%d/%m/%Y (%W)') WHERE day_date IS NOT NULL`
+  );
+
+  if (!(await hasIndex(conn, table, index))) {
+    await conn.query(`ALTER TABLE ${table} ADD INDEX ${index} (day_date)`);
+  }
+}
+
+export async function up(conn) {
+  await addDayDate(conn, "rota", "idx_rota_day_date");
+  await addDayDate(conn, "ConfirmedRota", "idx_confirmedrota_day_date");
+
+  if (!(await hasColumn(conn, "Holiday", "start_date"))) {
+    await conn.query(`ALTER TABLE Holiday ADD COLUMN start_date DATE NULL AFTER endDate, ADD COLUMN end_date DATE NULL AFTER start_date`);
+  }
+
+  await conn.query(
+    `UPDATE Holiday
+     SET start_date = STR_TO_DATE(SUBSTRING_INDEX(startDate, ' ', 1), '%d/%m/%Y')
+     WHERE start_date IS NULL AND startDate REGEXP ${DATE_PREFIX}`
+  );
+  await conn.query(
+    `UPDATE Holiday
+     SET end_date = STR_TO_DATE(SUBSTRING_INDEX(endDate, ' ', 1), '%d/%m/%Y')
+     WHERE end_date IS NULL AND endDate REGEXP ${DATE_PREFIX}`
+  );
+
+  if (!(await hasIndex(conn, "Holiday", "idx_holiday_dates"))) {
+    await conn.query(`ALTER TABLE Holiday ADD INDEX idx_holiday_dates (start_date, end_date)`);
+  }
+}
@@ -0,0 +1,52 @@
+// Link shifts, confirmed shifts, holidays and feed posts to Employees.id
+// instead of name + lastName text (or email for the feed).
+// Backfill only links rows whose name pair matches exactly one employee;
+// ambiguous/orphaned rows keep employee_id NULL and are reported.
+import { hasColumn, hasIndex } from "../../config/migrations.js";
+
+const UNIQUE_NAMES = `
+  SELECT MIN(id) AS id, TRIM(name) AS name, TRIM(lastName) AS lastName
+  FROM Employees
+  GROUP BY TRIM(name), TRIM(lastName)
+  HAVING COUNT(*) = 1`;
+
+async function linkByName(conn, table, index, indexColumns) {
+  if (!(await hasColumn(conn, table, "employee_id"))) {
+    await conn.query(`ALTER TABLE ${table} ADD COLUMN employee_id INT NULL AFTER id`);
+  }
+
+  await conn.query(
+    `UPDATE ${table} t
+     JOIN (${UNIQUE_NAMES}) e ON TRIM(t.name) = e.name AND TRIM(t.lastName) = e.lastName
+     SET t.employee_id = e.id
+     WHERE t.employee_id IS NULL`
+  );
+
+  if (!(await hasIndex(conn, table, index))) {
+    await conn.query(`ALTER TABLE ${table} ADD INDEX ${index} (${indexColumns})`);
+  }
+
+  const [[{ unlinked }]] = await conn.query(`SELECT COUNT(*) AS unlinked FROM ${table} WHERE employee_id IS NULL`);
+  if (unlinked > 0) {
+    console.log(`⚠️ ${table}: ${unlinked} rows could not be linked to an employee (duplicate or unknown name)`);
+  }
+}
+
+export async function up(conn) {
+  await linkByName(conn, "rota", "idx_rota_employee_day", "employee_id, day_date");
+  await linkByName(conn, "ConfirmedRota", "idx_confirmedrota_employee_day", "employee_id, day_date");
+  await linkByName(conn, "Holiday", "idx_holiday_employee", "employee_id, start_date");
+
+  if (!(await hasColumn(conn, "FeedPosts", "author_id"))) {
+    await conn.query(`ALTER TABLE FeedPosts ADD COLUMN author_id INT NULL AFTER authorEmail`);
+  }
+  await conn.query(
+    `UPDATE FeedPosts p
+     JOIN Employees e ON LOWER(TRIM(e.email)) = LOWER(TRIM(p.authorEmail))
+     SET p.author_id = e.id
+     WHERE p.author_id IS NULL`
+  );
+  if (!(await hasIndex(conn, "FeedPosts", "idx_feedposts_author"))) {
+    await conn.query(`ALTER TABLE FeedPosts ADD INDEX idx_feedposts_author (author_id)`);
+  }
+}
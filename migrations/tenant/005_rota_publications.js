@@ -0,0 +1,23 @@
+// Draft/publish workflow: shifts are written as 'Draft' and released per date
+// range with POST /rota/publish. Every release is recorded in RotaPublications.
+import { hasIndex } from "../../config/migrations.js";
+
+export async function up(conn) {
+  await conn.query(
+    `CREATE TABLE IF NOT EXISTS RotaPublications (
+       id INT AUTO_INCREMENT PRIMARY KEY,
+       start_date DATE NOT NULL,
+       end_date DATE NOT NULL,
+       shifts_published INT NOT NULL DEFAULT 0,
+       employees_notified INT NOT NULL DEFAULT 0,
+       published_by_email VARCHAR(255) NOT NULL,
+       published_by_name VARCHAR(255) NULL,
+       published_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+       KEY idx_rotapublications_range (start_date, end_date)
+     )`
+  );
+
+  if (!(await hasIndex(conn, "rota", "idx_rota_published_day"))) {
+    await conn.query(`ALTER TABLE rota ADD INDEX idx_rota_published_day (Published, day_date)`);
+  }
+}
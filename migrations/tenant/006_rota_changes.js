@@ -0,0 +1,21 @@
+// History of changes made to shifts after they were published
+// (time changed, removed, added straight into a published week).
+export async function up(conn) {
+  await conn.query(
+    `CREATE TABLE IF NOT EXISTS RotaChanges (
+       id INT AUTO_INCREMENT PRIMARY KEY,
+       shift_id BIGINT NOT NULL,
+       employee_id INT NULL,
+       change_type VARCHAR(20) NOT NULL,
+       day_date DATE NULL,
+       old_start TIME NULL,
+       old_end TIME NULL,
+       new_start TIME NULL,
+       new_end TIME NULL,
+       changed_by_email VARCHAR(255) NULL,
+       changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+       KEY idx_rotachanges_shift (shift_id),
+       KEY idx_rotachanges_employee (employee_id, changed_at)
+     )`
+  );
+}
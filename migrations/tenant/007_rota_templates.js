@@ -0,0 +1,28 @@
+// Named week templates: one row per shift, keyed by weekday (0 = Monday)
+// so a template can be applied onto any week.
+export async function up(conn) {
+  await conn.query(
+    `CREATE TABLE IF NOT EXISTS RotaTemplates (
+       id INT AUTO_INCREMENT PRIMARY KEY,
+       name VARCHAR(100) NOT NULL,
+       created_by_email VARCHAR(255) NULL,
+       created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+       UNIQUE KEY uq_rotatemplates_name (name)
+     )`
+  );
+
+  await conn.query(
+    `CREATE TABLE IF NOT EXISTS RotaTemplateShifts (
+       id INT AUTO_INCREMENT PRIMARY KEY,
+       template_id INT NOT NULL,
+       employee_id INT NOT NULL,
+       weekday TINYINT NOT NULL,
+       start_time TIME NOT NULL,
+       end_time TIME NOT NULL,
+       designation VARCHAR(50) NULL,
+       KEY idx_rotatemplateshifts_template (template_id),
+       CONSTRAINT fk_rotatemplateshifts_template FOREIGN KEY (template_id)
+         REFERENCES RotaTemplates (id) ON DELETE CASCADE
+     )`
+  );
+}
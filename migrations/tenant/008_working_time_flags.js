@@ -0,0 +1,12 @@
+// Working Time Regulations inputs on Employees: young workers (under 18) get
+// the stricter limits, adults may opt out of the 48-hour average week.
+import { hasColumn } from "../../config/migrations.js";
+
+export async function up(conn) {
+  if (!(await hasColumn(conn, "Employees", "is_under_18"))) {
+    await conn.query(`ALTER TABLE Employees ADD COLUMN is_under_18 TINYINT(1) NOT NULL DEFAULT 0`);
+  }
+  if (!(await hasColumn(conn, "Employees", "wtr_opt_out"))) {
+    await conn.query(`ALTER TABLE Employees ADD COLUMN wtr_opt_out TINYINT(1) NOT NULL DEFAULT 0`);
+  }
+}
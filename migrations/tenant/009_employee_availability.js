@@ -0,0 +1,28 @@
+// Availability submitted by staff: recurring weekly windows (weekday 0 = Monday)
+// and one-off dates they cannot work (whole day when the times are NULL).
+export async function up(conn) {
+  await conn.query(
+    `CREATE TABLE IF NOT EXISTS EmployeeAvailability (
+       id INT AUTO_INCREMENT PRIMARY KEY,
+       employee_id INT NOT NULL,
+       weekday TINYINT NOT NULL,
+       start_time TIME NOT NULL,
+       end_time TIME NOT NULL,
+       updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+       KEY idx_employeeavailability_employee (employee_id, weekday)
+     )`
+  );
+
+  await conn.query(
+    `CREATE TABLE IF NOT EXISTS EmployeeUnavailability (
+       id INT AUTO_INCREMENT PRIMARY KEY,
+       employee_id INT NOT NULL,
+       date DATE NOT NULL,
+       start_time TIME NULL,
+       end_time TIME NULL,
+       reason VARCHAR(255) NULL,
+       created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+       KEY idx_employeeunavailability_date (date, employee_id)
+     )`
+  );
+}
@@ -0,0 +1,26 @@
+// Peer shift swaps: an employee offers a published shift (optionally to one
+// colleague, optionally in exchange for one of theirs), a colleague accepts,
+// then an AM/Manager approves and the rota rows are reassigned.
+export async function up(conn) {
+  await conn.query(
+    `CREATE TABLE IF NOT EXISTS ShiftSwaps (
+       id INT AUTO_INCREMENT PRIMARY KEY,
+       shift_id BIGINT NOT NULL,
+       offered_by_employee_id INT NOT NULL,
+       target_employee_id INT NULL,
+       swap_shift_id BIGINT NULL,
+       accepted_by_employee_id INT NULL,
+       status VARCHAR(20) NOT NULL DEFAULT 'offered',
+       note VARCHAR(255) NULL,
+       decline_reason VARCHAR(255) NULL,
+       decided_by_email VARCHAR(255) NULL,
+       created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+       accepted_at DATETIME NULL,
+       decided_at DATETIME NULL,
+       KEY idx_shiftswaps_status (status),
+       KEY idx_shiftswaps_shift (shift_id),
+       KEY idx_shiftswaps_offered_by (offered_by_employee_id),
+       KEY idx_shiftswaps_target (target_employee_id)
+     )`
+  );
+}
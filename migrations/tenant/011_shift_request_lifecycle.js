@@ -0,0 +1,20 @@
+// Shift request lifecycle beyond pending -> accepted: cancelled by a manager,
+// released back to pending by the person who took it, expired by the nightly job.
+import { hasColumn } from "../../config/migrations.js";
+
+const COLUMNS = [
+  ["updated_at", "DATETIME NULL"],
+  ["cancelled_by_email", "VARCHAR(255) NULL"],
+  ["cancelled_at", "DATETIME NULL"],
+  ["released_by_email", "VARCHAR(255) NULL"],
+  ["released_at", "DATETIME NULL"],
+  ["expired_at", "DATETIME NULL"],
+];
+
+export async function up(conn) {
+  for (const [name, definition] of COLUMNS) {
+    if (!(await hasColumn(conn, "ShiftRequests", name))) {
+      await conn.query(`ALTER TABLE ShiftRequests ADD COLUMN ${name} ${definition}`);
+    }
+  }
+}
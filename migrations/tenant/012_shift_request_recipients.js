@@ -0,0 +1,12 @@
+// Who was told about an open shift request, so the same people get the
+// "shift filled" follow-up when someone takes it.
+export async function up(conn) {
+  await conn.query(
+    `CREATE TABLE IF NOT EXISTS ShiftRequestRecipients (
+       request_id BIGINT NOT NULL,
+       email VARCHAR(255) NOT NULL,
+       notified_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+       PRIMARY KEY (request_id, email(191))
+     )`
+  );
+}
@@ -0,0 +1,33 @@
+// Time and attendance: raw clock events per rota shift plus a per-shift
+// summary (actual times, break minutes, late/early-leave minutes).
+export async function up(conn) {
+  await conn.query(
+    `CREATE TABLE IF NOT EXISTS ClockEvents (
+       id INT AUTO_INCREMENT PRIMARY KEY,
+       shift_id BIGINT NOT NULL,
+       employee_id INT NOT NULL,
+       event_type VARCHAR(20) NOT NULL,
+       occurred_at DATETIME NOT NULL,
+       KEY idx_clockevents_shift (shift_id, occurred_at),
+       KEY idx_clockevents_employee (employee_id, occurred_at)
+     )`
+  );
+
+  await conn.query(
+    `CREATE TABLE IF NOT EXISTS ShiftAttendance (
+       shift_id BIGINT NOT NULL PRIMARY KEY,
+       employee_id INT NOT NULL,
+       day_date DATE NOT NULL,
+       status VARCHAR(20) NOT NULL,
+       clock_in_at DATETIME NULL,
+       clock_out_at DATETIME NULL,
+       break_started_at DATETIME NULL,
+       break_minutes INT NOT NULL DEFAULT 0,
+       late_minutes INT NOT NULL DEFAULT 0,
+       early_leave_minutes INT NOT NULL DEFAULT 0,
+       updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+       KEY idx_shiftattendance_day (day_date),
+       KEY idx_shiftattendance_employee (employee_id, day_date)
+     )`
+  );
+}
@@ -0,0 +1,44 @@
+// Clock-in verification: one settings row per workspace (site geofence and the
+// secret behind the kiosk's rotating QR code), a log of every verified clock
+// attempt, and how each clock-in was verified.
+import { hasColumn } from "../../config/migrations.js";
+
+export async function up(conn) {
+  await conn.query(
+    `CREATE TABLE IF NOT EXISTS AttendanceSettings (
+       id TINYINT NOT NULL PRIMARY KEY,
+       site_latitude DECIMAL(9,6) NULL,
+       site_longitude DECIMAL(9,6) NULL,
+       radius_meters INT NULL,
+       qr_secret VARCHAR(64) NULL,
+       qr_rotation_seconds INT NOT NULL DEFAULT 30,
+       updated_by_email VARCHAR(255) NULL,
+       updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+     )`
+  );
+
+  await conn.query(
+    `CREATE TABLE IF NOT EXISTS ClockAttempts (
+       id INT AUTO_INCREMENT PRIMARY KEY,
+       shift_id BIGINT NOT NULL,
+       employee_id INT NOT NULL,
+       event_type VARCHAR(20) NOT NULL,
+       method VARCHAR(20) NOT NULL,
+       result VARCHAR(20) NOT NULL,
+       reason VARCHAR(255) NULL,
+       latitude DECIMAL(9,6) NULL,
+       longitude DECIMAL(9,6) NULL,
+       accuracy_meters INT NULL,
+       distance_meters INT NULL,
+       ip_address VARCHAR(64) NULL,
+       user_agent VARCHAR(255) NULL,
+       created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+       KEY idx_clockattempts_created (created_at),
+       KEY idx_clockattempts_employee (employee_id, created_at)
+     )`
+  );
+
+  if (!(await hasColumn(conn, "ShiftAttendance", "clock_in_method"))) {
+    await conn.query(`ALTER TABLE ShiftAttendance ADD COLUMN clock_in_method VARCHAR(20) NULL AFTER clock_in_at`);
+  }
+}
@@ -0,0 +1,39 @@
+// Timesheet approval: ConfirmedRota rows are written when a manager approves a
+// week (same id as the rota shift, which is then locked), and every manual
+// change to the times before approval is kept in TimesheetAdjustments.
+import { hasColumn } from "../../config/migrations.js";
+
+const CONFIRMED_COLUMNS = [
+  ["break_minutes", "INT NOT NULL DEFAULT 0"],
+  ["source", "VARCHAR(20) NULL"],
+  ["approved_by_email", "VARCHAR(255) NULL"],
+  ["approved_at", "DATETIME NULL"],
+];
+
+export async function up(conn) {
+  for (const [name, definition] of CONFIRMED_COLUMNS) {
+    if (!(await hasColumn(conn, "ConfirmedRota", name))) {
+      await conn.query(`ALTER TABLE ConfirmedRota ADD COLUMN ${name} ${definition}`);
+    }
+  }
+
+  await conn.query(
+    `CREATE TABLE IF NOT EXISTS TimesheetAdjustments (
+       id INT AUTO_INCREMENT PRIMARY KEY,
+       shift_id BIGINT NOT NULL,
+       employee_id INT NULL,
+       day_date DATE NOT NULL,
+       previous_start TIME NULL,
+       previous_end TIME NULL,
+       previous_break_minutes INT NULL,
+       new_start TIME NOT NULL,
+       new_end TIME NOT NULL,
+       new_break_minutes INT NOT NULL DEFAULT 0,
+       reason VARCHAR(255) NOT NULL,
+       adjusted_by_email VARCHAR(255) NOT NULL,
+       created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+       KEY idx_timesheetadjustments_shift (shift_id, id),
+       KEY idx_timesheetadjustments_day (day_date)
+     )`
+  );
+}
@@ -0,0 +1,29 @@
+// Late starts and no-shows found by the attendance scheduler (one row per
+// shift; a late start becomes a no-show if the shift ends without a clock-in),
+// plus the per-workspace delay before a missing clock-in raises an alert.
+import { hasColumn } from "../../config/migrations.js";
+
+export async function up(conn) {
+  await conn.query(
+    `CREATE TABLE IF NOT EXISTS AttendanceIncidents (
+       id INT AUTO_INCREMENT PRIMARY KEY,
+       shift_id BIGINT NOT NULL,
+       employee_id INT NULL,
+       day_date DATE NOT NULL,
+       type VARCHAR(20) NOT NULL,
+       scheduled_start TIME NOT NULL,
+       detected_at DATETIME NOT NULL,
+       managers_notified INT NOT NULL DEFAULT 0,
+       employee_reminded TINYINT(1) NOT NULL DEFAULT 0,
+       resolved_at DATETIME NULL,
+       minutes_late INT NULL,
+       UNIQUE KEY uq_attendanceincidents_shift (shift_id),
+       KEY idx_attendanceincidents_day (day_date, type),
+       KEY idx_attendanceincidents_employee (employee_id, day_date)
+     )`
+  );
+
+  if (!(await hasColumn(conn, "AttendanceSettings", "late_alert_minutes"))) {
+    await conn.query(`ALTER TABLE AttendanceSettings ADD COLUMN late_alert_minutes INT NOT NULL DEFAULT 10`);
+  }
+}
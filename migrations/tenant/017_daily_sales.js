@@ -0,0 +1,11 @@
+// Daily sales entered by managers, used to report labour as a percentage of sales.
+export async function up(conn) {
+  await conn.query(
+    `CREATE TABLE IF NOT EXISTS DailySales (
+       sales_date DATE NOT NULL PRIMARY KEY,
+       amount DECIMAL(12,2) NOT NULL,
+       entered_by_email VARCHAR(255) NULL,
+       updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+     )`
+  );
+}
@@ -0,0 +1,12 @@
+// Saved column layouts for the payroll export, one per payroll provider
+// (columns = JSON array of { header, field } or { header, value }).
+export async function up(conn) {
+  await conn.query(
+    `CREATE TABLE IF NOT EXISTS PayrollLayouts (
+       name VARCHAR(50) NOT NULL PRIMARY KEY,
+       columns_json TEXT NOT NULL,
+       updated_by_email VARCHAR(255) NULL,
+       updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+     )`
+  );
+}
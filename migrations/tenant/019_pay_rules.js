@@ -0,0 +1,27 @@
+// Premium pay rules per workspace (overtime over a weekly threshold, Sundays,
+// bank holidays, a night window) and the bank holiday dates they refer to.
+export async function up(conn) {
+  await conn.query(
+    `CREATE TABLE IF NOT EXISTS PayRules (
+       id INT AUTO_INCREMENT PRIMARY KEY,
+       name VARCHAR(100) NOT NULL,
+       type VARCHAR(20) NOT NULL,
+       multiplier DECIMAL(4,2) NOT NULL,
+       threshold_hours DECIMAL(5,2) NULL,
+       start_time TIME NULL,
+       end_time TIME NULL,
+       applies_to VARCHAR(10) NOT NULL DEFAULT 'all',
+       active TINYINT(1) NOT NULL DEFAULT 1,
+       updated_by_email VARCHAR(255) NULL,
+       created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+       updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+     )`
+  );
+
+  await conn.query(
+    `CREATE TABLE IF NOT EXISTS BankHolidays (
+       holiday_date DATE NOT NULL PRIMARY KEY,
+       name VARCHAR(100) NOT NULL
+     )`
+  );
+}
@@ -0,0 +1,18 @@
+// Payslip files from a bulk upload that could not be matched to exactly one
+// employee, kept until a manager assigns or discards them.
+export async function up(conn) {
+  await conn.query(
+    `CREATE TABLE IF NOT EXISTS PendingPayslips (
+       id INT AUTO_INCREMENT PRIMARY KEY,
+       batch_id VARCHAR(36) NOT NULL,
+       Month VARCHAR(7) NOT NULL,
+       file_name VARCHAR(255) NOT NULL,
+       fileContent LONGBLOB NOT NULL,
+       reason VARCHAR(255) NULL,
+       candidate_ids VARCHAR(255) NULL,
+       uploaded_by_email VARCHAR(255) NULL,
+       created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+       KEY idx_pendingpayslips_month (Month)
+     )`
+  );
+}
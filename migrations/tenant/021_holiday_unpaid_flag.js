@@ -0,0 +1,11 @@
+// Holiday.accepted doubles as the pending-unpaid marker ('unpaid') and is
+// overwritten with 'true'/'false' on decision, so unpaid leave gets its own
+// flag that survives approval. Payroll and the holiday summary read it.
+import { hasColumn } from "../../config/migrations.js";
+
+export async function up(conn) {
+  if (!(await hasColumn(conn, "Holiday", "is_unpaid"))) {
+    await conn.query(`ALTER TABLE Holiday ADD COLUMN is_unpaid TINYINT(1) NOT NULL DEFAULT 0`);
+  }
+  await conn.query(`UPDATE Holiday SET is_unpaid = 1 WHERE accepted = 'unpaid'`);
+}
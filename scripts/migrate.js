@@ -0,0 +1,36 @@
+// Apply schema migrations to the main DB and every workspace, or report status.
+//
+//   npm run migrate            # apply pending migrations everywhere
+//   npm run migrate:status     # list databases that are behind
+import { pool } from "../config/db.js";
+import { closeAllPools } from "../config/dbManager.js";
+import { migrateAll, migrationStatus } from "../config/migrations.js";
+
+const command = process.argv[2] || "up";
+
+try {
+  if (command === "status") {
+    const status = await migrationStatus();
+    for (const s of [status.main, ...status.tenants]) {
+      const state = s.error ? `ERROR ${s.error}` : s.behind ? `behind (pending: ${s.pending.join(", ")})` : "up to date";
+      console.log(`${s.db_name.padEnd(24)} v${s.version ?? "?"}/${s.latest ?? "?"}  ${state}`);
+    }
+    process.exitCode = status.behind.length > 0 ? 2 : 0;
+  } else if (command === "up") {
+    const results = await migrateAll();
+    for (const r of results) {
+      const state = r.error ? `FAILED ${r.error}` : r.applied.length ? `applied ${r.applied.join(", ")}` : "nothing to apply";
+      console.log(`${r.db_name.padEnd(24)} ${state}`);
+    }
+    process.exitCode = results.some(r => r.error) ? 1 : 0;
+  } else {
+    console.error("Usage: migrate [up|status]");
+    process.exitCode = 1;
+  }
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+} finally {
+  await closeAllPools();
+  await pool.end();
+}
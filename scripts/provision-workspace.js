@@ -0,0 +1,44 @@
+// Create a new workspace from the command line.
+//
+//   npm run provision -- --workspace pizzaoxford --name "Pizza Oxford" \
+//     --admin-email boss@example.com --admin-password 'S3cret!!' \
+//     --admin-first-name Anna --admin-last-name Rossi
+import { parseArgs } from "util";
+import { pool } from "../config/db.js";
+import { provisionWorkspace } from "../config/provisioning.js";
+
+const { values } = parseArgs({
+  options: {
+    workspace: { type: "string" },
+    name: { type: "string" },
+    "admin-email": { type: "string" },
+    "admin-password": { type: "string" },
+    "admin-first-name": { type: "string" },
+    "admin-last-name": { type: "string" },
+  },
+});
+
+if (!values.workspace || !values["admin-email"] || !values["admin-password"]) {
+  console.error("Usage: provision-workspace --workspace <key> --admin-email <email> --admin-password <password> [--name <display name>] [--admin-first-name ..] [--admin-last-name ..]");
+  process.exit(1);
+}
+
+try {
+  const result = await provisionWorkspace({
+    workspace: values.workspace,
+    displayName: values.name,
+    admin: {
+      email: values["admin-email"],
+      password: values["admin-password"],
+      name: values["admin-first-name"],
+      lastName: values["admin-last-name"],
+    },
+  });
+  console.log("✅ Workspace created:", result);
+  process.exitCode = 0;
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}